@@ -1,44 +1,16 @@
 // authAndRateLimiterMiddleware.js
-const crypto = require("crypto");
+const { verifyAccessToken } = require("../utils/generateAuthToken");
+const { applyRateLimit } = require("../utils/rateLimiter");
 const { supabaseAdmin } = require('../supabaseClient'); // Correctly import supabaseAdmin
 
-// --- Helper: Extract userId from auth token ---
-function extractUserIdFromAuthToken(authToken) {
-  const prefixLength = 20;
-  const suffixLength = 16;
-
-  if (authToken.length <= prefixLength + suffixLength) {
-    throw new Error("Invalid token length");
-  }
-
-  const encodedMerged = authToken.substring(prefixLength, authToken.length - suffixLength);
-  const merged = Buffer.from(encodedMerged, "base64").toString("utf8");
-
-  const secret = process.env.USER_TOKEN_SECRET;
-  if (!secret) {
-    throw new Error("USER_TOKEN_SECRET is not set in environment variables");
-  }
-
-  const splitIndex = Math.floor(secret.length / 2);
-  const secretFirst = secret.slice(0, splitIndex);
-  const secretSecond = secret.slice(splitIndex);
-
-  if (!merged.startsWith(secretFirst) || !merged.endsWith(secretSecond)) {
-    throw new Error("Invalid token format");
-  }
-
-  const userId = merged.substring(secretFirst.length, merged.length - secretSecond.length);
-  return userId;
-}
-
 // --- Database functions (using Supabase Admin client) ---
-async function getLoginRecord(userId, authToken) {
+async function getLoginRecord(userId, sessionId) {
   try {
     const { data, error } = await supabaseAdmin
       .from('manage_logins')
       .select('session_id, is_logged_in, expires_at, method, user_id')
       .eq('user_id', userId)
-      .eq('auth_token', authToken)
+      .eq('session_id', sessionId)
       .eq('is_logged_in', true)
       .gt('expires_at', new Date().toISOString()) // Check if expires_at is in the future
       .order('created_at', { ascending: false })
@@ -93,19 +65,36 @@ async function getSessionRecord(sessionId, sessionToken) {
   }
 }
 
-// --- Rate Limiting Setup ---
-const rateLimitMap = new Map();
-const BLOCK_INCREMENT = 5 * 60 * 1000;  // 5 minutes in ms
-const REQUEST_LIMIT = 50;
-const TIME_WINDOW = 15 * 1000;           // 15 seconds
-
-async function recordBlockedIp(ip, route, blockStart) {
-  console.log(`Recording blocked IP ${ip} for route '${route}'`);
-  // TODO: Implement persistent storage for blocked IPs (e.g., database)
-  let multiplier = 1; // You could make this dynamic based on repeated blocks
-  const newBlockDuration = BLOCK_INCREMENT * multiplier;
-  const newBlockEnd = blockStart + newBlockDuration;
-  return newBlockEnd;
+// Admin user IDs from ADMIN_USER_IDS (comma separated) are always treated as admins,
+// which lets the first admin be bootstrapped before any role is stored in the database.
+function getBootstrapAdminIds() {
+  return (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id.length > 0);
+}
+
+async function getUserRole(userId) {
+  if (getBootstrapAdminIds().includes(userId)) {
+    return 'admin';
+  }
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('users')
+      .select('role')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Supabase error in getUserRole:", error);
+      return 'user';
+    }
+
+    return (data && data.role) || 'user';
+  } catch (error) {
+    console.error("Database error in getUserRole:", error);
+    return 'user'; // Fall back to the least privileged role
+  }
 }
 
 // --- Helper to transform image URLs in response data ---
@@ -134,6 +123,7 @@ function transformImageUrls(data) {
 // --- Route Configuration ---
 const PUBLIC_ROUTES = [
   "/login",
+  "/login/2fa", // Second step of a login with two-factor authentication
   "/signup",
   "/Forgotpassword",
   "/Resetpassword",
@@ -144,6 +134,8 @@ const PUBLIC_ROUTES = [
   "/verify-email-with-otp",
   "/resend-otp",
   "/check-username",
+  "/api/auth/refresh", // Access token renewal (the access token may already be expired)
+  "/api/auth/oauth/exchange", // Google / GitHub login: one-time code from the callback redirect
   // If your frontend uses /desktop/login etc., ensure you account for that here
   // For example, if your client paths are /desktop/login, you need to match them here.
   // Assuming the backend receives raw paths like /login, /signup, etc.
@@ -158,29 +150,12 @@ function isPublicRoute(url) {
 // --- Main Middleware ---
 async function authAndRateLimiterMiddleware(req, res, next) {
   try {
-    // 1. Rate Limiting (applies to all routes, always executed first)
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    let rateData = rateLimitMap.get(ip) || { firstRequestTime: now, requestCount: 0, blockUntil: 0 };
-
-    if (now < (rateData.blockUntil || 0)) {
-      return res.status(429).json({ error: "Too many requests. Your IP is temporarily blocked." });
+    // 1. Rate Limiting (applies to all routes, always executed first; see utils/rateLimiter.js for policies)
+    const allowed = await applyRateLimit(req, res);
+    if (!allowed) {
+      return; // 429 already sent
     }
 
-    if (now - rateData.firstRequestTime > TIME_WINDOW) {
-      rateData.firstRequestTime = now;
-      rateData.requestCount = 1;
-    } else {
-      rateData.requestCount++;
-      if (rateData.requestCount > REQUEST_LIMIT) {
-        const newBlockUntil = await recordBlockedIp(ip, req.originalUrl, now);
-        rateData.blockUntil = newBlockUntil;
-        rateLimitMap.set(ip, rateData);
-        return res.status(429).json({ error: "Too many requests. Your IP is temporarily blocked." });
-      }
-    }
-    rateLimitMap.set(ip, rateData);
-
     // 2. TS Token Validation (applies to all routes, always executed after rate limiting)
     const tsToken = req.headers["ts"] || req.query.ts;
     if (!tsToken) {
@@ -240,12 +215,20 @@ async function authAndRateLimiterMiddleware(req, res, next) {
       });
     }
 
-    // Extract and validate userId from token
+    // Verify the signed access token and extract userId / sessionId from it
     let extractedUserId;
+    let tokenSessionId;
     try {
-      extractedUserId = extractUserIdFromAuthToken(authToken);
+      ({ userId: extractedUserId, sessionId: tokenSessionId } = verifyAccessToken(authToken));
     } catch (err) {
-      console.error("Auth token extraction error:", err.message);
+      if (err.name === "TokenExpiredError") {
+        return res.status(401).json({
+          error: "Access token expired",
+          code: "TOKEN_EXPIRED",
+          message: "Refresh the access token via /api/auth/refresh"
+        });
+      }
+      console.error("Auth token verification error:", err.message);
       return res.status(401).json({
         error: "Invalid auth token",
         code: "LOGIN_REQUIRED",
@@ -265,7 +248,7 @@ async function authAndRateLimiterMiddleware(req, res, next) {
     }
 
     // Validate login record against database (REAL DB CHECK NOW)
-    const loginRecord = await getLoginRecord(extractedUserId, authToken);
+    const loginRecord = await getLoginRecord(extractedUserId, tokenSessionId);
     if (!loginRecord || !loginRecord.is_logged_in) {
       console.warn(`Invalid or expired login record for userId: ${extractedUserId}`);
       return res.status(401).json({
@@ -300,6 +283,7 @@ async function authAndRateLimiterMiddleware(req, res, next) {
     req.userId = extractedUserId;
     req.sessionId = loginRecord.session_id;
     req.authMethod = loginRecord.method;
+    req.userRole = await getUserRole(extractedUserId);
 
     console.log(`Authentication successful for user: ${extractedUserId}`);
 
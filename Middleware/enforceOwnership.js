@@ -0,0 +1,61 @@
+// enforceOwnership.js
+
+/**
+ * Route guard factory that makes mutating routes act on the authenticated identity.
+ * Usage: router.post('/follow', enforceOwnership('body.follower_id'), handler)
+ *
+ * Each argument names a request field holding a user id ("body.<field>" or "params.<field>").
+ *  - If the field is present and differs from req.userId (set by authAndRateLimiterMiddleware),
+ *    the request is rejected with 403.
+ *  - If a body field is missing, it is filled in with req.userId so handlers that still read
+ *    the id from the body keep working when clients stop sending it.
+ *
+ * For multipart routes, declare it after the multer middleware so req.body is populated.
+ */
+function enforceOwnership(...fields) {
+  const parsedFields = fields.map((field) => {
+    const [source, name] = field.split('.');
+    if (!['body', 'params'].includes(source) || !name) {
+      throw new Error(`Invalid field "${field}" passed to enforceOwnership`);
+    }
+    return { source, name };
+  });
+
+  return (req, res, next) => {
+    if (!req.userId) {
+      return res.status(401).json({
+        error: "Authentication required",
+        code: "LOGIN_REQUIRED",
+        message: "Please log in to access this resource"
+      });
+    }
+
+    for (const { source, name } of parsedFields) {
+      if (source === 'body' && !req.body) {
+        req.body = {};
+      }
+      const container = req[source];
+      const value = container[name];
+
+      if (value === undefined || value === null || value === '') {
+        if (source === 'body') {
+          container[name] = req.userId;
+          continue;
+        }
+        return res.status(400).json({ error: `${name} is required.` });
+      }
+
+      if (String(value) !== req.userId) {
+        console.warn(`Ownership mismatch on ${req.method} ${req.originalUrl}: ${source}.${name} '${value}' vs authenticated user '${req.userId}'`);
+        return res.status(403).json({
+          error: "You can only perform this action for your own account.",
+          code: "OWNERSHIP_MISMATCH"
+        });
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = enforceOwnership;
@@ -0,0 +1,46 @@
+// requireRole.js
+
+// Roles are ordered: every role includes the permissions of the roles below it.
+const ROLE_LEVELS = {
+  user: 1,
+  moderator: 2,
+  admin: 3,
+};
+
+const ROLES = Object.keys(ROLE_LEVELS);
+
+function hasRole(userRole, requiredRole) {
+  return (ROLE_LEVELS[userRole] || 0) >= ROLE_LEVELS[requiredRole];
+}
+
+/**
+ * Route guard factory.
+ * Usage: router.get('/reports', requireRole('moderator'), handler)
+ *
+ * Lets the request through when req.userRole (set by authAndRateLimiterMiddleware)
+ * is the required role or a higher one.
+ */
+function requireRole(requiredRole) {
+  if (!ROLE_LEVELS[requiredRole]) {
+    throw new Error(`Unknown role "${requiredRole}" passed to requireRole`);
+  }
+
+  return (req, res, next) => {
+    if (!req.userId) {
+      return res.status(401).json({
+        error: "Authentication required",
+        code: "LOGIN_REQUIRED",
+        message: "Please log in to access this resource"
+      });
+    }
+
+    if (!hasRole(req.userRole, requiredRole)) {
+      console.warn(`Access denied for user ${req.userId} (role '${req.userRole}'), '${requiredRole}' required.`);
+      return res.status(403).json({ error: `This action requires the ${requiredRole} role.` });
+    }
+
+    next();
+  };
+}
+
+module.exports = { requireRole, hasRole, ROLES };
@@ -1,9 +1,8 @@
 const express = require('express');
 const passport = require('passport');
 const GitHubStrategy = require('passport-github2').Strategy;
-const crypto = require('crypto');
 const { supabase, supabaseAdmin } = require('../supabaseClient');
-const { generatePublicAuthToken } = require('../utils/generateAuthToken');
+const { createOAuthLoginCode } = require('../utils/loginSession');
 
 const router = express.Router();
 
@@ -110,62 +109,15 @@ router.get(
   passport.authenticate('github', { scope: ['user:email'], session: false })
 );
 
-// Modified callback route - redirect with tokens instead of JSON response
+// Modified callback route - redirect with a one-time login code instead of JSON response
 router.get(
   '/github/callback',
   passport.authenticate('github', { failureRedirect: '/login', session: false }),
   async (req, res) => {
     try {
-      const authToken = generatePublicAuthToken(req.user.id);
-      const sessionId = crypto.randomBytes(16).toString('hex');
-      const sessionToken = crypto.randomBytes(32).toString('hex');
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-      const deviceInfo = { user_agent: req.headers['user-agent'] || '' };
-  
-      // Mark all existing manage_logins records for this user as logged out
-      const { error: updateExistingLoginsError } = await supabaseAdmin
-        .from('manage_logins')
-        .update({ is_logged_in: false })
-        .eq('user_id', req.user.id);
-      if (updateExistingLoginsError) {
-        console.error('Error updating existing manage_logins records:', updateExistingLoginsError);
-      }
-  
-      // Insert new login record
-      const { error: manageLoginError } = await supabaseAdmin
-        .from('manage_logins')
-        .insert({
-          user_id: req.user.id,
-          session_id: sessionId,
-          device_info: deviceInfo,
-          method: 'github',
-          auth_token: authToken,
-          expires_at: expiresAt,
-          ip_address: req.ip,
-          is_logged_in: true
-        });
-      if (manageLoginError) {
-        console.error('Error inserting manage_logins record:', manageLoginError);
-      }
-  
-      // Insert session record
-      const generatedAt = Date.now();
-      const { error: sessionError } = await supabaseAdmin
-        .from('sessions')
-        .insert({
-          session_id: sessionId,
-          session_token: sessionToken,
-          user_agent: req.headers['user-agent'] || '',
-          language: req.headers['accept-language'] || '',
-          platform: '',
-          screen_resolution: '',
-          timezone_offset: null,
-          generated_at: generatedAt,
-          last_access: generatedAt,
-        });
-      if (sessionError) {
-        console.error('Error inserting sessions record:', sessionError);
-      }
+      // Tokens stay out of the redirect URL: the frontend exchanges this one-time code for them
+      // (POST /api/auth/oauth/exchange).
+      const code = await createOAuthLoginCode(req.user.id, 'github');
   
       // Redirect to your existing GitHub auth route with user data in URL params
       const frontendUrl = process.env.FRONTEND_URL || 'http://172.20.10.2:3001';
@@ -180,7 +132,7 @@ router.get(
       }));
       
       // Redirect to your existing GitHub auth callback route
-      return res.redirect(`${frontendUrl}/auth/github/callback?user=${userData}&authToken=${authToken}&sessionToken=${sessionToken}`);
+      return res.redirect(`${frontendUrl}/auth/github/callback?user=${userData}&code=${code}`);
     } catch (error) {
       console.error('Error generating tokens and session records:', error);
       const frontendUrl = process.env.FRONTEND_URL;
@@ -198,7 +150,7 @@ router.get('/github/user', async (req, res) => {
     }
 
     // You'll need to decode the auth token to get user ID
-    // This depends on your generatePublicAuthToken implementation
+    // This depends on your auth token implementation (see utils/generateAuthToken.js)
     // For now, assuming you have a way to get user ID from token
     
     // Alternative: get user from session or token validation
@@ -1,9 +1,8 @@
 const express = require('express');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
-const crypto = require('crypto');
 const { supabase, supabaseAdmin } = require('../supabaseClient');
-const { generatePublicAuthToken } = require('../utils/generateAuthToken');
+const { createOAuthLoginCode } = require('../utils/loginSession');
 const router = express.Router();
 
 // Helper function to generate a random username (e.g., "user746372")
@@ -116,63 +115,9 @@ router.get(
   passport.authenticate('google', { failureRedirect: '/login', session: false }),
   async (req, res) => {
     try {
-      // Generate the tokens
-      const authToken = generatePublicAuthToken(req.user.id);
-      const sessionId = crypto.randomBytes(16).toString('hex');
-      const sessionToken = crypto.randomBytes(32).toString('hex');
-  
-      // Define expiration (e.g., 24 hours)
-      const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-  
-      // Build device info using the request headers.
-      const deviceInfo = {
-        user_agent: req.headers['user-agent'] || '',
-      };
-  
-      // Mark all existing manage_logins records for this user as logged out.
-      const { error: updateExistingLoginsError } = await supabaseAdmin
-        .from('manage_logins')
-        .update({ is_logged_in: false })
-        .eq('user_id', req.user.id);
-      if (updateExistingLoginsError) {
-        console.error('Error updating existing manage_logins records:', updateExistingLoginsError);
-      }
-  
-      // Insert a record into the `manage_logins` table, marking this new login as active.
-      const { error: manageLoginError } = await supabaseAdmin
-        .from('manage_logins')
-        .insert({
-          user_id: req.user.id,
-          session_id: sessionId,
-          device_info: deviceInfo,
-          method: 'google',
-          auth_token: authToken,
-          expires_at: expiresAt,
-          ip_address: req.ip,
-          is_logged_in: true
-        });
-      if (manageLoginError) {
-        console.error('Error inserting manage_logins record:', manageLoginError);
-      }
-  
-      // Insert a record into the `sessions` table.
-      const generatedAt = Date.now();
-      const { error: sessionError } = await supabaseAdmin
-        .from('sessions')
-        .insert({
-          session_id: sessionId,
-          session_token: sessionToken,
-          user_agent: req.headers['user-agent'] || '',
-          language: req.headers['accept-language'] || '',
-          platform: '',
-          screen_resolution: '',
-          timezone_offset: null,
-          generated_at: generatedAt,
-          last_access: generatedAt,
-        });
-      if (sessionError) {
-        console.error('Error inserting sessions record:', sessionError);
-      }
+      // Tokens stay out of the redirect URL: the frontend exchanges this one-time code for them
+      // (POST /api/auth/oauth/exchange).
+      const code = await createOAuthLoginCode(req.user.id, 'google');
   
       // Redirect to frontend Google auth callback route with user data
         // Add this right before creating userData
@@ -187,7 +132,7 @@ router.get(
         created_at: req.user.created_at
       }));
       
-      return res.redirect(`${frontendUrl}/auth/google/callback?user=${userData}&authToken=${authToken}&sessionToken=${sessionToken}`);
+      return res.redirect(`${frontendUrl}/auth/google/callback?user=${userData}&code=${code}`);
     } catch (error) {
       console.error('Error generating tokens and session records:', error);
       const frontendUrl = process.env.FRONTEND_URL;
@@ -1,22 +1,33 @@
 const express = require('express');
 const router = express.Router();
 const { supabaseAdmin } = require('../supabaseClient'); // Import Supabase client
+const enforceOwnership = require('../Middleware/enforceOwnership');
 
 /*
   New Endpoint: POST /api/logout/:user_id
   - Logs out any active sessions of the specified user by setting is_logged_in to false.
-  - Only the user_id (in the URL) is required.
+  - Only the user_id (in the URL) is required; it must match the authenticated user.
+  - Pass ?scope=current to log out only the session making the request (other devices stay logged in).
 */
-router.post("/logout/:user_id", async (req, res) => {
+router.post("/logout/:user_id", enforceOwnership("params.user_id"), async (req, res) => {
   const { user_id } = req.params;
+  const scope = req.query.scope || "all";
+
+  if (!["all", "current"].includes(scope)) {
+    return res.status(400).json({ error: 'Invalid scope. Must be "all" or "current".' });
+  }
 
   try {
-    // Fetch any active sessions for the user.
-    const { data, error: fetchError } = await supabaseAdmin
+    // Fetch the active sessions to log out.
+    let fetchQuery = supabaseAdmin
       .from("manage_logins")
       .select("session_id")
       .eq("user_id", user_id)
       .eq("is_logged_in", true);
+    if (scope === "current") {
+      fetchQuery = fetchQuery.eq("session_id", req.sessionId);
+    }
+    const { data, error: fetchError } = await fetchQuery;
 
     if (fetchError) {
       console.error("Error fetching active sessions:", fetchError.message);
@@ -27,19 +38,23 @@ router.post("/logout/:user_id", async (req, res) => {
       return res.status(400).json({ error: "No active session found for this user." });
     }
 
-    // Update all active sessions for the user to mark them as logged out.
-    const { error: updateError } = await supabaseAdmin
+    // Mark the sessions as logged out.
+    let updateQuery = supabaseAdmin
       .from("manage_logins")
       .update({ is_logged_in: false })
       .eq("user_id", user_id)
       .eq("is_logged_in", true);
+    if (scope === "current") {
+      updateQuery = updateQuery.eq("session_id", req.sessionId);
+    }
+    const { error: updateError } = await updateQuery;
 
     if (updateError) {
       console.error("Error updating session:", updateError.message);
       return res.status(500).json({ error: "Error logging out: " + updateError.message });
     }
 
-    return res.status(200).json({ message: "Logged out successfully." });
+    return res.status(200).json({ message: "Logged out successfully.", scope });
   } catch (err) {
     console.error("Error during logout:", err.message);
     return res.status(500).json({ error: "Internal server error: " + err.message });
@@ -2,6 +2,17 @@ const nodemailer = require('nodemailer');
 const { supabase, supabaseAdmin } = require('../supabaseClient'); // Import Supabase clients
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { createLoginSession } = require('../utils/loginSession');
+const { hashToken } = require('../utils/generateAuthToken');
+const {
+  getTwoFactorRecord,
+  verifySecondFactor,
+  claimTwoFactorAttempt,
+  resetTwoFactorFailures,
+} = require('../utils/twoFactor');
+
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;        // Per challenge (the per-user lock is in utils/twoFactor.js)
 
 
 // Helper to generate 6-digit OTP
@@ -284,22 +295,6 @@ const signup = async (req, res) => {
 };
 
 
-// Helper: Generate a public auth token by merging the user ID with a secret.
-const generatePublicAuthToken = (userId) => {
-  const secret = process.env.USER_TOKEN_SECRET;
-  if (!secret) {
-    throw new Error('USER_TOKEN_SECRET is not set in environment variables');
-  }
-  const splitIndex = Math.floor(secret.length / 2);
-  const secretFirst = secret.slice(0, splitIndex);
-  const secretSecond = secret.slice(splitIndex);
-  const merged = secretFirst + userId + secretSecond;
-  const encodedMerged = Buffer.from(merged).toString('base64');
-  const prefix = crypto.randomBytes(10).toString('hex'); // 20 hex characters
-  const suffix = crypto.randomBytes(8).toString('hex');    // 16 hex characters
-  return prefix + encodedMerged + suffix;
-};
-
 // Function to handle user login
 const login = async (req, res) => {
   const { email, password } = req.body;
@@ -364,60 +359,24 @@ const login = async (req, res) => {
       return res.status(401).json({ error: 'Password is incorrect.' });
     }
 
-    // Mark any previously active sessions for this user as logged out.
-    // This will update all manage_logins entries for the user by setting is_logged_in to false.
-    const { error: updateExistingLoginsError } = await supabaseAdmin
-      .from('manage_logins')
-      .update({ is_logged_in: false })
-      .eq('user_id', loginData.user_id);
-    if (updateExistingLoginsError) {
-      console.error('Error updating existing manage_logins records:', updateExistingLoginsError);
-      // Optionally log the error but continue with current login.
-    }
-
-    // Generate authentication token and session details.
-    const publicAuthToken = generatePublicAuthToken(loginData.user_id);
-    const sessionId = crypto.randomBytes(16).toString('hex');
-    const sessionToken = crypto.randomBytes(32).toString('hex');
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24-hour expiry
-    const deviceInfo = { user_agent: req.headers['user-agent'] || '' };
-
-    // Insert the new session record in the manage_logins table.
-    const { error: manageLoginError } = await supabaseAdmin
-      .from('manage_logins')
-      .insert({
-        user_id: loginData.user_id,
-        session_id: sessionId,
-        device_info: deviceInfo,
-        method: 'public',
-        auth_token: publicAuthToken,
-        expires_at: expiresAt,
-        is_logged_in: true,
-        ip_address: ip
+    // With two-factor authentication enabled, the session is only created once /login/2fa succeeds.
+    const twoFactorRecord = await getTwoFactorRecord(loginData.user_id);
+    if (twoFactorRecord && twoFactorRecord.enabled) {
+      const challengeToken = await createTwoFactorChallenge(loginData.user_id, ip);
+      return res.status(200).json({
+        message: 'Two-factor authentication required.',
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS
       });
-    if (manageLoginError) {
-      console.error('Error inserting manage_logins record:', manageLoginError);
-      return res.status(500).json({ error: 'Login failed due to session management error. Please try again.' });
     }
 
-    // Insert a record in the sessions table.
-    const generatedAt = Date.now();
-    const { error: sessionError } = await supabaseAdmin
-      .from('sessions')
-      .insert({
-        session_id: sessionId,
-        session_token: sessionToken,
-        user_agent: req.headers['user-agent'] || '',
-        language: req.headers['accept-language'] || '',
-        platform: '',
-        screen_resolution: '',
-        timezone_offset: null,
-        generated_at: generatedAt,
-        last_access: generatedAt
-      });
-    if (sessionError) {
-      console.error('Error inserting sessions record:', sessionError);
-      return res.status(500).json({ error: 'Login failed due to session creation error. Please try again.' });
+    // Create the login session (signed access token, refresh token and session token).
+    let loginSession;
+    try {
+      loginSession = await createLoginSession(req, loginData.user_id, 'public', ip);
+    } catch (sessionErr) {
+      return res.status(500).json({ error: 'Login failed due to session management error. Please try again.' });
     }
 
     // Return successful login response.
@@ -428,8 +387,10 @@ const login = async (req, res) => {
         username: loginData.username,
         email: loginData.email
       },
-      authToken: publicAuthToken,
-      sessionToken: sessionToken
+      authToken: loginSession.authToken,
+      expiresIn: loginSession.expiresIn,
+      refreshToken: loginSession.refreshToken,
+      sessionToken: loginSession.sessionToken
     });
   } catch (err) {
     console.error('Login Error:', err.message);
@@ -440,6 +401,132 @@ const login = async (req, res) => {
   }
 };
 
+// Helper function: Store a login challenge that has to be completed with a second factor.
+// Returns the challenge token (only its hash is stored).
+const createTwoFactorChallenge = async (userId, ip) => {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    const { error } = await supabaseAdmin
+        .from('two_factor_challenges')
+        .insert([{
+            user_id: userId,
+            challenge_hash: hashToken(challengeToken),
+            ip_address: ip,
+            expires_at: new Date(Date.now() + TWO_FACTOR_CHALLENGE_TTL_SECONDS * 1000)
+        }]);
+    if (error) {
+        console.error('Error creating two-factor challenge:', error);
+        throw new Error('Error creating two-factor challenge.');
+    }
+    return challengeToken;
+};
+
+// Function to complete a login that returned twoFactorRequired
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }
+const completeTwoFactorLogin = async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
+
+  try {
+    if (!challengeToken) {
+      return res.status(400).json({ error: 'challengeToken is required.' });
+    }
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'A two-factor code or recovery code is required.' });
+    }
+
+    const challengeHash = hashToken(challengeToken);
+    const { data: challenge, error: challengeError } = await supabaseAdmin
+      .from('two_factor_challenges')
+      .select('id, user_id, attempts, expires_at, consumed_at')
+      .eq('challenge_hash', challengeHash)
+      .maybeSingle();
+    if (challengeError) {
+      console.error('Error fetching two-factor challenge:', challengeError);
+      return res.status(500).json({ error: 'Error processing login attempt. Please try again later.' });
+    }
+
+    if (!challenge || challenge.consumed_at || new Date(challenge.expires_at) <= new Date()
+      || challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      return res.status(401).json({ error: 'Login challenge expired or invalid. Please log in again.' });
+    }
+
+    const twoFactorRecord = await getTwoFactorRecord(challenge.user_id);
+    if (!twoFactorRecord || !twoFactorRecord.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled. Please log in again.' });
+    }
+
+    const attempt = await claimTwoFactorAttempt(challenge.user_id, {
+      challengeId: challenge.id,
+      maxChallengeAttempts: TWO_FACTOR_MAX_ATTEMPTS
+    });
+    if (attempt.result === 'locked') {
+      return res.status(403).json({
+        error: `Too many failed attempts. Two-factor authentication is locked. Try again after ${calculateLockRemaining(attempt.lock_expires_at)} minutes.`
+      });
+    }
+    if (attempt.result !== 'ok') {
+      return res.status(401).json({ error: 'Login challenge expired or invalid. Please log in again.' });
+    }
+
+    const { valid, method } = await verifySecondFactor(twoFactorRecord, { code, recoveryCode });
+    if (!valid) {
+      return res.status(401).json({
+        error: 'Invalid two-factor code.',
+        attemptsRemaining: Math.max(0, attempt.attempts_remaining)
+      });
+    }
+    await resetTwoFactorFailures(challenge.user_id);
+
+    // Consume the challenge; only one request can complete it.
+    const { data: consumed, error: consumeError } = await supabaseAdmin
+      .from('two_factor_challenges')
+      .update({ consumed_at: new Date().toISOString() })
+      .eq('id', challenge.id)
+      .is('consumed_at', null)
+      .select('id');
+    if (consumeError || !consumed || consumed.length === 0) {
+      return res.status(401).json({ error: 'Login challenge expired or invalid. Please log in again.' });
+    }
+
+    const { data: loginData, error: loginError } = await supabase
+      .from('public_logins')
+      .select('user_id, username, email')
+      .eq('user_id', challenge.user_id)
+      .single();
+    if (loginError || !loginData) {
+      return res.status(404).json({ error: 'User not found. Please register first.' });
+    }
+
+    let loginSession;
+    try {
+      loginSession = await createLoginSession(req, loginData.user_id, 'public', ip);
+    } catch (sessionErr) {
+      return res.status(500).json({ error: 'Login failed due to session management error. Please try again.' });
+    }
+
+    return res.status(200).json({
+      message: 'Login successful.',
+      user: {
+        id: loginData.user_id,
+        username: loginData.username,
+        email: loginData.email
+      },
+      twoFactorMethod: method,
+      recoveryCodesRemaining: method === 'recovery_code' ? twoFactorRecord.recovery_codes.length - 1 : undefined,
+      authToken: loginSession.authToken,
+      expiresIn: loginSession.expiresIn,
+      refreshToken: loginSession.refreshToken,
+      sessionToken: loginSession.sessionToken
+    });
+  } catch (err) {
+    console.error('Two-factor Login Error:', err.message);
+    return res.status(500).json({
+      error: 'Login failed. Please try again.',
+      details: err.message
+    });
+  }
+};
+
 // Helper function: Calculate lock remaining time
 const calculateLockRemaining = (lockedUntil) => {
     return Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000); // Remaining minutes
@@ -479,4 +566,5 @@ const handleFailedLogin = async (email, ip, attemptRecord) => {
 module.exports = {
     signup,
     login,
+    completeTwoFactorLogin,
 };
\ No newline at end of file
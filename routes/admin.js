@@ -0,0 +1,820 @@
+// admin.js
+
+const express = require('express');
+const { supabaseAdmin } = require('../supabaseClient');
+const { requireRole, ROLES } = require('../Middleware/requireRole');
+const { recordAudit } = require('../utils/auditLog');
+const { linkWallpaperTaxonomy } = require('../utils/wallpaperTaxonomy');
+const { removeImageFromStorage } = require('../utils/storage');
+const { saveWallpaperVariants, removeImageVariants, buildVariantsMap } = require('../utils/imageVariants');
+const { pickImageMetadata } = require('../utils/imageMetadata');
+const { publicationFields } = require('../utils/wallpaperPublishing');
+const { syncWallpaperInSearchIndex } = require('../utils/searchIndex');
+const { DUPLICATE_MAX_DISTANCE, buildDuplicateClusters } = require('../utils/perceptualHash');
+const { escapeHtml, sendNotificationEmail } = require('../utils/mailer');
+const { notify } = require('../utils/notifications');
+const { publishToUser } = require('../utils/realtime');
+const { getStore: getRateLimitStore, RATE_LIMIT_POLICIES } = require('../utils/rateLimiter');
+const { listFailedUploadJobs, retryFailedUploadJob, formatUploadJob } = require('../utils/uploadJobs');
+
+const router = express.Router();
+
+const QUEUE_DEFAULT_LIMIT = 20;
+const QUEUE_MAX_LIMIT = 100;
+const DUPLICATE_DEFAULT_DAYS = 30;   // /duplicates compares wallpapers uploaded this recently against all others
+const DUPLICATE_MAX_DAYS = 365;
+const DUPLICATE_MAX_PAIRS = 5000;
+const BULK_MAX_ITEMS = 50;
+
+// Helper: Accept a list either as an array or as a comma separated string.
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+  }
+  return null;
+};
+
+// Helper: Fetch a pending wallpaper row by id.
+const getPendingWallpaper = async (pendingId) => {
+  const { data, error } = await supabaseAdmin
+    .from('pending_wallpapers')
+    .select('*')
+    .eq('id', pendingId)
+    .single();
+  if (error || !data) return null;
+  return data;
+};
+
+/**
+ * Helper: Take a queued pending wallpaper for one decision ('approving' / 'rejecting'), so parallel
+ * approvals / rejections of the same item can't both go through. Claimed rows leave the queue.
+ * Returns { status, error } when it can't be claimed or { pending } with the claimed row.
+ */
+const claimPendingWallpaper = async (pendingId, claimStatus) => {
+  const { data: pending, error } = await supabaseAdmin
+    .from('pending_wallpapers')
+    .update({ status: claimStatus })
+    .eq('id', pendingId)
+    .eq('status', 'manual_approval')
+    .select()
+    .maybeSingle();
+  if (error) {
+    return { status: 500, error: 'Error claiming pending wallpaper: ' + error.message };
+  }
+  if (pending) {
+    return { pending };
+  }
+  return await getPendingWallpaper(pendingId)
+    ? { status: 409, error: 'This wallpaper is already being reviewed.' }
+    : { status: 404, error: 'Pending wallpaper not found.' };
+};
+
+// Helper: Put a claimed pending wallpaper back in the queue after a decision failed.
+const releasePendingWallpaper = async (pendingId, claimStatus) => {
+  const { error } = await supabaseAdmin
+    .from('pending_wallpapers')
+    .update({ status: 'manual_approval' })
+    .eq('id', pendingId)
+    .eq('status', claimStatus);
+  if (error) {
+    console.error(`Error releasing pending wallpaper ${pendingId}:`, error.message);
+  }
+};
+
+/**
+ * Approve a pending wallpaper: move the row into "wallpapers" and run the same
+ * category / style / hashtag linking that auto-approved uploads get.
+ * Moderators may override the category, styles and hashtags stored on the pending row.
+ * Returns { status, error } on failure or { status, wallpaper } on success.
+ */
+const approvePendingWallpaper = async (pendingId, overrides = {}) => {
+  const claim = await claimPendingWallpaper(pendingId, 'approving');
+  if (claim.error) {
+    return claim;
+  }
+  const { pending } = claim;
+
+  const category = overrides.category || pending.category;
+  if (!category) {
+    await releasePendingWallpaper(pendingId, 'approving');
+    return { status: 400, error: 'A category is required to approve this wallpaper.' };
+  }
+  const styles = toList(overrides.styles) || pending.styles || [];
+  const hashtags = toList(overrides.hashtags) || pending.hashtags || [];
+
+  const { data: wallpaper, error: insertError } = await supabaseAdmin
+    .from('wallpapers')
+    .insert([{
+      user_id: pending.user_id,
+      title: pending.title,
+      description: pending.description,
+      image_url: pending.image_url,
+      ...publicationFields(pending), // The draft / schedule requested at upload
+      phash: pending.phash,
+      ...pickImageMetadata(pending)
+    }])
+    .select()
+    .single();
+  if (insertError) {
+    await releasePendingWallpaper(pendingId, 'approving');
+    return { status: 500, error: 'Error publishing wallpaper: ' + insertError.message };
+  }
+
+  await linkWallpaperTaxonomy(wallpaper.id, { category, styles, hashtags });
+  await saveWallpaperVariants(wallpaper.id, pending.variants);
+  await syncWallpaperInSearchIndex(wallpaper.id);
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('pending_wallpapers')
+    .delete()
+    .eq('id', pendingId);
+  if (deleteError) {
+    // The wallpaper is already live; the row stays claimed ("approving"), out of the queue, so it can't be approved twice.
+    console.error(`Error removing approved pending wallpaper ${pendingId}:`, deleteError.message);
+  }
+
+  await notify({
+    userId: pending.user_id,
+    type: 'wallpaper_approved',
+    data: { wallpaper_id: wallpaper.id, wallpaper_title: pending.title, status: wallpaper.status }
+  });
+  publishToUser(pending.user_id, 'moderation', {
+    result: 'approved',
+    pending_id: pending.id,
+    wallpaper_id: wallpaper.id,
+    title: pending.title
+  });
+
+  return { status: 200, wallpaper };
+};
+
+/**
+ * Reject a pending wallpaper: delete the stored image, record the decision in
+ * "not_approved_images", remove the queue row and email the uploader the reason.
+ * Returns { status, error } on failure or { status, rejected } on success.
+ */
+const rejectPendingWallpaper = async (pendingId, reason) => {
+  const claim = await claimPendingWallpaper(pendingId, 'rejecting');
+  if (claim.error) {
+    return claim;
+  }
+  const { pending } = claim;
+
+  try {
+    await removeImageFromStorage(pending.image_url);
+  } catch (err) {
+    console.error(`Error deleting image for pending wallpaper ${pendingId}:`, err.message);
+    await releasePendingWallpaper(pendingId, 'rejecting');
+    return { status: 500, error: 'Failed to delete image file from storage.' };
+  }
+  await removeImageVariants(pending.variants);
+
+  const { error: recordError } = await supabaseAdmin
+    .from('not_approved_images')
+    .insert([{ user_id: pending.user_id, image_url: pending.image_url, reason }]);
+  if (recordError) {
+    console.error('Error recording rejected wallpaper:', recordError.message);
+  }
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('pending_wallpapers')
+    .delete()
+    .eq('id', pendingId);
+  if (deleteError) {
+    return { status: 500, error: 'Failed to delete pending wallpaper record.' };
+  }
+
+  // Let the uploader know why the wallpaper was not published. Titles are stored HTML-escaped already (upload validators).
+  const { data: uploader } = await supabaseAdmin
+    .from('users')
+    .select('email')
+    .eq('id', pending.user_id)
+    .maybeSingle();
+  if (uploader && uploader.email) {
+    await sendNotificationEmail(
+      uploader.email,
+      'Your wallpaper was not approved',
+      `Your wallpaper "<strong>${pending.title}</strong>" was reviewed and could not be published.<br/><br/>Reason: ${escapeHtml(reason)}`
+    );
+  }
+
+  await notify({
+    userId: pending.user_id,
+    type: 'wallpaper_rejected',
+    data: { wallpaper_title: pending.title, reason }
+  });
+  publishToUser(pending.user_id, 'moderation', { result: 'rejected', pending_id: pending.id, title: pending.title, reason });
+
+  return { status: 200, rejected: { id: pending.id, user_id: pending.user_id, reason } };
+};
+
+/**
+ * GET /api/admin/moderation/queue
+ * Lists wallpapers waiting for manual approval.
+ *
+ * Query parameters (all optional):
+ *    user_id - only items uploaded by this user
+ *    q       - case-insensitive match on the title
+ *    from/to - ISO dates bounding created_at
+ *    sort    - "oldest" (default) or "newest"
+ *    page    - 1-based page number (default 1)
+ *    limit   - page size (default 20, max 100)
+ */
+router.get('/moderation/queue', requireRole('moderator'), async (req, res) => {
+  try {
+    const { user_id, q, from, to, sort } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || QUEUE_DEFAULT_LIMIT, 1), QUEUE_MAX_LIMIT);
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('pending_wallpapers')
+      .select('*', { count: 'exact' })
+      .eq('status', 'manual_approval');
+    if (user_id) query = query.eq('user_id', user_id);
+    if (q) query = query.ilike('title', `%${q}%`);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data: queue, error, count } = await query
+      .order('created_at', { ascending: sort !== 'newest' })
+      .range(offset, offset + limit - 1);
+    if (error) {
+      return res.status(500).json({ error: 'Error fetching moderation queue: ' + error.message });
+    }
+
+    // Attach uploader profile details so reviewers can see who uploaded each item.
+    const uploaderIds = Array.from(new Set(queue.map(item => item.user_id)));
+    let profilesByUser = {};
+    if (uploaderIds.length > 0) {
+      const { data: profiles, error: profilesError } = await supabaseAdmin
+        .from('profiles')
+        .select('id, user_id, username, dp')
+        .in('user_id', uploaderIds);
+      if (profilesError) {
+        console.error('Error fetching uploader profiles:', profilesError.message);
+      } else {
+        profiles.forEach(profile => { profilesByUser[profile.user_id] = profile; });
+      }
+    }
+
+    const items = queue.map(item => ({
+      ...item,
+      variants: buildVariantsMap(item.variants),
+      uploader_profile: profilesByUser[item.user_id] || null
+    }));
+
+    return res.status(200).json({
+      queue: items,
+      pagination: { page, limit, total: count || 0 }
+    });
+  } catch (err) {
+    console.error('Error fetching moderation queue:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/admin/moderation/queue/bulk
+ * Request JSON body:
+ * {
+ *   "ids": [1, 2, 3],
+ *   "action": "approve" | "reject",
+ *   "reason": "Required when rejecting",
+ *   "category": "Optional category override applied to every approved item"
+ * }
+ * Each item is processed independently; the response lists the outcome per id.
+ */
+router.post('/moderation/queue/bulk', requireRole('moderator'), async (req, res) => {
+  try {
+    const { ids, action, reason, category } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a non-empty array.' });
+    }
+    if (ids.length > BULK_MAX_ITEMS) {
+      return res.status(400).json({ error: `A maximum of ${BULK_MAX_ITEMS} items can be processed at once.` });
+    }
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: "action must be 'approve' or 'reject'." });
+    }
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({ error: 'reason is required when rejecting.' });
+    }
+
+    const results = [];
+    for (const id of ids) {
+      const outcome = action === 'approve'
+        ? await approvePendingWallpaper(id, { category })
+        : await rejectPendingWallpaper(id, reason);
+      results.push({
+        id,
+        success: !outcome.error,
+        ...(outcome.error ? { error: outcome.error } : {}),
+        ...(outcome.wallpaper ? { wallpaper_id: outcome.wallpaper.id } : {})
+      });
+    }
+
+    await recordAudit(req, {
+      action: `moderation.bulk_${action}`,
+      targetType: 'pending_wallpaper',
+      targetId: null,
+      details: { ids, reason: reason || null, category: category || null, results }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+    return res.status(200).json({
+      message: `${succeeded} of ${ids.length} items ${action === 'approve' ? 'approved' : 'rejected'}.`,
+      results
+    });
+  } catch (err) {
+    console.error('Error processing bulk moderation:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/admin/moderation/queue/:id
+ * Returns a single pending wallpaper with its stored classification and moderation reason.
+ */
+router.get('/moderation/queue/:id', requireRole('moderator'), async (req, res) => {
+  try {
+    const pending = await getPendingWallpaper(req.params.id);
+    if (!pending) {
+      return res.status(404).json({ error: 'Pending wallpaper not found.' });
+    }
+    return res.status(200).json({ item: { ...pending, variants: buildVariantsMap(pending.variants) } });
+  } catch (err) {
+    console.error('Error fetching pending wallpaper:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/admin/moderation/queue/:id/approve
+ * Optional JSON body to override the model's classification:
+ * {
+ *   "category": "nature",
+ *   "styles": ["minimal", "dark"],
+ *   "hashtags": ["forest", "fog"]
+ * }
+ */
+router.post('/moderation/queue/:id/approve', requireRole('moderator'), async (req, res) => {
+  try {
+    const { category, styles, hashtags } = req.body || {};
+    const outcome = await approvePendingWallpaper(req.params.id, { category, styles, hashtags });
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    await recordAudit(req, {
+      action: 'moderation.approve',
+      targetType: 'pending_wallpaper',
+      targetId: req.params.id,
+      details: { wallpaper_id: outcome.wallpaper.id, category: category || null, styles: styles || null, hashtags: hashtags || null }
+    });
+    return res.status(200).json({ message: 'Wallpaper approved and published.', wallpaper: outcome.wallpaper });
+  } catch (err) {
+    console.error('Error approving wallpaper:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/admin/moderation/queue/:id/reject
+ * Request JSON body:
+ * {
+ *   "reason": "Why the wallpaper is rejected (sent to the uploader)"
+ * }
+ */
+router.post('/moderation/queue/:id/reject', requireRole('moderator'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason) {
+      return res.status(400).json({ error: 'reason is required.' });
+    }
+    const outcome = await rejectPendingWallpaper(req.params.id, reason);
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    await recordAudit(req, {
+      action: 'moderation.reject',
+      targetType: 'pending_wallpaper',
+      targetId: req.params.id,
+      details: { user_id: outcome.rejected.user_id, reason }
+    });
+    return res.status(200).json({ message: 'Wallpaper rejected.', rejected: outcome.rejected });
+  } catch (err) {
+    console.error('Error rejecting wallpaper:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:user_id/role
+ * Request JSON body:
+ * {
+ *   "role": "user" | "moderator" | "admin"
+ * }
+ * Admins cannot change their own role, so an admin can never lock themselves out by accident.
+ */
+router.put('/users/:user_id/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}.` });
+    }
+    if (user_id === req.userId) {
+      return res.status(400).json({ error: 'You cannot change your own role.' });
+    }
+
+    const { data: existingUser, error: fetchError } = await supabaseAdmin
+      .from('users')
+      .select('id, role')
+      .eq('id', user_id)
+      .single();
+    if (fetchError || !existingUser) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const { data: updatedUser, error: updateError } = await supabaseAdmin
+      .from('users')
+      .update({ role })
+      .eq('id', user_id)
+      .select('id, username, email, role')
+      .single();
+    if (updateError) {
+      return res.status(500).json({ error: 'Failed to update role: ' + updateError.message });
+    }
+
+    await recordAudit(req, {
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user_id,
+      details: { previous_role: existingUser.role || 'user', new_role: role }
+    });
+
+    return res.status(200).json({ message: 'Role updated successfully.', user: updatedUser });
+  } catch (err) {
+    console.error('Error updating user role:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/admin/categories
+ * Request JSON body:
+ * {
+ *   "name": "Category name"
+ * }
+ */
+router.post('/categories', requireRole('admin'), async (req, res) => {
+  try {
+    const name = (req.body && req.body.name ? String(req.body.name) : '').toLowerCase().trim();
+    if (!name) {
+      return res.status(400).json({ error: 'name is required.' });
+    }
+
+    const { data: category, error } = await supabaseAdmin
+      .from('categories')
+      .insert([{ name }])
+      .select()
+      .single();
+    if (error) {
+      return res.status(409).json({ error: 'Error creating category: ' + error.message });
+    }
+
+    await recordAudit(req, { action: 'category.create', targetType: 'category', targetId: category.id, details: { name } });
+
+    return res.status(201).json({ message: 'Category created successfully.', category });
+  } catch (err) {
+    console.error('Error creating category:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * PATCH /api/admin/categories/:id
+ * Request JSON body:
+ * {
+ *   "name": "New category name"
+ * }
+ */
+router.patch('/categories/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const name = (req.body && req.body.name ? String(req.body.name) : '').toLowerCase().trim();
+    if (!name) {
+      return res.status(400).json({ error: 'name is required.' });
+    }
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+      .from('categories')
+      .select('id, name')
+      .eq('id', id)
+      .single();
+    if (fetchError || !existing) {
+      return res.status(404).json({ error: 'Category not found.' });
+    }
+
+    const { data: category, error } = await supabaseAdmin
+      .from('categories')
+      .update({ name })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) {
+      return res.status(409).json({ error: 'Error renaming category: ' + error.message });
+    }
+
+    await recordAudit(req, {
+      action: 'category.rename',
+      targetType: 'category',
+      targetId: id,
+      details: { previous_name: existing.name, new_name: name }
+    });
+
+    return res.status(200).json({ message: 'Category updated successfully.', category });
+  } catch (err) {
+    console.error('Error updating category:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * DELETE /api/admin/categories/:id
+ * Removes the category; wallpaper links and thumbnails are removed by cascade.
+ */
+router.delete('/categories/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchError } = await supabaseAdmin
+      .from('categories')
+      .select('id, name')
+      .eq('id', id)
+      .single();
+    if (fetchError || !existing) {
+      return res.status(404).json({ error: 'Category not found.' });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('categories')
+      .delete()
+      .eq('id', id);
+    if (error) {
+      return res.status(500).json({ error: 'Error deleting category: ' + error.message });
+    }
+
+    await recordAudit(req, { action: 'category.delete', targetType: 'category', targetId: id, details: { name: existing.name } });
+
+    return res.status(200).json({ message: 'Category deleted successfully.' });
+  } catch (err) {
+    console.error('Error deleting category:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Lists privileged actions, newest first.
+ *
+ * Query parameters (all optional):
+ *    actor_id    - only actions performed by this user
+ *    action      - exact action name, e.g. "moderation.approve"
+ *    target_type - e.g. "pending_wallpaper", "report", "user"
+ *    page/limit  - 1-based paging (default 1 / 20, max 100)
+ */
+router.get('/audit-log', requireRole('admin'), async (req, res) => {
+  try {
+    const { actor_id, action, target_type } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || QUEUE_DEFAULT_LIMIT, 1), QUEUE_MAX_LIMIT);
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('admin_audit_log')
+      .select('*', { count: 'exact' });
+    if (actor_id) query = query.eq('actor_id', actor_id);
+    if (action) query = query.eq('action', action);
+    if (target_type) query = query.eq('target_type', target_type);
+
+    const { data: entries, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) {
+      return res.status(500).json({ error: 'Error fetching audit log: ' + error.message });
+    }
+
+    return res.status(200).json({ entries, pagination: { page, limit, total: count || 0 } });
+  } catch (err) {
+    console.error('Error fetching audit log:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/admin/wallpapers/:id/edits
+ * Edit history of a wallpaper (owner edits of title, description, hashtags, category and styles), newest first.
+ * Each entry: { id, editor_id, editor_username, changes: { field: { from, to } }, created_at }
+ */
+router.get('/wallpapers/:id/edits', requireRole('moderator'), async (req, res) => {
+  try {
+    const { data: edits, error } = await supabaseAdmin
+      .from('wallpaper_edits')
+      .select('id, editor_id, changes, created_at')
+      .eq('wallpaper_id', req.params.id)
+      .order('created_at', { ascending: false });
+    if (error) {
+      console.error('Error fetching wallpaper edits:', error.message);
+      return res.status(500).json({ error: 'Error fetching wallpaper edits.' });
+    }
+
+    const editorIds = [...new Set(edits.map(edit => edit.editor_id).filter(Boolean))];
+    let usernames = {};
+    if (editorIds.length > 0) {
+      const { data: users } = await supabaseAdmin
+        .from('users')
+        .select('id, username')
+        .in('id', editorIds);
+      usernames = Object.fromEntries((users || []).map(user => [user.id, user.username]));
+    }
+
+    return res.status(200).json({
+      wallpaper_id: req.params.id,
+      edits: edits.map(edit => ({ ...edit, editor_username: usernames[edit.editor_id] || null }))
+    });
+  } catch (err) {
+    console.error('Error fetching wallpaper edits:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/admin/duplicates
+ * Lists clusters of published wallpapers with the same or nearly the same image
+ * (perceptual hashes within max_distance bits), largest clusters first. Only pairs involving a wallpaper
+ * uploaded in the last `since_days` days are looked at, so the comparison stays bounded as the catalog grows.
+ *
+ * Query parameters (optional):
+ *    max_distance - Hamming distance threshold (default: DUPLICATE_MAX_DISTANCE, max 16)
+ *    since_days   - How far back uploads are checked (default 30, max 365)
+ *    limit        - Maximum number of clusters (default 20, max 100)
+ */
+router.get('/duplicates', requireRole('moderator'), async (req, res) => {
+  try {
+    const requestedDistance = parseInt(req.query.max_distance, 10);
+    const maxDistance = Number.isInteger(requestedDistance)
+      ? Math.min(Math.max(requestedDistance, 0), 16)
+      : DUPLICATE_MAX_DISTANCE;
+    const sinceDays = Math.min(Math.max(parseInt(req.query.since_days, 10) || DUPLICATE_DEFAULT_DAYS, 1), DUPLICATE_MAX_DAYS);
+    const since = new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000).toISOString();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || QUEUE_DEFAULT_LIMIT, 1), QUEUE_MAX_LIMIT);
+
+    const { data: pairs, error: pairsError } = await supabaseAdmin
+      .rpc('find_duplicate_wallpaper_pairs', {
+        p_max_distance: maxDistance,
+        p_since: since,
+        p_limit: DUPLICATE_MAX_PAIRS
+      });
+    if (pairsError) {
+      console.error('Error fetching duplicate pairs:', pairsError.message);
+      return res.status(500).json({ error: 'Error fetching duplicate wallpapers.' });
+    }
+
+    const clusters = buildDuplicateClusters(pairs || []).slice(0, limit);
+    const ids = [...new Set(clusters.flatMap(cluster => cluster.ids))];
+
+    let wallpapersById = {};
+    if (ids.length > 0) {
+      const { data: wallpapers, error: wpError } = await supabaseAdmin
+        .from('wallpapers')
+        .select('id, user_id, title, image_url, width, height, file_size, created_at')
+        .in('id', ids);
+      if (wpError) {
+        console.error('Error fetching duplicate wallpapers:', wpError.message);
+        return res.status(500).json({ error: 'Error fetching duplicate wallpapers.' });
+      }
+      wallpapersById = Object.fromEntries(wallpapers.map(wallpaper => [wallpaper.id, wallpaper]));
+    }
+
+    return res.status(200).json({
+      max_distance: maxDistance,
+      since_days: sinceDays,
+      clusters: clusters.map(cluster => ({
+        size: cluster.ids.length,
+        // Oldest first: usually the original upload
+        wallpapers: cluster.ids
+          .map(id => wallpapersById[id])
+          .filter(Boolean)
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+        pairs: cluster.pairs
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching duplicate clusters:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/admin/upload-jobs/failed
+ * Dead-letter list: uploads whose processing failed after all retries, newest first.
+ *
+ * Query parameters (optional):
+ *    limit  - Number of jobs (default 20, max 100)
+ *    offset - Pagination offset (default 0)
+ */
+router.get('/upload-jobs/failed', requireRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || QUEUE_DEFAULT_LIMIT, 1), QUEUE_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { jobs, total } = await listFailedUploadJobs({ limit, offset });
+
+    return res.status(200).json({
+      total,
+      limit,
+      offset,
+      jobs: jobs.map(job => ({
+        ...formatUploadJob(job),
+        user_id: job.user_id,
+        title: job.title,
+        file_name: job.file_name
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching failed upload jobs:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/admin/upload-jobs/:id/retry
+ * Puts a failed upload back in the queue with a fresh set of attempts.
+ */
+router.post('/upload-jobs/:id/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const outcome = await retryFailedUploadJob(req.params.id);
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    await recordAudit(req, { action: 'upload_job.retry', targetType: 'upload_job', targetId: outcome.job.id, details: { user_id: outcome.job.user_id } });
+
+    return res.status(200).json({ message: 'Upload job queued again.', job: formatUploadJob(outcome.job) });
+  } catch (err) {
+    console.error('Error retrying upload job:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/admin/rate-limit/blocks
+ * Lists IP blocks issued by the rate limiter, newest first.
+ *
+ * Query parameters (optional):
+ *    active - "false" to include expired and lifted blocks (default: only active blocks)
+ */
+router.get('/rate-limit/blocks', requireRole('admin'), async (req, res) => {
+  try {
+    const activeOnly = req.query.active !== 'false';
+    const store = getRateLimitStore();
+    const blocks = await store.listBlocks({ activeOnly });
+
+    return res.status(200).json({
+      store: store.name,
+      policies: RATE_LIMIT_POLICIES.map(({ name, methods, paths, limit, windowMs, blockMs }) => ({
+        name, methods: methods || null, paths, limit, windowMs, blockMs
+      })),
+      blocks
+    });
+  } catch (err) {
+    console.error('Error fetching rate limit blocks:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * DELETE /api/admin/rate-limit/blocks/:id
+ * Lifts an active IP block before it expires. The block stays in the history
+ * and still counts towards escalation of future blocks.
+ */
+router.delete('/rate-limit/blocks/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const lifted = await getRateLimitStore().liftBlock(req.params.id);
+    if (!lifted) {
+      return res.status(404).json({ error: 'Active block not found.' });
+    }
+
+    await recordAudit(req, { action: 'rate_limit.lift_block', targetType: 'blocked_ip', targetId: lifted.id, details: { ip: lifted.ip, route: lifted.route } });
+
+    return res.status(200).json({ message: 'Block lifted successfully.', block: lifted });
+  } catch (err) {
+    console.error('Error lifting rate limit block:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
@@ -1,43 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto'); // Already imported, good.
 
 // Import your Supabase Admin client
 const { supabaseAdmin } = require('../supabaseClient');
+const { verifyAccessToken } = require('../utils/generateAuthToken');
+const { refreshLoginSession, redeemOAuthLoginCode } = require('../utils/loginSession');
 
-// Helper function to decode and verify auth token (remains the same)
+// Helper function to verify the signed access token and check it belongs to userId.
+// Returns the token's sessionId, or null when the token is invalid, expired or for another user.
 const verifyAuthToken = (authToken, userId) => {
   try {
-    const secret = process.env.USER_TOKEN_SECRET;
-    if (!secret) {
-      console.error('USER_TOKEN_SECRET is not set.');
-      return false;
-    }
-
-    // Remove prefix (20 hex chars) and suffix (16 hex chars)
-    const prefixLength = 20;
-    const suffixLength = 16;
-    
-    if (authToken.length <= prefixLength + suffixLength) {
-      console.warn('Auth token too short for verification.');
-      return false;
-    }
-
-    const encodedMerged = authToken.slice(prefixLength, -suffixLength);
-    
-    // Decode the base64 encoded part
-    const merged = Buffer.from(encodedMerged, 'base64').toString();
-    
-    // Reconstruct the expected merged string
-    const splitIndex = Math.floor(secret.length / 2);
-    const secretFirst = secret.slice(0, splitIndex);
-    const secretSecond = secret.slice(splitIndex);
-    const expectedMerged = secretFirst + userId + secretSecond;
-    
-    return merged === expectedMerged;
+    const { userId: tokenUserId, sessionId } = verifyAccessToken(authToken);
+    return tokenUserId === userId ? sessionId : null;
   } catch (error) {
-    console.error('Error verifying auth token:', error);
-    return false;
+    console.warn('Auth token verification failed:', error.message);
+    return null;
   }
 };
 
@@ -83,18 +60,19 @@ router.get('/vailed', async (req, res) => {
     }
     // --- End header extraction ---
 
-    // Verify auth token format matches user ID
-    if (!verifyAuthToken(authToken, userId)) {
+    // Verify the auth token signature / expiry and that it was issued to this user ID
+    const tokenSessionId = verifyAuthToken(authToken, userId);
+    if (!tokenSessionId) {
       console.warn('Validation failed: Auth token verification failed.');
-      return res.status(401).json({ valid: false, message: 'Invalid authentication token.' });
+      return res.status(401).json({ valid: false, message: 'Invalid or expired authentication token.' });
     }
 
-    // Check manage_logins table for valid auth token and login status
+    // Check manage_logins table for the token's session and login status
     const { data: loginData, error: loginError } = await supabaseAdmin
       .from('manage_logins')
       .select('session_id, expires_at, is_logged_in')
       .eq('user_id', userId)
-      .eq('auth_token', authToken)
+      .eq('session_id', tokenSessionId)
       .eq('is_logged_in', true)
       .single();
 
@@ -135,4 +113,200 @@ router.get('/vailed', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ *
+ * Exchanges a refresh token for a new access token. The refresh token is rotated
+ * (the old one stops working) and the login session is extended by 24 hours.
+ *
+ * Body: { "refreshToken": "..." }
+ * Returns: { authToken, expiresIn, refreshToken, sessionExpiresAt }
+ */
+router.post('/refresh', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const refreshToken = req.body && req.body.refreshToken;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'refreshToken is required.' });
+    }
+
+    const result = await refreshLoginSession(refreshToken);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    const { session } = result;
+    return res.status(200).json({
+      message: 'Token refreshed.',
+      authToken: session.authToken,
+      expiresIn: session.expiresIn,
+      refreshToken: session.refreshToken,
+      sessionExpiresAt: session.expiresAt
+    });
+  } catch (error) {
+    console.error('Error refreshing auth token:', error);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/auth/oauth/exchange
+ *
+ * Completes a Google / GitHub login: exchanges the one-time code from the OAuth callback redirect
+ * (valid for 60 seconds) for the login session.
+ *
+ * Body: { "code": "..." }
+ * Returns: { userId, authToken, expiresIn, refreshToken, sessionToken }
+ */
+router.post('/oauth/exchange', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    const code = req.body && req.body.code;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'code is required.' });
+    }
+
+    const result = await redeemOAuthLoginCode(req, code);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, code: result.code });
+    }
+
+    const { session } = result;
+    return res.status(200).json({
+      message: 'Login successful.',
+      userId: result.userId,
+      authToken: session.authToken,
+      expiresIn: session.expiresIn,
+      refreshToken: session.refreshToken,
+      sessionToken: session.sessionToken
+    });
+  } catch (error) {
+    console.error('Error exchanging OAuth login code:', error);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ *
+ * Lists the authenticated user's active login sessions (one per device).
+ * Returns: { sessions: [{ id, method, device_info, ip_address, created_at, expires_at, last_access, current }] }
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const { data: logins, error: loginsError } = await supabaseAdmin
+      .from('manage_logins')
+      .select('id, session_id, method, device_info, ip_address, created_at, expires_at')
+      .eq('user_id', req.userId)
+      .eq('is_logged_in', true)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (loginsError) {
+      console.error('Error fetching active sessions:', loginsError.message);
+      return res.status(500).json({ error: 'Error fetching sessions.' });
+    }
+
+    // Last access is tracked on the sessions table (BIGINT ms timestamp).
+    const sessionIds = logins.map(login => login.session_id);
+    const lastAccessMap = {};
+    if (sessionIds.length > 0) {
+      const { data: sessionRows, error: sessionsError } = await supabaseAdmin
+        .from('sessions')
+        .select('session_id, last_access')
+        .in('session_id', sessionIds);
+      if (sessionsError) {
+        console.error('Error fetching session last access:', sessionsError.message);
+      } else {
+        sessionRows.forEach(row => {
+          lastAccessMap[row.session_id] = row.last_access;
+        });
+      }
+    }
+
+    const sessions = logins.map(login => ({
+      id: login.id,
+      method: login.method,
+      device_info: login.device_info,
+      ip_address: login.ip_address,
+      created_at: login.created_at,
+      expires_at: login.expires_at,
+      last_access: lastAccessMap[login.session_id]
+        ? new Date(Number(lastAccessMap[login.session_id])).toISOString()
+        : null,
+      current: login.session_id === req.sessionId
+    }));
+
+    return res.status(200).json({ sessions });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/auth/sessions/revoke-others
+ *
+ * Logs out every active session of the authenticated user except the current one.
+ */
+router.post('/sessions/revoke-others', async (req, res) => {
+  try {
+    const { data: revoked, error } = await supabaseAdmin
+      .from('manage_logins')
+      .update({ is_logged_in: false })
+      .eq('user_id', req.userId)
+      .eq('is_logged_in', true)
+      .neq('session_id', req.sessionId)
+      .select('id');
+
+    if (error) {
+      console.error('Error revoking other sessions:', error.message);
+      return res.status(500).json({ error: 'Error revoking sessions.' });
+    }
+
+    return res.status(200).json({ message: 'Other sessions logged out.', revoked: revoked.length });
+  } catch (error) {
+    console.error('Error revoking other sessions:', error);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ *
+ * Logs out a single session (the id from GET /api/auth/sessions) of the authenticated user.
+ */
+router.delete('/sessions/:id', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { data: revoked, error } = await supabaseAdmin
+      .from('manage_logins')
+      .update({ is_logged_in: false })
+      .eq('id', id)
+      .eq('user_id', req.userId)
+      .eq('is_logged_in', true)
+      .select('id, session_id');
+
+    if (error) {
+      console.error('Error revoking session:', error.message);
+      return res.status(500).json({ error: 'Error revoking session.' });
+    }
+
+    if (!revoked || revoked.length === 0) {
+      return res.status(404).json({ error: 'Active session not found.' });
+    }
+
+    return res.status(200).json({
+      message: 'Session logged out.',
+      current: revoked[0].session_id === req.sessionId
+    });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,303 @@
+// collections.js
+// Collections (boards) of wallpapers. Owners create, edit, reorder and fill them; public collections show up on
+// profiles, can be followed and are searchable. The default "Saved" collection is what /api/fetch/saved reads and writes.
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  collectionValidators,
+  canViewCollection,
+  getCollection,
+  getDefaultCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addToCollection,
+  removeFromCollection,
+  reorderCollection,
+  listCollectionItems,
+  enrichCollections,
+  listUserCollections,
+  listFollowedCollections,
+  searchCollections,
+  followCollection,
+  unfollowCollection,
+} = require('../utils/collections');
+
+const router = express.Router();
+
+// Helper: page / limit query parameters (default 1 / 20, at most 100 per page).
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// Helper: Loads the collection into req.collection if the user may see it (owner only when ownerOnly).
+const loadCollection = ({ ownerOnly = false } = {}) => async (req, res, next) => {
+  try {
+    const collection = await getCollection(req.params.id);
+    if (!collection || !canViewCollection(collection, req.userId)) {
+      return res.status(404).json({ error: 'Collection not found.' });
+    }
+    if (ownerOnly && collection.user_id !== req.userId) {
+      return res.status(403).json({ error: 'You can only change your own collections.' });
+    }
+    req.collection = collection;
+    next();
+  } catch (err) {
+    console.error('Error fetching collection:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+};
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+  next();
+};
+
+/**
+ * GET /api/collections/mine?page=1&limit=20
+ * The authenticated user's collections (private ones included), the default "Saved" collection first.
+ */
+router.get('/mine', async (req, res) => {
+  try {
+    await getDefaultCollection(req.userId); // Make sure it exists for users who never saved anything
+    const { page, limit, offset } = getPagination(req.query);
+    const { collections, total } = await listUserCollections(req.userId, req.userId, { limit, offset });
+    return res.status(200).json({ collections, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error('Error fetching collections:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/collections/followed?page=1&limit=20
+ */
+router.get('/followed', async (req, res) => {
+  try {
+    const { page, limit, offset } = getPagination(req.query);
+    const { collections, total } = await listFollowedCollections(req.userId, { limit, offset });
+    return res.status(200).json({ collections, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error('Error fetching followed collections:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/collections/search?q=neon&page=1&limit=20
+ * Public, non-empty collections matching the name or description.
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2) {
+      return res.status(400).json({ error: 'Please enter at least 2 letters.' });
+    }
+    const { page, limit, offset } = getPagination(req.query);
+    const { collections, total } = await searchCollections(q, req.userId, { limit, offset });
+    return res.status(200).json({ collections, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error('Error searching collections:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/collections/user/:user_id?page=1&limit=20
+ * A user's collections for their profile: public ones only, unless it's your own profile.
+ */
+router.get('/user/:user_id', async (req, res) => {
+  try {
+    const { page, limit, offset } = getPagination(req.query);
+    const { collections, total } = await listUserCollections(req.params.user_id, req.userId, { limit, offset });
+    return res.status(200).json({ collections, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error('Error fetching user collections:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/collections
+ * Body: { name, description?, is_public? (default false) }
+ */
+router.post('/', collectionValidators(), validate, async (req, res) => {
+  try {
+    const { name, description, is_public } = req.body;
+    const result = await createCollection(req.userId, { name, description, is_public });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const [collection] = await enrichCollections([result.collection], req.userId);
+    return res.status(201).json({ message: 'Collection created.', collection });
+  } catch (err) {
+    console.error('Error creating collection:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/collections/:id?page=1&limit=20
+ * The collection and a page of its wallpapers in order.
+ */
+router.get('/:id', loadCollection(), async (req, res) => {
+  try {
+    const { page, limit, offset } = getPagination(req.query);
+    const [[collection], { items, total }] = await Promise.all([
+      enrichCollections([req.collection], req.userId),
+      listCollectionItems(req.collection.id, req.userId, { limit, offset }),
+    ]);
+    return res.status(200).json({ collection, items, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error('Error fetching collection:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * PATCH /api/collections/:id
+ * Body: any of { name, description, is_public, cover_wallpaper_id } (cover_wallpaper_id: null goes back to the first item).
+ */
+router.patch(
+  '/:id',
+  loadCollection({ ownerOnly: true }),
+  [
+    ...collectionValidators({ optional: true }),
+    body('cover_wallpaper_id').optional().custom(value => value === null || typeof value === 'string')
+      .withMessage('cover_wallpaper_id must be a wallpaper id or null.'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const result = await updateCollection(req.collection, req.body);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      const [collection] = await enrichCollections([result.collection], req.userId);
+      return res.status(200).json({ message: 'Collection updated.', collection });
+    } catch (err) {
+      console.error('Error updating collection:', err.message);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/collections/:id
+ * The default collection can't be deleted.
+ */
+router.delete('/:id', loadCollection({ ownerOnly: true }), async (req, res) => {
+  try {
+    const result = await deleteCollection(req.collection);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({ message: 'Collection deleted.' });
+  } catch (err) {
+    console.error('Error deleting collection:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/collections/:id/items
+ * Body: { wallpaper_id }. Adds the wallpaper at the end.
+ */
+router.post(
+  '/:id/items',
+  loadCollection({ ownerOnly: true }),
+  [body('wallpaper_id').isString().notEmpty().withMessage('wallpaper_id is required.')],
+  validate,
+  async (req, res) => {
+    try {
+      const result = await addToCollection(req.collection, req.body.wallpaper_id);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      return res.status(201).json({ message: 'Wallpaper added to collection.', item: result.item });
+    } catch (err) {
+      console.error('Error adding wallpaper to collection:', err.message);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/collections/:id/items/:wallpaper_id
+ */
+router.delete('/:id/items/:wallpaper_id', loadCollection({ ownerOnly: true }), async (req, res) => {
+  try {
+    const removed = await removeFromCollection(req.collection, req.params.wallpaper_id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Wallpaper is not in this collection.' });
+    }
+    return res.status(200).json({ message: 'Wallpaper removed from collection.' });
+  } catch (err) {
+    console.error('Error removing wallpaper from collection:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * PUT /api/collections/:id/order
+ * Body: { wallpaper_ids: [...] } - every wallpaper of the collection, in the new order.
+ */
+router.put(
+  '/:id/order',
+  loadCollection({ ownerOnly: true }),
+  [body('wallpaper_ids').isArray().withMessage('wallpaper_ids must be an array.')],
+  validate,
+  async (req, res) => {
+    try {
+      const result = await reorderCollection(req.collection, req.body.wallpaper_ids.map(String));
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      return res.status(200).json({ message: 'Collection reordered.' });
+    } catch (err) {
+      console.error('Error reordering collection:', err.message);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+/**
+ * POST /api/collections/:id/follow
+ * DELETE /api/collections/:id/follow
+ * Follow / unfollow a public collection of another user.
+ */
+router.post('/:id/follow', loadCollection(), async (req, res) => {
+  try {
+    const result = await followCollection(req.collection, req.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({ message: 'Collection followed.', follower_count: result.follower_count });
+  } catch (err) {
+    console.error('Error following collection:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+router.delete('/:id/follow', async (req, res) => {
+  try {
+    // No visibility check: a collection made private can still be unfollowed.
+    const collection = await getCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found.' });
+    }
+    const result = await unfollowCollection(collection, req.userId);
+    return res.status(200).json({ message: 'Collection unfollowed.', follower_count: result.follower_count });
+  } catch (err) {
+    console.error('Error unfollowing collection:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
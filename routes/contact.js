@@ -4,6 +4,7 @@ const nodemailer = require('nodemailer');
 
 // Import your Supabase Admin client (adjust the path if needed)
 const { supabaseAdmin } = require('../supabaseClient');
+const enforceOwnership = require('../Middleware/enforceOwnership');
 
 // Configure Nodemailer with your Gmail SMTP credentials
 const transporter = nodemailer.createTransport({
@@ -40,7 +41,7 @@ const MESSAGE_WORD_LIMIT = 500;
  * This route inserts the message into the contact_messages table and sends an email notification
  * to lakshitkhurana5678@gmail.com.
  */
-router.post('/contact', async (req, res) => {
+router.post('/contact', enforceOwnership('body.user_id'), async (req, res) => {
   const { user_id, name, email, subject, message } = req.body;
 
   // Validate that all fields are provided.
@@ -0,0 +1,76 @@
+// feed.js
+// Chronological feed of the creators a user follows (the For You mix lives in recommendations.js).
+
+const express = require('express');
+const {
+  OPTIONAL_FEED_TYPES,
+  decodeCursor,
+  getFollowingFeed,
+  countNewFeedItems,
+} = require('../utils/followingFeed');
+
+const router = express.Router();
+
+// Helper: Feed item types from ?include=likes,collections (uploads are always included).
+const parseFeedTypes = (include) => {
+  const requested = String(include || '').split(',').map(value => value.trim().replace(/s$/, '')).filter(Boolean);
+  const unknown = requested.filter(type => !OPTIONAL_FEED_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return { error: `Unknown include "${unknown[0]}". Must be any of: likes, collections.` };
+  }
+  return { types: ['upload', ...new Set(requested)] };
+};
+
+/**
+ * GET /api/feed/following?limit=20&include=likes,collections&cursor=<next_cursor>
+ * Newest first. Pass next_cursor back for the next page; new items never shift pages already loaded.
+ * Keep newest_cursor from the first page for /api/feed/following/new-count.
+ */
+router.get('/following', async (req, res) => {
+  try {
+    const { types, error } = parseFeedTypes(req.query.include);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor.' });
+      }
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const feed = await getFollowingFeed(req.userId, { cursor, limit, types });
+    return res.status(200).json(feed);
+  } catch (err) {
+    console.error('Error fetching following feed:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/feed/following/new-count?since=<newest_cursor>&include=likes,collections
+ * Number of feed items newer than the cursor (use the same include as the feed).
+ */
+router.get('/following/new-count', async (req, res) => {
+  try {
+    const { types, error } = parseFeedTypes(req.query.include);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const cursor = req.query.since ? decodeCursor(req.query.since) : null;
+    if (!cursor) {
+      return res.status(400).json({ error: 'A valid "since" cursor is required.' });
+    }
+
+    const newCount = await countNewFeedItems(req.userId, cursor, types);
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json({ new_count: newCount });
+  } catch (err) {
+    console.error('Error counting new feed items:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
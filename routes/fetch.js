@@ -1,6 +1,17 @@
 // fetch.js
 const express = require("express");
 const { supabase, supabaseAdmin } = require("../supabaseClient"); // Adjust the path as necessary
+const { getWallpaperVariants } = require("../utils/imageVariants");
+const enforceOwnership = require("../Middleware/enforceOwnership");
+const { canViewWallpaper } = require("../utils/wallpaperPublishing");
+const { saveWallpaper, unsaveWallpaper } = require("../utils/collections");
+const { getBlockedUserIds, getHiddenUserIds, filterHiddenWallpapers } = require("../utils/userBlocks");
+const {
+  getFollowStatus,
+  getFollowStatuses,
+  canViewProfileContent,
+  canViewUserContent,
+} = require("../utils/followRequests");
 const router = express.Router();
 
 
@@ -67,6 +78,9 @@ const enrichWallpaperDetails = async (wallpaper, currentUserId) => {
     .eq("wallpaper_id", wallpaper.id);
   wallpaper.styles = styleError ? [] : styleData.map((entry) => entry.styles);
 
+  // Renditions (thumbnail, preview, device sizes) so clients can pick the right size.
+  wallpaper.variants = await getWallpaperVariants(wallpaper.id);
+
   return wallpaper;
 };
 
@@ -88,8 +102,9 @@ const enrichWallpapers = async (wallpapers, currentUserId) => {
  *  • Like/save flags (based on the current user),
  *  • Attached hashtags (and optionally styles).
  *
- * Additionally, this endpoint checks if the current user already follows this profile
- * (using the "user_follows" table) and adds an isFollowed flag to the profile.
+ * Additionally, this endpoint adds the signed-in user's follow status as isFollowed:
+ * "none", "requested" (pending request to a private profile) or "following".
+ * Private profiles list no wallpapers for non-followers (isLocked: true).
  *
  * The endpoint also increments the profile_views count.
  */
@@ -107,25 +122,17 @@ router.get("/profile/:profile_id/:current_user_id", async (req, res) => {
       return res.status(404).json({ error: "Profile not found." });
     }
 
-    // Check if current user is following this profile.
-    // We assume current_user_id corresponds to the follower (user id)
-    // and profile.user_id is the id of the user owning this profile.
-    const { data: followData, error: followError } = await supabaseAdmin
-      .from("user_follows")
-      .select("*")
-      .eq("follower_id", current_user_id)
-      .eq("following_id", profile.user_id)
-      .maybeSingle();
-
-    if (followError) {
+    // Follow status of the signed-in user (the follower) towards the user owning this profile.
+    try {
+      profile.isFollowed = await getFollowStatus(req.userId, profile.user_id);
+    } catch (followError) {
       console.error(
-        `Error checking follow status for user ${current_user_id} following ${profile.user_id}:`,
+        `Error checking follow status for user ${req.userId} following ${profile.user_id}:`,
         followError.message
       );
-      profile.isFollowed = false;
-    } else {
-      profile.isFollowed = !!followData;
+      profile.isFollowed = "none";
     }
+    profile.isLocked = !canViewProfileContent(profile, req.userId, profile.isFollowed);
 
     // Increment profile_views.
     const newViews = (profile.profile_views || 0) + 1;
@@ -134,8 +141,13 @@ router.get("/profile/:profile_id/:current_user_id", async (req, res) => {
       .update({ profile_views: newViews })
       .eq("id", profile_id);
 
-    // Fetch wallpapers uploaded by this profile.
-    const { data: wallpapers, error: wallpapersError } = await supabaseAdmin
+    if (profile.isLocked) {
+      profile.wallpapers = [];
+      return res.status(200).json({ profile });
+    }
+
+    // Fetch wallpapers uploaded by this profile (drafts and scheduled ones only for the signed-in owner).
+    const { data: allWallpapers, error: wallpapersError } = await supabaseAdmin
       .from("wallpapers")
       .select("*")
       .eq("user_id", profile.user_id);
@@ -143,6 +155,7 @@ router.get("/profile/:profile_id/:current_user_id", async (req, res) => {
       console.error("Wallpapers error details:", wallpapersError.message);
       return res.status(500).json({ error: "Error fetching wallpapers." });
     }
+    const wallpapers = allWallpapers.filter((wp) => canViewWallpaper(wp, req.userId));
 
     // Enrich each wallpaper with uploader profile info, like/save flags, and hashtags.
     const enrichedWallpapers = await enrichWallpapers(
@@ -182,6 +195,14 @@ router.get("/profilegate/:profile_user_id/:current_user_id", async (req, res) =>
       profile.profile_views = newViews; // Updating locally so the response includes the latest count
     }
 
+    // Same follow status / private profile handling as /profile/:profile_id/:current_user_id.
+    profile.isFollowed = await getFollowStatus(req.userId, profile.user_id);
+    profile.isLocked = !canViewProfileContent(profile, req.userId, profile.isFollowed);
+    if (profile.isLocked) {
+      profile.wallpapers = [];
+      return res.status(200).json({ profile });
+    }
+
     // Fetch wallpapers from both tables
     const { data: publishedWallpapers, error: publishedError } = await supabaseAdmin
       .from("wallpapers")
@@ -198,8 +219,9 @@ router.get("/profilegate/:profile_user_id/:current_user_id", async (req, res) =>
       return res.status(500).json({ error: "Error fetching wallpapers." });
     }
 
-    // Combine both lists
-    const allWallpapers = [...(publishedWallpapers || []), ...(pendingWallpapers || [])];
+    // Combine both lists (drafts and scheduled wallpapers only for the signed-in owner)
+    const allWallpapers = [...(publishedWallpapers || []), ...(pendingWallpapers || [])]
+      .filter((wp) => wp.status === "manual_approval" || canViewWallpaper(wp, req.userId));
 
     // Enrich wallpapers using current_user_id (like/save flags)
     const enrichedWallpapers = await enrichWallpapers(allWallpapers, current_user_id);
@@ -232,7 +254,12 @@ router.get("/wallpaper/:wallpaper_id/:user_id", async (req, res) => {
       .eq("id", wallpaper_id)
       .single();
       
-    if (error || !wallpaper) {
+    // Drafts and scheduled wallpapers are visible to their signed-in owner only (the URL id is just for like/save flags),
+    // wallpapers of private accounts to their followers.
+    if (
+      error || !wallpaper || !canViewWallpaper(wallpaper, req.userId) ||
+      !(await canViewUserContent(req.userId, wallpaper.user_id))
+    ) {
       return res.status(404).json({ error: "Wallpaper not found." });
     }
     
@@ -253,7 +280,9 @@ router.get("/wallpaper/:wallpaper_id/:user_id", async (req, res) => {
   Endpoint 4a: GET /api/profile/:profile_id/followers/:user_id
   - Uses the given profile_id to fetch the target user's user_id from the profiles table.
   - Queries user_follows (which stores user IDs) where following_id equals the target user's ID.
-  - Retrieves the follower profiles and annotates each profile with isFollowed (does the current user follow that profile?).
+  - Retrieves the follower profiles and annotates each profile with isFollowed ("none", "requested" or "following").
+  - Private profiles answer 403 unless the signed-in user follows them (or owns the profile).
+  - Users on either side of a block with the signed-in user are left out.
 */
 router.get("/:profile_id/followers/:user_id", async (req, res) => {
   const { profile_id, user_id } = req.params;
@@ -261,7 +290,7 @@ router.get("/:profile_id/followers/:user_id", async (req, res) => {
     // Get the target user's ID using the provided profile_id.
     const { data: targetProfile, error: targetProfileError } = await supabaseAdmin
       .from("profiles")
-      .select("user_id")
+      .select("user_id, is_private")
       .eq("id", profile_id)
       .single();
     if (targetProfileError || !targetProfile) {
@@ -269,6 +298,12 @@ router.get("/:profile_id/followers/:user_id", async (req, res) => {
     }
     const targetUserId = targetProfile.user_id;
 
+    // Private profiles only show their lists to followers (decided for the signed-in user, not the URL id).
+    const targetFollowStatus = await getFollowStatus(req.userId, targetUserId);
+    if (!canViewProfileContent(targetProfile, req.userId, targetFollowStatus)) {
+      return res.status(403).json({ error: "This account is private.", code: "PRIVATE_ACCOUNT" });
+    }
+
     // Query the follow table to get follower user IDs (where following_id equals targetUserId).
     const { data: followsData, error: followsError } = await supabaseAdmin
       .from("user_follows")
@@ -277,7 +312,8 @@ router.get("/:profile_id/followers/:user_id", async (req, res) => {
     if (followsError) {
       return res.status(500).json({ error: "Error fetching followers" });
     }
-    const followerIds = followsData.map(f => f.follower_id);
+    const blockedIds = await getBlockedUserIds(req.userId);
+    const followerIds = followsData.map(f => f.follower_id).filter(id => !blockedIds.has(id));
 
     // Fetch profiles for these follower user IDs.
     const { data: followerProfiles, error: profilesError } = await supabaseAdmin
@@ -288,22 +324,13 @@ router.get("/:profile_id/followers/:user_id", async (req, res) => {
       return res.status(500).json({ error: "Error fetching follower profiles" });
     }
 
-    // Get the list of profiles that the current user already follows.
-    const { data: currentFollowingData, error: cfError } = await supabaseAdmin
-      .from("user_follows")
-      .select("following_id")
-      .eq("follower_id", user_id);
-    if (cfError) {
-      console.error("Error fetching current following:", cfError.message);
-    }
-    const currentFollowingIds = currentFollowingData
-      ? currentFollowingData.map(item => item.following_id)
-      : [];
+    // Follow status of the current user towards each profile ("none", "requested" or "following").
+    const followStatuses = await getFollowStatuses(user_id, followerProfiles.map(profile => profile.user_id));
 
     // Annotate each follower profile with an isFollowed flag.
     const followersWithFollowStatus = followerProfiles.map(profile => ({
       ...profile,
-      isFollowed: currentFollowingIds.includes(profile.user_id)
+      isFollowed: followStatuses.get(profile.user_id)
     }));
 
     return res.status(200).json({ followers: followersWithFollowStatus });
@@ -317,7 +344,9 @@ router.get("/:profile_id/followers/:user_id", async (req, res) => {
   Endpoint 4b: GET /api/profile/:profile_id/following/:user_id
   - Uses the provided profile_id to fetch its associated user_id.
   - Queries user_follows where follower_id equals the target user's user_id.
-  - Retrieves profiles that the target user follows and marks each with isFollowed (does the current user follow that profile?).
+  - Retrieves profiles that the target user follows and marks each with isFollowed ("none", "requested" or "following").
+  - Private profiles answer 403 unless the signed-in user follows them (or owns the profile).
+  - Users on either side of a block with the signed-in user are left out.
 */
 router.get("/:profile_id/following/:user_id", async (req, res) => {
   const { profile_id, user_id } = req.params;
@@ -325,7 +354,7 @@ router.get("/:profile_id/following/:user_id", async (req, res) => {
     // Get the target user's ID using the provided profile_id.
     const { data: targetProfile, error: targetProfileError } = await supabaseAdmin
       .from("profiles")
-      .select("user_id")
+      .select("user_id, is_private")
       .eq("id", profile_id)
       .single();
     if (targetProfileError || !targetProfile) {
@@ -333,6 +362,12 @@ router.get("/:profile_id/following/:user_id", async (req, res) => {
     }
     const targetUserId = targetProfile.user_id;
 
+    // Private profiles only show their lists to followers (decided for the signed-in user, not the URL id).
+    const targetFollowStatus = await getFollowStatus(req.userId, targetUserId);
+    if (!canViewProfileContent(targetProfile, req.userId, targetFollowStatus)) {
+      return res.status(403).json({ error: "This account is private.", code: "PRIVATE_ACCOUNT" });
+    }
+
     // Query the follow table to get the users that the target user is following.
     const { data: followingData, error: followingError } = await supabaseAdmin
       .from("user_follows")
@@ -341,7 +376,8 @@ router.get("/:profile_id/following/:user_id", async (req, res) => {
     if (followingError) {
       return res.status(500).json({ error: "Error fetching following list" });
     }
-    const followingIds = followingData.map(f => f.following_id);
+    const blockedIds = await getBlockedUserIds(req.userId);
+    const followingIds = followingData.map(f => f.following_id).filter(id => !blockedIds.has(id));
 
     // Fetch profiles for these followed user IDs.
     const { data: followingProfiles, error: profilesError } = await supabaseAdmin
@@ -352,22 +388,13 @@ router.get("/:profile_id/following/:user_id", async (req, res) => {
       return res.status(500).json({ error: "Error fetching following profiles" });
     }
 
-    // Get the list of profiles that the current user already follows.
-    const { data: currentFollowingData, error: cfError } = await supabaseAdmin
-      .from("user_follows")
-      .select("following_id")
-      .eq("follower_id", user_id);
-    if (cfError) {
-      console.error("Error fetching current user's following:", cfError.message);
-    }
-    const currentFollowingIds = currentFollowingData
-      ? currentFollowingData.map(item => item.following_id)
-      : [];
+    // Follow status of the current user towards each profile ("none", "requested" or "following").
+    const followStatuses = await getFollowStatuses(user_id, followingProfiles.map(profile => profile.user_id));
 
     // Annotate each followed profile with an isFollowed flag.
     const followingWithFollowStatus = followingProfiles.map(profile => ({
       ...profile,
-      isFollowed: currentFollowingIds.includes(profile.user_id)
+      isFollowed: followStatuses.get(profile.user_id)
     }));
 
     return res.status(200).json({ following: followingWithFollowStatus });
@@ -512,39 +539,25 @@ router.get("/profile/:user_id/verification", async (req, res) => {
 
 /*
   New Endpoint 8: POST /api/saved
-  - Save a wallpaper for a user.
+  - Save a wallpaper for a user (adds it to the user's default "Saved" collection).
   - Request body should contain: { user_id, wallpaper_id }
 */
-router.post("/saved", async (req, res) => {
+router.post("/saved", enforceOwnership("body.user_id"), async (req, res) => {
   try {
     const { user_id, wallpaper_id } = req.body;
     if (!user_id || !wallpaper_id) {
       return res.status(400).json({ error: "User ID and wallpaper ID are required." });
     }
 
-    // Check if the wallpaper is already saved
-    const { data: existing, error: existError } = await supabaseAdmin
-      .from("saved_wallpapers")
-      .select("*")
-      .eq("user_id", user_id)
-      .eq("wallpaper_id", wallpaper_id)
-      .single();
-
-    if (existing) {
+    const result = await saveWallpaper(user_id, wallpaper_id);
+    if (result.status === 400) {
       return res.status(400).json({ error: "Wallpaper already saved." });
     }
-
-    // Insert a new saved record
-    const { data, error } = await supabaseAdmin
-      .from("saved_wallpapers")
-      .insert([{ user_id, wallpaper_id }])
-      .single();
-
-    if (error) {
-      return res.status(500).json({ error: "Error saving wallpaper: " + error.message });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    return res.status(200).json({ message: "Wallpaper saved successfully.", saved: data });
+    return res.status(200).json({ message: "Wallpaper saved successfully.", saved: { user_id, wallpaper_id } });
   } catch (err) {
     console.error("Error saving wallpaper:", err.message);
     return res.status(500).json({ error: "Internal server error." });
@@ -553,25 +566,17 @@ router.post("/saved", async (req, res) => {
 
 /*
   New Endpoint 9: DELETE /api/saved
-  - Remove a saved wallpaper record.
+  - Remove a saved wallpaper record (and the item of the default collection).
   - Request body should contain: { user_id, wallpaper_id }
 */
-router.delete("/saved/delete", async (req, res) => {
+router.delete("/saved/delete", enforceOwnership("body.user_id"), async (req, res) => {
   try {
     const { user_id, wallpaper_id } = req.body;
     if (!user_id || !wallpaper_id) {
       return res.status(400).json({ error: "User ID and wallpaper ID are required." });
     }
 
-    const { error } = await supabaseAdmin
-      .from("saved_wallpapers")
-      .delete()
-      .eq("user_id", user_id)
-      .eq("wallpaper_id", wallpaper_id);
-
-    if (error) {
-      return res.status(500).json({ error: "Error removing saved wallpaper: " + error.message });
-    }
+    await unsaveWallpaper(user_id, wallpaper_id);
 
     return res.status(200).json({ message: "Saved wallpaper removed successfully." });
   } catch (err) {
@@ -618,7 +623,7 @@ router.get("/saved/:user_id", async (req, res) => {
   - Remove a follower from the current user's follower list.
   - Here, `user_id` represents the user being followed, and `follower_id` is the follower to remove.
 */
-router.delete("/followers/:user_id/remove/:profile_id", async (req, res) => {
+router.delete("/followers/:user_id/remove/:profile_id", enforceOwnership("params.user_id"), async (req, res) => {
   const { user_id, profile_id } = req.params;
   
   try {
@@ -779,7 +784,12 @@ router.get("/category-wallpapers/:category_id/:user_id", async (req, res) => {
     }
     
     // Flatten the result: each row contains a "wallpapers" object (or an array).
-    let wallpapers = data.map((row) => row.wallpapers).flat();
+    let wallpapers = data
+      .map((row) => row.wallpapers)
+      .flat()
+      .filter((wp) => wp && wp.status === "published");
+    // Skip blocked / muted users and private accounts the signed-in user doesn't follow.
+    wallpapers = filterHiddenWallpapers(wallpapers, await getHiddenUserIds(req.userId));
     
     // Enrich each wallpaper if currentUserId is provided.
     if (currentUserId) {
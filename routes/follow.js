@@ -2,6 +2,25 @@
 
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const enforceOwnership = require('../Middleware/enforceOwnership');
+const { notify } = require('../utils/notifications');
+const { publishToUser } = require('../utils/realtime');
+const {
+  isBlockedBetween,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  listRelations,
+} = require('../utils/userBlocks');
+const {
+  FOLLOW_STATUS,
+  getFollowStatus,
+  createFollowRequest,
+  deleteFollowRequest,
+  deleteFollowRequestsBetween,
+  listIncomingFollowRequests,
+} = require('../utils/followRequests');
 
 const router = express.Router();
 
@@ -10,6 +29,155 @@ const SUPABASE_URL = process.env.SUPABASE_URL; // e.g., "https://your-project.su
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
 const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_KEY);
 
+/**
+ * Helper: Removes a follow relationship and decrements following_count / followers_count on both profiles.
+ * Used by /unfollow and /block. Returns { status, error } on failure or { status: 200 }.
+ */
+const removeFollow = async (follower_id, following_id) => {
+  // Check if the follow relationship exists.
+  const { data: existingFollow } = await supabaseAdmin
+    .from('user_follows')
+    .select('*')
+    .eq('follower_id', follower_id)
+    .eq('following_id', following_id)
+    .single();
+  if (!existingFollow) {
+    return { status: 400, error: "Not currently following this user." };
+  }
+  
+  // Delete the follow record.
+  const { error: deleteError } = await supabaseAdmin
+    .from('user_follows')
+    .delete()
+    .eq('follower_id', follower_id)
+    .eq('following_id', following_id);
+  if (deleteError) {
+    return { status: 500, error: "Error removing follow relationship." };
+  }
+  
+  // Retrieve follower's profile.
+  const { data: followerProfile, error: followerProfileError } = await supabaseAdmin
+    .from('profiles')
+    .select('following_count')
+    .eq('user_id', follower_id)
+    .single();
+  if (followerProfileError || !followerProfile) {
+    return { status: 500, error: "Follower profile not found." };
+  }
+  
+  // Retrieve followed user's profile.
+  const { data: followedProfile, error: followedProfileError } = await supabaseAdmin
+    .from('profiles')
+    .select('followers_count')
+    .eq('user_id', following_id)
+    .single();
+  if (followedProfileError || !followedProfile) {
+    return { status: 500, error: "Followed user's profile not found." };
+  }
+  
+  // Update follower's profile: decrement following_count.
+  const newFollowingCount = Math.max((followerProfile.following_count || 0) - 1, 0);
+  const { error: updateFollowerError } = await supabaseAdmin
+    .from('profiles')
+    .update({ following_count: newFollowingCount })
+    .eq('user_id', follower_id);
+  if (updateFollowerError) {
+    return { status: 500, error: "Failed to update follower profile." };
+  }
+  
+  // Update followed user's profile: decrement followers_count.
+  const newFollowersCount = Math.max((followedProfile.followers_count || 0) - 1, 0);
+  const { error: updateFollowedError } = await supabaseAdmin
+    .from('profiles')
+    .update({ followers_count: newFollowersCount })
+    .eq('user_id', following_id);
+  if (updateFollowedError) {
+    return { status: 500, error: "Failed to update followed user's profile." };
+  }
+  
+  publishToUser(following_id, 'counter', { user_id: following_id, metric: 'followers_count', delta: -1, value: newFollowersCount });
+
+  return { status: 200 };
+};
+
+/**
+ * Helper: Creates a follow relationship and increments following_count / followers_count on both profiles.
+ * Used by /follow (public profiles) and when a follow request is approved (notifyFollowed: false, the followed
+ * user accepted it themselves). Returns { status, error } on failure or { status: 200 }.
+ */
+const createFollow = async (follower_id, following_id, { notifyFollowed = true } = {}) => {
+  // Retrieve follower's profile.
+  const { data: followerProfile, error: followerProfileError } = await supabaseAdmin
+    .from('profiles')
+    .select('id, following_count')
+    .eq('user_id', follower_id)
+    .single();
+  if (followerProfileError || !followerProfile) {
+    return { status: 500, error: "Follower profile not found." };
+  }
+  
+  // Retrieve followed user's profile.
+  const { data: followedProfile, error: followedProfileError } = await supabaseAdmin
+    .from('profiles')
+    .select('id, followers_count')
+    .eq('user_id', following_id)
+    .single();
+  if (followedProfileError || !followedProfile) {
+    return { status: 500, error: "Followed user's profile not found." };
+  }
+  
+  // Check if the follow relationship already exists.
+  const { data: existingFollow } = await supabaseAdmin
+    .from('user_follows')
+    .select('*')
+    .eq('follower_id', follower_id)
+    .eq('following_id', following_id)
+    .single();
+  if (existingFollow) {
+    return { status: 400, error: "Already following this user." };
+  }
+  
+  // Insert the follow record including profile IDs.
+  const { error: insertError } = await supabaseAdmin
+    .from('user_follows')
+    .insert([{
+      follower_id,
+      follower_profile_id: followerProfile.id,
+      following_id,
+      following_profile_id: followedProfile.id
+    }]);
+  if (insertError) {
+    return { status: 500, error: "Error inserting follow relationship." };
+  }
+  
+  // Update follower's profile: increment following_count.
+  const newFollowingCount = (followerProfile.following_count || 0) + 1;
+  const { error: updateFollowerError } = await supabaseAdmin
+    .from('profiles')
+    .update({ following_count: newFollowingCount })
+    .eq('user_id', follower_id);
+  if (updateFollowerError) {
+    return { status: 500, error: "Failed to update follower profile." };
+  }
+  
+  // Update followed user's profile: increment followers_count.
+  const newFollowersCount = (followedProfile.followers_count || 0) + 1;
+  const { error: updateFollowedError } = await supabaseAdmin
+    .from('profiles')
+    .update({ followers_count: newFollowersCount })
+    .eq('user_id', following_id);
+  if (updateFollowedError) {
+    return { status: 500, error: "Failed to update followed user's profile." };
+  }
+
+  publishToUser(following_id, 'counter', { user_id: following_id, metric: 'followers_count', delta: 1, value: newFollowersCount });
+  if (notifyFollowed) {
+    await notify({ userId: following_id, type: 'follow', actorId: follower_id });
+  }
+
+  return { status: 200 };
+};
+
 /**
  * POST /follow
  * Request JSON body should include:
@@ -21,8 +189,10 @@ const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_KEY);
  * The endpoint looks up each user's profile ID from the profiles table,
  * inserts the follow record into user_follows, and then updates the
  * respective follower and following counts in the profiles table.
+ * For a private profile a follow request is sent instead (see /follow-requests).
+ * The response "status" is "following" or "requested".
  */
-router.post('/follow', async (req, res) => {
+router.post('/follow', enforceOwnership('body.follower_id'), async (req, res) => {
   try {
     const { follower_id, following_id } = req.body;
     
@@ -33,72 +203,39 @@ router.post('/follow', async (req, res) => {
     if (follower_id === following_id) {
       return res.status(400).json({ error: "You cannot follow yourself." });
     }
-    
-    // Retrieve follower's profile.
-    const { data: followerProfile, error: followerProfileError } = await supabaseAdmin
-      .from('profiles')
-      .select('id, following_count')
-      .eq('user_id', follower_id)
-      .single();
-    if (followerProfileError || !followerProfile) {
-      return res.status(500).json({ error: "Follower profile not found." });
+
+    if (await isBlockedBetween(follower_id, following_id)) {
+      return res.status(403).json({ error: "You cannot follow this user." });
     }
     
-    // Retrieve followed user's profile.
-    const { data: followedProfile, error: followedProfileError } = await supabaseAdmin
+    // Private profiles get a follow request the owner approves or denies instead.
+    const { data: targetProfile, error: targetProfileError } = await supabaseAdmin
       .from('profiles')
-      .select('id, followers_count')
+      .select('is_private')
       .eq('user_id', following_id)
-      .single();
-    if (followedProfileError || !followedProfile) {
+      .maybeSingle();
+    if (targetProfileError || !targetProfile) {
       return res.status(500).json({ error: "Followed user's profile not found." });
     }
-    
-    // Check if the follow relationship already exists.
-    const { data: existingFollow } = await supabaseAdmin
-      .from('user_follows')
-      .select('*')
-      .eq('follower_id', follower_id)
-      .eq('following_id', following_id)
-      .single();
-    if (existingFollow) {
-      return res.status(400).json({ error: "Already following this user." });
+    if (targetProfile.is_private) {
+      const followStatus = await getFollowStatus(follower_id, following_id);
+      if (followStatus === FOLLOW_STATUS.FOLLOWING) {
+        return res.status(400).json({ error: "Already following this user." });
+      }
+      if (followStatus === FOLLOW_STATUS.REQUESTED) {
+        return res.status(400).json({ error: "Follow request already sent." });
+      }
+      await createFollowRequest(follower_id, following_id);
+      await notify({ userId: following_id, type: 'follow_request', actorId: follower_id });
+      return res.status(200).json({ message: "Follow request sent.", status: FOLLOW_STATUS.REQUESTED });
     }
-    
-    // Insert the follow record including profile IDs.
-    const { error: insertError } = await supabaseAdmin
-      .from('user_follows')
-      .insert([{
-        follower_id,
-        follower_profile_id: followerProfile.id,
-        following_id,
-        following_profile_id: followedProfile.id
-      }]);
-    if (insertError) {
-      return res.status(500).json({ error: "Error inserting follow relationship." });
-    }
-    
-    // Update follower's profile: increment following_count.
-    const newFollowingCount = (followerProfile.following_count || 0) + 1;
-    const { error: updateFollowerError } = await supabaseAdmin
-      .from('profiles')
-      .update({ following_count: newFollowingCount })
-      .eq('user_id', follower_id);
-    if (updateFollowerError) {
-      return res.status(500).json({ error: "Failed to update follower profile." });
-    }
-    
-    // Update followed user's profile: increment followers_count.
-    const newFollowersCount = (followedProfile.followers_count || 0) + 1;
-    const { error: updateFollowedError } = await supabaseAdmin
-      .from('profiles')
-      .update({ followers_count: newFollowersCount })
-      .eq('user_id', following_id);
-    if (updateFollowedError) {
-      return res.status(500).json({ error: "Failed to update followed user's profile." });
+
+    const result = await createFollow(follower_id, following_id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
     
-    return res.status(200).json({ message: "Followed successfully." });
+    return res.status(200).json({ message: "Followed successfully.", status: FOLLOW_STATUS.FOLLOWING });
   } catch (err) {
     console.error("Error during follow:", err.message);
     return res.status(500).json({ error: "Internal server error." });
@@ -116,7 +253,7 @@ router.post('/follow', async (req, res) => {
  * The endpoint removes the follow record and updates the follow counters
  * on both the follower's and followed user's profiles.
  */
-router.post('/unfollow', async (req, res) => {
+router.post('/unfollow', enforceOwnership('body.follower_id'), async (req, res) => {
   try {
     const { follower_id, following_id } = req.body;
     
@@ -128,72 +265,230 @@ router.post('/unfollow', async (req, res) => {
       return res.status(400).json({ error: "Cannot unfollow yourself." });
     }
     
-    // Check if the follow relationship exists.
-    const { data: existingFollow } = await supabaseAdmin
-      .from('user_follows')
-      .select('*')
-      .eq('follower_id', follower_id)
-      .eq('following_id', following_id)
-      .single();
-    if (!existingFollow) {
-      return res.status(400).json({ error: "Not currently following this user." });
+    const result = await removeFollow(follower_id, following_id);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-    
-    // Delete the follow record.
-    const { error: deleteError } = await supabaseAdmin
-      .from('user_follows')
-      .delete()
-      .eq('follower_id', follower_id)
-      .eq('following_id', following_id);
-    if (deleteError) {
-      return res.status(500).json({ error: "Error removing follow relationship." });
+
+    return res.status(200).json({ message: "Unfollowed successfully." });
+  } catch (err) {
+    console.error("Error during unfollow:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * GET /follow-requests?page=1&limit=20
+ * Pending requests to follow the authenticated user (private accounts), newest first.
+ */
+router.get('/follow-requests', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { requests, total } = await listIncomingFollowRequests(req.userId, { limit, offset: (page - 1) * limit });
+    return res.status(200).json({ requests, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error("Error fetching follow requests:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /follow-requests/:requester_id/approve
+ * Creates the follow (with the usual counter updates) and lets the requester know.
+ */
+router.post('/follow-requests/:requester_id/approve', async (req, res) => {
+  try {
+    const { requester_id } = req.params;
+    const removed = await deleteFollowRequest(requester_id, req.userId);
+    if (!removed) {
+      return res.status(404).json({ error: "Follow request not found." });
     }
-    
-    // Retrieve follower's profile.
-    const { data: followerProfile, error: followerProfileError } = await supabaseAdmin
-      .from('profiles')
-      .select('following_count')
-      .eq('user_id', follower_id)
-      .single();
-    if (followerProfileError || !followerProfile) {
-      return res.status(500).json({ error: "Follower profile not found." });
+
+    const result = await createFollow(requester_id, req.userId, { notifyFollowed: false });
+    if (result.error && result.status !== 400) { // 400: already following
+      return res.status(result.status).json({ error: result.error });
     }
-    
-    // Retrieve followed user's profile.
-    const { data: followedProfile, error: followedProfileError } = await supabaseAdmin
-      .from('profiles')
-      .select('followers_count')
-      .eq('user_id', following_id)
-      .single();
-    if (followedProfileError || !followedProfile) {
-      return res.status(500).json({ error: "Followed user's profile not found." });
+    await notify({ userId: requester_id, type: 'follow_accepted', actorId: req.userId });
+
+    return res.status(200).json({ message: "Follow request approved." });
+  } catch (err) {
+    console.error("Error approving follow request:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /follow-requests/:requester_id/deny
+ */
+router.post('/follow-requests/:requester_id/deny', async (req, res) => {
+  try {
+    const removed = await deleteFollowRequest(req.params.requester_id, req.userId);
+    if (!removed) {
+      return res.status(404).json({ error: "Follow request not found." });
     }
-    
-    // Update follower's profile: decrement following_count.
-    const newFollowingCount = Math.max((followerProfile.following_count || 0) - 1, 0);
-    const { error: updateFollowerError } = await supabaseAdmin
-      .from('profiles')
-      .update({ following_count: newFollowingCount })
-      .eq('user_id', follower_id);
-    if (updateFollowerError) {
-      return res.status(500).json({ error: "Failed to update follower profile." });
+    return res.status(200).json({ message: "Follow request denied." });
+  } catch (err) {
+    console.error("Error denying follow request:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /follow-requests/cancel
+ * Request JSON body: { "follower_id": "UUID of the requester", "following_id": "UUID of the private account" }
+ */
+router.post('/follow-requests/cancel', enforceOwnership('body.follower_id'), async (req, res) => {
+  try {
+    const { follower_id, following_id } = req.body;
+
+    if (!following_id) {
+      return res.status(400).json({ error: "following_id is required." });
     }
-    
-    // Update followed user's profile: decrement followers_count.
-    const newFollowersCount = Math.max((followedProfile.followers_count || 0) - 1, 0);
-    const { error: updateFollowedError } = await supabaseAdmin
-      .from('profiles')
-      .update({ followers_count: newFollowersCount })
-      .eq('user_id', following_id);
-    if (updateFollowedError) {
-      return res.status(500).json({ error: "Failed to update followed user's profile." });
+
+    const removed = await deleteFollowRequest(follower_id, following_id);
+    if (!removed) {
+      return res.status(404).json({ error: "Follow request not found." });
     }
-    
-    return res.status(200).json({ message: "Unfollowed successfully." });
+    return res.status(200).json({ message: "Follow request cancelled." });
   } catch (err) {
-    console.error("Error during unfollow:", err.message);
+    console.error("Error cancelling follow request:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /block
+ * Request JSON body should include:
+ * {
+ *   "blocker_id": "UUID of the user blocking",
+ *   "blocked_id": "UUID of the user to block"
+ * }
+ *
+ * Removes any follow relationship in both directions (with the same counter updates as /unfollow)
+ * and prevents new follows until the block is lifted.
+ */
+router.post('/block', enforceOwnership('body.blocker_id'), async (req, res) => {
+  try {
+    const { blocker_id, blocked_id } = req.body;
+
+    if (!blocked_id) {
+      return res.status(400).json({ error: "blocked_id is required." });
+    }
+
+    if (blocker_id === blocked_id) {
+      return res.status(400).json({ error: "You cannot block yourself." });
+    }
+
+    await blockUser(blocker_id, blocked_id);
+
+    // 400 only means there was no follow in that direction.
+    for (const [follower, following] of [[blocker_id, blocked_id], [blocked_id, blocker_id]]) {
+      const result = await removeFollow(follower, following);
+      if (result.error && result.status !== 400) {
+        return res.status(result.status).json({ error: result.error });
+      }
+    }
+    await deleteFollowRequestsBetween(blocker_id, blocked_id);
+
+    return res.status(200).json({ message: "User blocked successfully." });
+  } catch (err) {
+    console.error("Error during block:", err.message);
     return res.status(500).json({ error: "Internal server error." });
   }
 });
 
+/**
+ * POST /unblock
+ * Request JSON body: { "blocker_id": "...", "blocked_id": "..." }
+ * Follows removed by the block are not restored.
+ */
+router.post('/unblock', enforceOwnership('body.blocker_id'), async (req, res) => {
+  try {
+    const { blocker_id, blocked_id } = req.body;
+
+    if (!blocked_id) {
+      return res.status(400).json({ error: "blocked_id is required." });
+    }
+
+    const removed = await unblockUser(blocker_id, blocked_id);
+    if (!removed) {
+      return res.status(400).json({ error: "This user is not blocked." });
+    }
+
+    return res.status(200).json({ message: "User unblocked successfully." });
+  } catch (err) {
+    console.error("Error during unblock:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /mute
+ * Request JSON body: { "muter_id": "...", "muted_id": "..." }
+ * Hides the muted user's wallpapers from your feeds and search; follows stay as they are.
+ */
+router.post('/mute', enforceOwnership('body.muter_id'), async (req, res) => {
+  try {
+    const { muter_id, muted_id } = req.body;
+
+    if (!muted_id) {
+      return res.status(400).json({ error: "muted_id is required." });
+    }
+
+    if (muter_id === muted_id) {
+      return res.status(400).json({ error: "You cannot mute yourself." });
+    }
+
+    await muteUser(muter_id, muted_id);
+    return res.status(200).json({ message: "User muted successfully." });
+  } catch (err) {
+    console.error("Error during mute:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /unmute
+ * Request JSON body: { "muter_id": "...", "muted_id": "..." }
+ */
+router.post('/unmute', enforceOwnership('body.muter_id'), async (req, res) => {
+  try {
+    const { muter_id, muted_id } = req.body;
+
+    if (!muted_id) {
+      return res.status(400).json({ error: "muted_id is required." });
+    }
+
+    const removed = await unmuteUser(muter_id, muted_id);
+    if (!removed) {
+      return res.status(400).json({ error: "This user is not muted." });
+    }
+
+    return res.status(200).json({ message: "User unmuted successfully." });
+  } catch (err) {
+    console.error("Error during unmute:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * GET /blocks?page=1&limit=20
+ * GET /mutes?page=1&limit=20
+ * Users the authenticated user blocked / muted, most recent first.
+ */
+for (const kind of ['blocks', 'mutes']) {
+  router.get(`/${kind}`, async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+      const { users, total } = await listRelations(kind, req.userId, { limit, offset: (page - 1) * limit });
+      return res.status(200).json({ users, pagination: { page, limit, total } });
+    } catch (err) {
+      console.error(`Error fetching ${kind}:`, err.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  });
+}
+
 module.exports = router;
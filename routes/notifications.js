@@ -0,0 +1,81 @@
+// notifications.js
+// Notification center for the authenticated user. Opt-outs live in the settings router
+// (/api/settings/notifications).
+
+const express = require('express');
+const {
+  listNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} = require('../utils/notifications');
+
+const router = express.Router();
+
+/**
+ * GET /api/notifications?page=1&limit=20&unread=true
+ * Most recently updated first. Grouped notifications list their latest actors in "actors"
+ * and the rest in "others_count" ("X and 12 others liked your wallpaper").
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    const { notifications, total } = await listNotifications(req.userId, {
+      limit,
+      offset,
+      unreadOnly: req.query.unread === 'true'
+    });
+    return res.status(200).json({ notifications, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error('Error fetching notifications:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/notifications/unread-count
+ */
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unread = await getUnreadCount(req.userId);
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json({ unread });
+  } catch (err) {
+    console.error('Error counting unread notifications:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/notifications/read-all
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await markAllNotificationsRead(req.userId);
+    return res.status(200).json({ message: 'All notifications marked as read.', updated });
+  } catch (err) {
+    console.error('Error marking notifications as read:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ */
+router.post('/:id/read', async (req, res) => {
+  try {
+    const notification = await markNotificationRead(req.userId, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found.' });
+    }
+    return res.status(200).json({ message: 'Notification marked as read.', notification });
+  } catch (err) {
+    console.error('Error marking notification as read:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
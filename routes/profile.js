@@ -4,6 +4,10 @@ const express = require('express');
 const multer = require('multer');
 const sharp = require('sharp');
 const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../Middleware/requireRole');
+const { recordAudit } = require('../utils/auditLog');
+const enforceOwnership = require('../Middleware/enforceOwnership');
+const { renameUserInSearchIndex } = require('../utils/searchIndex');
 
 const router = express.Router();
 
@@ -62,6 +66,7 @@ const uploadImageToSupabase = async (buffer, fileName) => {
 router.post(
   "/add",
   upload.single("dp"),
+  enforceOwnership("body.user_id"),
   async (req, res) => {
     try {
       // Extract fields from request body
@@ -465,7 +470,7 @@ router.get('/exists/:user_id', async (req, res) => {
 
 // API Endpoint: Change Username (Once per month)
 // Expects: user_id and new_username in the request body.
-router.put('/username-change', async (req, res) => {
+router.put('/username-change', enforceOwnership('body.user_id'), async (req, res) => {
   try {
     const { user_id, new_username } = req.body;
     
@@ -532,6 +537,7 @@ router.put('/username-change', async (req, res) => {
     if (updateProfileError) {
       return res.status(500).json({ error: 'Failed to update username in profiles table.' });
     }
+    renameUserInSearchIndex(user_id, new_username);
     
     res.status(200).json({ message: 'Username updated successfully!', profile: updatedProfile });
     
@@ -548,7 +554,7 @@ router.put('/username-change', async (req, res) => {
 // Route: /update
 // API Endpoint: Update Profile Information (except username)
 // Route: /update
-router.put('/update', upload.single('dp'), async (req, res) => {
+router.put('/update', upload.single('dp'), enforceOwnership('body.user_id'), async (req, res) => {
   try {
     const { user_id, name, bio, social_links, dp } = req.body;
     
@@ -686,7 +692,7 @@ router.put('/update', upload.single('dp'), async (req, res) => {
 });
 
 // API Endpoint: Request Verification
-router.post('/request-verification', async (req, res) => {
+router.post('/request-verification', enforceOwnership('body.user_id'), async (req, res) => {
     const { user_id, request_reason } = req.body;
 
     if (!user_id || !request_reason) {
@@ -714,5 +720,83 @@ router.post('/request-verification', async (req, res) => {
     error ? res.status(500).json({ error }) : res.status(201).json({ message: 'Verification request submitted!', request: data });
 });
 
+// API Endpoint: List Verification Requests (moderators and admins only)
+// Route: GET /verification-requests?status=pending
+// status defaults to "pending"; pass "all" to list every request.
+router.get('/verification-requests', requireRole('moderator'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    let query = supabaseAdmin
+      .from('verification_requests')
+      .select('*, profiles(id, username, name, dp, followers_count)')
+      .order('submitted_at', { ascending: true });
+    if (status !== 'all') query = query.eq('request_status', status);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('Error fetching verification requests:', error.message);
+      return res.status(500).json({ error: 'Error fetching verification requests.' });
+    }
+
+    return res.status(200).json({ requests: data });
+  } catch (err) {
+    console.error('Error fetching verification requests:', err.message);
+    res.status(500).json({ error: 'Internal server error: ' + err.message });
+  }
+});
+
+// API Endpoint: Review Verification Request (moderators and admins only)
+// Route: POST /verification-requests/:id/review
+// Expects: { decision: "approved" | "rejected" } in the request body.
+// Approving marks the user's profile as verified.
+router.post('/verification-requests/:id/review', requireRole('moderator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be "approved" or "rejected".' });
+    }
+
+    const reviewedAt = new Date();
+    const { data: request, error: requestError } = await supabaseAdmin
+      .from('verification_requests')
+      .update({ request_status: decision, reviewed_at: reviewedAt })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (requestError || !request) {
+      return res.status(404).json({ error: 'Verification request not found.' });
+    }
+
+    // Keep the profile's verified flag in sync with the decision.
+    const { error: profileError } = await supabaseAdmin
+      .from('profiles')
+      .update({
+        verified: decision === 'approved',
+        verified_at: decision === 'approved' ? reviewedAt : null
+      })
+      .eq('user_id', request.user_id);
+
+    if (profileError) {
+      return res.status(500).json({ error: 'Failed to update profile verification status.' });
+    }
+
+    await recordAudit(req, {
+      action: `verification.${decision === 'approved' ? 'approve' : 'reject'}`,
+      targetType: 'verification_request',
+      targetId: id,
+      details: { user_id: request.user_id }
+    });
+
+    res.status(200).json({ message: `Verification request ${decision}.`, request });
+  } catch (err) {
+    console.error('Error reviewing verification request:', err.message);
+    res.status(500).json({ error: 'Internal server error: ' + err.message });
+  }
+});
+
 
 module.exports = router;
@@ -0,0 +1,127 @@
+// realtime.js
+// Real-time push channel (Server-Sent Events). The stream is a normal protected route, so it authenticates
+// with the same Authorization bearer token + X-Session-Token pair (and TS token) as every other request;
+// use a fetch-based EventSource client, the browser EventSource can't send headers.
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const {
+  MAX_SUBSCRIPTIONS_PER_CONNECTION,
+  addConnection,
+  removeConnection,
+  closeConnection,
+  getConnection,
+  subscribeToWallpapers,
+  unsubscribeFromWallpapers,
+  writeEvent,
+} = require('../utils/realtime');
+
+const router = express.Router();
+
+// Helper: Wallpaper ids from a comma separated string or an array.
+const parseWallpaperIds = (value) => {
+  if (!value) return [];
+  const ids = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+};
+
+/**
+ * GET /api/realtime/stream?wallpapers=<id>,<id>
+ * Opens the event stream. The first event is "ready" with the connection_id used to change subscriptions.
+ * Events:
+ *   notification        - { notification, unread }  (see /api/notifications)
+ *   upload_job          - upload job status changes (same body as GET /api/wallpaper/jobs/:id)
+ *   moderation          - { result: "approved" | "rejected", pending_id, wallpaper_id?, title, reason? }
+ *   wallpaper_published - a scheduled wallpaper went live: { wallpaper_id, title }
+ *   counter             - { wallpaper_id, metric, delta, value } for subscribed wallpapers,
+ *                         { user_id, metric: "followers_count", delta, value } for the user's own profile
+ *   close               - { reason } the server ends the stream ("token_expired": reconnect with a fresh token)
+ */
+router.get('/stream', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.status(200);
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const connection = addConnection(req.userId, res);
+  const subscription = subscribeToWallpapers(
+    connection,
+    parseWallpaperIds(req.query.wallpapers).slice(0, MAX_SUBSCRIPTIONS_PER_CONNECTION)
+  );
+  writeEvent(connection, 'ready', { connection_id: connection.id, wallpaper_ids: subscription.wallpaper_ids });
+
+  // The stream only lives as long as the access token it was opened with.
+  const { exp } = jwt.decode(req.headers['authorization'].slice(7)) || {};
+  const expiryTimer = exp
+    ? setTimeout(() => closeConnection(connection.id, 'token_expired'), Math.max(exp * 1000 - Date.now(), 0))
+    : null;
+
+  req.on('close', () => {
+    if (expiryTimer) clearTimeout(expiryTimer);
+    removeConnection(connection.id);
+  });
+});
+
+/**
+ * POST /api/realtime/subscriptions
+ * Body: { connection_id, wallpaper_ids: ["<id>", ...] }
+ * Follow live counters of more wallpapers on an open stream.
+ */
+router.post(
+  '/subscriptions',
+  [
+    body('connection_id').isUUID().withMessage('connection_id is required.'),
+    body('wallpaper_ids').isArray({ min: 1 }).withMessage('wallpaper_ids must be a non-empty array.'),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const connection = getConnection(req.body.connection_id, req.userId);
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found. Open a new stream.' });
+    }
+
+    const result = subscribeToWallpapers(connection, parseWallpaperIds(req.body.wallpaper_ids));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    return res.status(200).json({ wallpaper_ids: result.wallpaper_ids });
+  }
+);
+
+/**
+ * DELETE /api/realtime/subscriptions
+ * Body: { connection_id, wallpaper_ids: ["<id>", ...] }
+ */
+router.delete(
+  '/subscriptions',
+  [
+    body('connection_id').isUUID().withMessage('connection_id is required.'),
+    body('wallpaper_ids').isArray({ min: 1 }).withMessage('wallpaper_ids must be a non-empty array.'),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const connection = getConnection(req.body.connection_id, req.userId);
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection not found. Open a new stream.' });
+    }
+
+    const wallpaperIds = unsubscribeFromWallpapers(connection, parseWallpaperIds(req.body.wallpaper_ids));
+    return res.status(200).json({ wallpaper_ids: wallpaperIds });
+  }
+);
+
+module.exports = router;
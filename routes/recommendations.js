@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const { supabaseAdmin } = require("../supabaseClient"); // Adjust the path as needed
+const { getWallpaperVariants } = require("../utils/imageVariants");
+const { getHiddenUserIds, filterHiddenWallpapers } = require("../utils/userBlocks");
 
 /**
  * Fallback: Fetch trending wallpapers based on view_count or another metric.
@@ -11,6 +13,7 @@ const getTrendingWallpapers = async () => {
     const { data, error } = await supabaseAdmin
       .from("wallpapers")
       .select("*")
+      .eq("status", "published")
       .order("view_count", { ascending: false })
       .limit(30);
 
@@ -81,6 +84,7 @@ const getWallpapersByAssociation = async (
           .from("wallpapers")
           .select("*")
           .eq("id", wpId)
+          .eq("status", "published")
           .single();
         if (!wpError && wpData) {
           results.push(wpData);
@@ -100,7 +104,8 @@ const getLatestUploads = async () => {
     const { data, error } = await supabaseAdmin
       .from("wallpapers")
       .select("*")
-      .order("created_at", { ascending: false })
+      .eq("status", "published")
+      .order("published_at", { ascending: false })
       .limit(5);
     if (error) {
       console.error("Error fetching latest uploads:", error.message);
@@ -135,7 +140,8 @@ const getFollowedProfilesWallpapers = async (userId) => {
       .from("wallpapers")
       .select("*")
       .in("user_id", followedIds)
-      .order("created_at", { ascending: false })
+      .eq("status", "published")
+      .order("published_at", { ascending: false })
       .limit(5);
     if (wpError) {
       console.error("Error fetching wallpapers from followed profiles:", wpError.message);
@@ -156,9 +162,11 @@ const getFollowedProfilesWallpapers = async (userId) => {
  *   - Segment 4: 5 wallpapers from followed profiles' latest uploads.
  *   - Segment 5: 10 wallpapers from download associations (using wallpaper_downloads AND wallpaper_categories).
  * 
- * Then duplicates are removed, trending wallpapers are used to fill any gap below 30, and the final list is shuffled.
+ * Then duplicates and wallpapers of blocked / muted users and of private accounts the viewer doesn't follow are
+ * removed, trending wallpapers are used to fill any gap below 30, and the final list is shuffled.
  */
-const recommendWallpapersCustom = async (userId) => {
+const recommendWallpapersCustom = async (userId, viewerId) => {
+  const hiddenUserIds = await getHiddenUserIds(viewerId);
   try {
     // Segment 1: Latest uploads.
     const s1 = await getLatestUploads();
@@ -196,8 +204,8 @@ const recommendWallpapersCustom = async (userId) => {
       10
     );
 
-    // Combine all segments.
-    let combined = [...s1, ...s2, ...s3, ...s4, ...s5];
+    // Combine all segments, without blocked / muted uploaders.
+    let combined = filterHiddenWallpapers([...s1, ...s2, ...s3, ...s4, ...s5], hiddenUserIds);
 
     // Remove duplicate wallpapers (by id).
     const uniqueMap = new Map();
@@ -210,7 +218,7 @@ const recommendWallpapersCustom = async (userId) => {
 
     // If less than 30 wallpapers, fill with trending wallpapers.
     if (uniqueWallpapers.length < 30) {
-      const trending = await getTrendingWallpapers();
+      const trending = filterHiddenWallpapers(await getTrendingWallpapers(), hiddenUserIds);
       for (const wp of trending) {
         if (!uniqueMap.has(wp.id)) {
           uniqueWallpapers.push(wp);
@@ -230,7 +238,7 @@ const recommendWallpapersCustom = async (userId) => {
     return uniqueWallpapers.slice(0, 30);
   } catch (error) {
     console.error("Error in recommendWallpapersCustom:", error.message);
-    return await getTrendingWallpapers();
+    return filterHiddenWallpapers(await getTrendingWallpapers(), hiddenUserIds);
   }
 };
 
@@ -286,17 +294,21 @@ const enrichWallpaperDetails = async (wallpaper, currentUserId) => {
     wallpaper.hashtags = hashtagData.map((entry) => entry.hashtags.name);
   }
 
+  // Renditions (thumbnail, preview, device sizes) so clients can pick the right size.
+  wallpaper.variants = await getWallpaperVariants(wallpaper.id);
+
   return wallpaper;
 };
 
 /**
  * fetchForYou returns the 30 custom recommended wallpapers for the given user.
  * Each wallpaper is enriched with additional details (uploader profile, like/save status, hashtags).
+ * viewerId: the signed-in user, whose blocks and mutes are left out.
  */
-const fetchForYou = async (userId) => {
+const fetchForYou = async (userId, viewerId) => {
   try {
     console.log(`Fetching custom recommendations for user ${userId}...`);
-    const recommendations = await recommendWallpapersCustom(userId);
+    const recommendations = await recommendWallpapersCustom(userId, viewerId);
     // Enrich each wallpaper before returning.
     const enrichedRecommendations = await Promise.all(
       recommendations.map(async (wallpaper) => {
@@ -318,7 +330,7 @@ router.get("/recommendations/:user_id", async (req, res) => {
   try {
     const { user_id } = req.params;
     console.log(`⚡ Generating custom wallpaper recommendations for user ${user_id}...`);
-    const recommendations = await fetchForYou(user_id);
+    const recommendations = await fetchForYou(user_id, req.userId);
     res.status(200).json({ recommendations });
   } catch (err) {
     console.error("❌ Error in recommendation endpoint:", err.message);
@@ -2,6 +2,9 @@
 
 const express = require('express');
 const { createClient } = require('@supabase/supabase-js');
+const { requireRole } = require('../Middleware/requireRole');
+const { recordAudit } = require('../utils/auditLog');
+const enforceOwnership = require('../Middleware/enforceOwnership');
 
 const router = express.Router();
 
@@ -15,12 +18,12 @@ const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_KEY);
  * Request JSON body should include:
  * {
  *   "reporter_id": "UUID of the reporting user",
- *   "element_type": "user" | "profile" | "wallpaper",
+ *   "element_type": "user" | "profile" | "wallpaper" | "comment",
  *   "element_id": "UUID of the reported element",
  *   "reason": "A brief explanation of why this element is being reported"
  * }
  */
-router.post('/report', async (req, res) => {
+router.post('/report', enforceOwnership('body.reporter_id'), async (req, res) => {
   try {
     const { reporter_id, element_type, element_id, reason } = req.body;
 
@@ -30,9 +33,9 @@ router.post('/report', async (req, res) => {
     }
 
     // Validate that the element_type is one of the allowed types.
-    const allowedTypes = ['user', 'profile', 'wallpaper'];
+    const allowedTypes = ['user', 'profile', 'wallpaper', 'comment'];
     if (!allowedTypes.includes(element_type.toLowerCase())) {
-      return res.status(400).json({ error: "Invalid element_type. Must be one of 'user', 'profile', or 'wallpaper'." });
+      return res.status(400).json({ error: "Invalid element_type. Must be one of 'user', 'profile', 'wallpaper' or 'comment'." });
     }
 
     // Insert the report record into the database.
@@ -58,4 +61,87 @@ router.post('/report', async (req, res) => {
   }
 });
 
+/**
+ * GET /reports (moderators and admins only)
+ * Query parameters (all optional):
+ *    status       - "open" (default), "resolved", "dismissed" or "all"
+ *    element_type - "user" | "profile" | "wallpaper" | "comment"
+ *    page/limit   - 1-based paging (default 1 / 20, max 100)
+ */
+router.get('/reports', requireRole('moderator'), async (req, res) => {
+  try {
+    const { status = 'open', element_type } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('reports')
+      .select('*', { count: 'exact' });
+    if (status !== 'all') query = query.eq('status', status);
+    if (element_type) query = query.eq('element_type', element_type.toLowerCase());
+
+    const { data: reports, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error("Error fetching reports:", error.message);
+      return res.status(500).json({ error: "Error fetching reports." });
+    }
+
+    return res.status(200).json({ reports, pagination: { page, limit, total: count || 0 } });
+  } catch (err) {
+    console.error("Unexpected error:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * PATCH /reports/:id (moderators and admins only)
+ * Request JSON body should include:
+ * {
+ *   "status": "resolved" | "dismissed",
+ *   "resolution_note": "Optional note about the action taken"
+ * }
+ */
+router.patch('/reports/:id', requireRole('moderator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, resolution_note } = req.body;
+
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ error: "Invalid status. Must be 'resolved' or 'dismissed'." });
+    }
+
+    const { data: report, error } = await supabaseAdmin
+      .from('reports')
+      .update({
+        status,
+        resolution_note: resolution_note || null,
+        reviewed_by: req.userId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !report) {
+      return res.status(404).json({ error: "Report not found." });
+    }
+
+    await recordAudit(req, {
+      action: `report.${status}`,
+      targetType: 'report',
+      targetId: id,
+      details: { element_type: report.element_type, element_id: report.element_id, resolution_note: resolution_note || null }
+    });
+
+    return res.status(200).json({ message: "Report updated successfully.", report });
+  } catch (err) {
+    console.error("Unexpected error:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
 module.exports = router;
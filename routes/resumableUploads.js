@@ -0,0 +1,241 @@
+// resumableUploads.js
+// Resumable wallpaper uploads (tus-style): initiate, send chunks with Upload-Offset, query the offset, complete.
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const enforceOwnership = require('../Middleware/enforceOwnership');
+const { wallpaperDetailsValidators } = require('../utils/wallpaperPipeline');
+const { enqueueUploadJob, formatUploadJob } = require('../utils/uploadJobs');
+const { getUploadQuota, quotaExceededResponse } = require('../utils/uploadQuota');
+const { publishingValidators, resolvePublishing } = require('../utils/wallpaperPublishing');
+const {
+  MAX_RESUMABLE_FILE_SIZE,
+  RECOMMENDED_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  createUploadSession,
+  getUploadSession,
+  getReceivedBytes,
+  appendChunk,
+  claimCompletedUpload,
+  finishUploadSession,
+  deleteUploadSession,
+} = require('../utils/resumableUploads');
+
+const router = express.Router();
+
+// Chunks are sent as the raw request body.
+const rawChunk = express.raw({
+  type: ['application/offset+octet-stream', 'application/octet-stream'],
+  limit: MAX_CHUNK_SIZE
+});
+
+// Helper: Session summary returned by every endpoint.
+const formatSession = (session, offset) => ({
+  upload_id: session.id,
+  status: session.status,
+  offset,
+  file_size: Number(session.file_size),
+  expires_at: session.expires_at,
+  job_id: session.job_id || null,
+  error: session.error || null
+});
+
+/**
+ * POST /api/wallpaper/uploads
+ * Body: { user_id, title, description?, hashtags?, publish?, publish_at?, file_name, file_size }
+ * Starts a resumable upload and returns its upload_id and the recommended chunk size.
+ */
+router.post(
+  '/',
+  enforceOwnership('body.user_id'),
+  wallpaperDetailsValidators,
+  publishingValidators,
+  [
+    body('file_name').isString().trim().notEmpty().withMessage('file_name is required.'),
+    body('file_size')
+      .isInt({ min: 1, max: MAX_RESUMABLE_FILE_SIZE })
+      .withMessage(`file_size must be between 1 and ${MAX_RESUMABLE_FILE_SIZE} bytes.`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const { user_id, title, description, hashtags, file_name, file_size } = req.body;
+
+      const quota = await getUploadQuota(user_id);
+      if (quota.remaining < 1) {
+        return res.status(429).json(quotaExceededResponse(quota));
+      }
+
+      const session = await createUploadSession({
+        user_id,
+        title,
+        description: description || null,
+        hashtags: hashtags || null,
+        ...resolvePublishing(req.body),
+        file_name,
+        file_size: parseInt(file_size, 10)
+      });
+
+      res.set('Location', `${req.baseUrl}/${session.id}`);
+      return res.status(201).json({
+        ...formatSession(session, 0),
+        chunk_size: RECOMMENDED_CHUNK_SIZE,
+        max_chunk_size: MAX_CHUNK_SIZE
+      });
+    } catch (err) {
+      console.error('Error starting resumable upload:', err.message);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+/**
+ * GET (or HEAD) /api/wallpaper/uploads/:id
+ * Returns the current offset so an interrupted upload can resume from there.
+ * Headers: Upload-Offset, Upload-Length
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, req.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired.' });
+    }
+
+    const offset = await getReceivedBytes(session.id);
+    res.set({
+      'Upload-Offset': String(offset),
+      'Upload-Length': String(session.file_size),
+      'Cache-Control': 'no-store'
+    });
+    return res.status(200).json(formatSession(session, offset));
+  } catch (err) {
+    console.error('Error fetching resumable upload:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * PATCH /api/wallpaper/uploads/:id
+ * Headers: Upload-Offset (bytes already received), Content-Type: application/offset+octet-stream
+ * Body: the chunk bytes (at most max_chunk_size).
+ * On an offset mismatch (409) resume from the returned offset.
+ */
+router.patch('/:id', rawChunk, async (req, res) => {
+  try {
+    const offset = parseInt(req.get('Upload-Offset'), 10);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'A valid Upload-Offset header is required.' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Chunk body is required (Content-Type: application/offset+octet-stream).' });
+    }
+
+    const session = await getUploadSession(req.params.id, req.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired.' });
+    }
+
+    const result = await appendChunk(session, offset, req.body);
+    if (result.offset !== undefined) {
+      res.set('Upload-Offset', String(result.offset));
+    }
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, offset: result.offset });
+    }
+
+    return res.status(200).json({
+      upload_id: session.id,
+      offset: result.offset,
+      file_size: Number(session.file_size),
+      complete: result.offset === Number(session.file_size)
+    });
+  } catch (err) {
+    console.error('Error receiving upload chunk:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/wallpaper/uploads/:id/complete
+ * Hands the assembled file to the upload queue, like /api/wallpaper/add.
+ * Returns 202 with the job to poll at GET /api/wallpaper/jobs/:job_id.
+ */
+router.post('/:id/complete', async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, req.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired.' });
+    }
+
+    // Checked again: other uploads may have used the quota while this one was in progress.
+    const quota = await getUploadQuota(session.user_id);
+    if (quota.remaining < 1) {
+      return res.status(429).json(quotaExceededResponse(quota));
+    }
+
+    const claim = await claimCompletedUpload(session);
+    if (claim.error) {
+      return res.status(claim.status).json({ error: claim.error });
+    }
+
+    let job;
+    try {
+      // Null when other uploads took the last of the quota in the meantime.
+      job = await enqueueUploadJob({
+        user_id: session.user_id,
+        title: session.title,
+        description: session.description,
+        hashtags: session.hashtags,
+        file_name: session.file_name,
+        publish_status: session.publish_status,
+        publish_at: session.publish_at,
+        sourcePath: claim.filePath
+      });
+    } catch (err) {
+      // The received bytes are kept so completing can be retried.
+      await finishUploadSession(session.id, { status: 'uploading', error: err.message });
+      throw err;
+    }
+    if (!job) {
+      await finishUploadSession(session.id, { status: 'uploading', error: 'Upload quota exceeded.' });
+      return res.status(429).json(quotaExceededResponse(await getUploadQuota(session.user_id)));
+    }
+    await finishUploadSession(session.id, { status: 'completed', jobId: job.id });
+
+    return res.status(202).json({
+      message: 'Upload received and queued for processing.',
+      job: formatUploadJob(job)
+    });
+  } catch (err) {
+    console.error('Error completing resumable upload:', err.message);
+    return res.status(500).json({ error: 'Internal server error:' + err.message });
+  }
+});
+
+/**
+ * DELETE /api/wallpaper/uploads/:id
+ * Aborts an upload and discards the received bytes.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.id, req.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired.' });
+    }
+    if (session.status === 'processing') {
+      return res.status(409).json({ error: 'Upload is being processed.' });
+    }
+
+    await deleteUploadSession(session.id);
+    return res.status(200).json({ message: 'Upload cancelled.' });
+  } catch (err) {
+    console.error('Error cancelling resumable upload:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,70 @@
 const express = require("express");
 const router = express.Router();
 const { supabaseAdmin } = require("../supabaseClient");
+const { getWallpaperVariants } = require("../utils/imageVariants");
+const { searchCollections } = require("../utils/collections");
+const { getHiddenUserIds, excludeHiddenUsers } = require("../utils/userBlocks");
+const { MIN_QUERY_LENGTH, SEARCH_SORTS, decodeSearchCursor, searchWallpaperIds } = require("../utils/searchIndex");
+const { COLOR_FAMILIES } = require("../utils/imageMetadata");
+const { SUGGESTION_GROUPS, recordSearchQuery, getSearchSuggestions } = require("../utils/searchSuggestions");
+
+const SEARCH_PAGE_SIZE = 30;
+const ORIENTATIONS = ["portrait", "landscape", "square"];
+const RESOLUTION_ALIASES = { "4k": 2160, "5k": 2880, "8k": 4320 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RANGES_MS = { "24h": DAY_MS, "7d": 7 * DAY_MS, "30d": 30 * DAY_MS, "1y": 365 * DAY_MS };
+const SUGGEST_MAX_LENGTH = 100;
+const SEARCH_MAX_LENGTH = 100;
+const SEARCH_MAX_WORDS = 10; // Every word is matched against the whole index (prefixes and typos included)
 
 // ----------------------------------------------------------------------------
-// Helper: Get unique 3-letter chunks (trigrams) from a string.
-const getTrigrams = (str) => {
-  const trigrams = new Set();
-  const clean = str.trim().toLowerCase();
-  for (let i = 0; i <= clean.length - 3; i++) {
-    trigrams.add(clean.substr(i, 3));
+// Helper: Read the filter and sort query parameters of /search.
+// Returns { filters, sort } or { error } when a value is invalid.
+const parseSearchOptions = (query) => {
+  // Lists can be comma separated and / or repeated (?style=anime,pixel&style=retro).
+  const toList = (value) =>
+    [].concat(value || [])
+      .flatMap((item) => String(item).split(","))
+      .map((item) => item.trim().toLowerCase())
+      .filter(Boolean);
+
+  const sort = query.sort ? String(query.sort).toLowerCase() : "relevance";
+  if (!SEARCH_SORTS.includes(sort)) {
+    return { error: `sort must be one of: ${SEARCH_SORTS.join(", ")}.` };
+  }
+
+  const filters = {};
+  if (query.orientation) {
+    filters.orientation = String(query.orientation).toLowerCase();
+    if (!ORIENTATIONS.includes(filters.orientation)) {
+      return { error: `orientation must be one of: ${ORIENTATIONS.join(", ")}.` };
+    }
+  }
+  if (query.min_resolution) {
+    const value = String(query.min_resolution).toLowerCase();
+    filters.min_resolution = RESOLUTION_ALIASES[value] || (/^\d{1,5}p?$/.test(value) ? parseInt(value, 10) : 0);
+    if (!filters.min_resolution) {
+      return { error: "min_resolution must be a height like 1080p, 1440p or 4k." };
+    }
   }
-  return Array.from(trigrams);
+  if (query.color) {
+    filters.color = String(query.color).toLowerCase();
+    if (!COLOR_FAMILIES.includes(filters.color)) {
+      return { error: `color must be one of: ${COLOR_FAMILIES.join(", ")}.` };
+    }
+  }
+  const categories = toList(query.category);
+  if (categories.length > 0) filters.category = categories;
+  const styles = toList(query.style);
+  if (styles.length > 0) filters.style = styles;
+  if (query.date) {
+    const range = DATE_RANGES_MS[String(query.date).toLowerCase()];
+    if (!range) {
+      return { error: `date must be one of: ${Object.keys(DATE_RANGES_MS).join(", ")}.` };
+    }
+    filters.published_since = Date.now() - range;
+  }
+  return { filters, sort };
 };
 
 // ----------------------------------------------------------------------------
@@ -60,6 +114,9 @@ const enrichWallpaperDetails = async (wallpaper, currentUserId) => {
     wallpaper.hashtags = hashtagData.map((item) => item.hashtags.name);
   }
 
+  // Renditions (thumbnail, preview, device sizes) so clients can pick the right size.
+  wallpaper.variants = await getWallpaperVariants(wallpaper.id);
+
   return wallpaper;
 };
 
@@ -73,233 +130,148 @@ const enrichWallpapers = async (wallpapers, currentUserId) => {
 
 // ----------------------------------------------------------------------------
 // Main smart search function.
-// • Searches wallpapers by title, categories, hashtags and styles using trigrams.
-// • Each source has a weight: higher weight means a better match.
-// • Results from all sources are merged (summing scores for duplicate wallpaper IDs),
-//   then sorted and paginated by 30 wallpapers per page (refresh=0 means first 30,
-//   refresh=1 the next 30, etc.).
-// • If no matches are found, random wallpapers are returned.
-// Now, each wallpaper is subsequently enriched with uploader details, like/save flags, and hashtags.
-const smartSearchWallpapers = async (query, refreshCount = 0, currentUserId) => {
+// • Ranks published wallpapers with the search index (utils/searchIndex.js): BM25 relevance over title,
+//   description, hashtags, categories, styles and the uploader's username, with prefix matching on the word
+//   being typed and tolerance for typos.
+// • Filters (orientation, resolution, color, category, style, date) narrow the results; facet counts for
+//   category, style and orientation come back with every page.
+// • Results come in a fixed order (the sort: relevance, newest, likes or downloads; then relevance, newest
+//   and id) and are paged by offset or by the next_cursor of the previous page.
+// • Wallpapers of users the signed-in viewer blocked or muted (or who blocked them) are left out.
+// • If nothing matches an unfiltered search, the most liked wallpapers are returned instead.
+// Each wallpaper is enriched with uploader details, like/save flags, hashtags and variants.
+const smartSearchWallpapers = async (
+  query,
+  { offset = 0, limit = SEARCH_PAGE_SIZE, cursor = null, filters = {}, sort = "relevance" } = {},
+  currentUserId,
+  viewerId
+) => {
   const trimmed = query.trim();
-  if (trimmed.length < 3) {
+  if (trimmed.length < MIN_QUERY_LENGTH) {
     return {
       fallback: true,
-      message: "Please enter at least 3 letters.",
+      message: `Please enter at least ${MIN_QUERY_LENGTH} letters.`,
       wallpapers: [],
     };
   }
 
-  // Get all unique 3-letter segments.
-  const trigrams = getTrigrams(trimmed);
-
-  // Result map keyed by wallpaper ID.
-  let results = {};
-
-  // Define weights.
-  const weights = {
-    title: 1,
-    category: 3,
-    hashtag: 2,
-    style: 3,
-  };
-
-  // ---------------------- Title search ----------------------
-  for (const tri of trigrams) {
-    const { data, error } = await supabaseAdmin
-      .from("wallpapers")
-      .select("*")
-      .ilike("title", `%${tri}%`);
-    if (error) {
-      console.error("Title search error:", error.message);
-    } else if (data && data.length) {
-      data.forEach((wp) => {
-        if (!results[wp.id]) {
-          results[wp.id] = { wallpaper: wp, score: 0 };
-        }
-        results[wp.id].score += weights.title;
-      });
-    }
-  }
-
-  // ---------------------- Category search ----------------------
-  for (const tri of trigrams) {
-    const { data: categories, error: catError } = await supabaseAdmin
-      .from("categories")
-      .select("id, name")
-      .ilike("name", `%${tri}%`);
-    if (catError) {
-      console.error("Category search error:", catError.message);
-    } else if (categories && categories.length) {
-      const categoryIds = categories.map((cat) => cat.id);
-      // Lookup wallpapers that belong to these categories.
-      const { data: wcData, error: wcError } = await supabaseAdmin
-        .from("wallpaper_categories")
-        .select("wallpaper_id")
-        .in("category_id", categoryIds);
-      if (wcError) {
-        console.error("Wallpaper_categories query error:", wcError.message);
-      } else if (wcData && wcData.length) {
-        for (const item of wcData) {
-          const wallpaperId = item.wallpaper_id;
-          if (!results[wallpaperId]) {
-            const { data: wpData, error: wpError } = await supabaseAdmin
-              .from("wallpapers")
-              .select("*")
-              .eq("id", wallpaperId)
-              .single();
-            if (wpError) {
-              console.error("Fetching wallpaper error:", wpError.message);
-              continue;
-            }
-            results[wallpaperId] = { wallpaper: wpData, score: 0 };
-          }
-          results[wallpaperId].score += weights.category;
-        }
-      }
-    }
-  }
+  const hiddenUserIds = await getHiddenUserIds(viewerId);
+  const { ids, total, next_cursor, facets } = await searchWallpaperIds(query, {
+    offset,
+    limit,
+    cursor,
+    filters,
+    sort,
+    excludeUserIds: hiddenUserIds
+  });
+  const filtered = Object.keys(filters).length > 0;
 
-  // ---------------------- Hashtag search ----------------------
-  for (const tri of trigrams) {
-    const { data: hashtags, error: tagError } = await supabaseAdmin
-      .from("hashtags")
-      .select("id, name")
-      .ilike("name", `%${tri}%`);
-    if (tagError) {
-      console.error("Hashtag search error:", tagError.message);
-    } else if (hashtags && hashtags.length) {
-      const hashtagIds = hashtags.map((tag) => tag.id);
-      const { data: whData, error: whError } = await supabaseAdmin
-        .from("wallpaper_hashtags")
-        .select("wallpaper_id")
-        .in("hashtag_id", hashtagIds);
-      if (whError) {
-        console.error("Wallpaper_hashtags query error:", whError.message);
-      } else if (whData && whData.length) {
-        for (const item of whData) {
-          const wallpaperId = item.wallpaper_id;
-          if (!results[wallpaperId]) {
-            const { data: wpData, error: wpError } = await supabaseAdmin
-              .from("wallpapers")
-              .select("*")
-              .eq("id", wallpaperId)
-              .single();
-            if (wpError) {
-              console.error("Fetching wallpaper error:", wpError.message);
-              continue;
-            }
-            results[wallpaperId] = { wallpaper: wpData, score: 0 };
-          }
-          results[wallpaperId].score += weights.hashtag;
-        }
-      }
-    }
+  if (total === 0 && filtered) {
+    return { fallback: true, message: "No wallpapers match these filters.", wallpapers: [], total, next_cursor: null, facets };
   }
 
-  // ---------------------- Style search ----------------------
-  for (const tri of trigrams) {
-    const { data: styles, error: styleError } = await supabaseAdmin
-      .from("styles")
-      .select("id, name")
-      .ilike("name", `%${tri}%`);
-    if (styleError) {
-      console.error("Style search error:", styleError.message);
-    } else if (styles && styles.length) {
-      const styleIds = styles.map((s) => s.id);
-      const { data: wsData, error: wsError } = await supabaseAdmin
-        .from("wallpaper_styles")
-        .select("wallpaper_id")
-        .in("style_id", styleIds);
-      if (wsError) {
-        console.error("Wallpaper_styles query error:", wsError.message);
-      } else if (wsData && wsData.length) {
-        for (const item of wsData) {
-          const wallpaperId = item.wallpaper_id;
-          if (!results[wallpaperId]) {
-            const { data: wpData, error: wpError } = await supabaseAdmin
-              .from("wallpapers")
-              .select("*")
-              .eq("id", wallpaperId)
-              .single();
-            if (wpError) {
-              console.error("Fetching wallpaper error:", wpError.message);
-              continue;
-            }
-            results[wallpaperId] = { wallpaper: wpData, score: 0 };
-          }
-          results[wallpaperId].score += weights.style;
-        }
-      }
+  // ---------------------- Fallback: most liked wallpapers if nothing matched ----------------------
+  if (total === 0 && !cursor) {
+    const { data: popular, error: popularError } = await excludeHiddenUsers(
+      supabaseAdmin.from("wallpapers").select("*").eq("status", "published"),
+      hiddenUserIds
+    )
+      .order("like_count", { ascending: false })
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (popularError) {
+      throw new Error("Error fetching popular wallpapers: " + popularError.message);
     }
+    return {
+      fallback: true,
+      message: "No match found. Showing popular wallpapers.",
+      wallpapers: await enrichWallpapers(popular, currentUserId),
+      total: 0,
+      next_cursor: null,
+      facets,
+    };
   }
 
-  // ---------------------- Merge and sort results ----------------------
-  let resultArray = Object.values(results);
-  resultArray.sort((a, b) => {
-    if (b.score === a.score) {
-      return new Date(b.wallpaper.created_at) - new Date(a.wallpaper.created_at);
-    }
-    return b.score - a.score;
-  });
-
-  // ---------------------- Fallback: Use random wallpapers if nothing matched ----------------------
-  if (resultArray.length === 0) {
-    const { data: randomData, error: randomError } = await supabaseAdmin
-      .from("wallpapers")
-      .select("*");
-    if (randomError) {
-      console.error("Random wallpaper query error:", randomError.message);
-    } else if (randomData && randomData.length) {
-      // Simple shuffle.
-      for (let i = randomData.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [randomData[i], randomData[j]] = [randomData[j], randomData[i]];
-      }
-      resultArray = randomData.map((wp) => ({ wallpaper: wp, score: 0 }));
-      // Paginate and enrich the random results.
-      const paginatedRandom = resultArray
-        .slice(refreshCount * 30, refreshCount * 30 + 30)
-        .map((item) => item.wallpaper);
-      const enrichedRandom = await enrichWallpapers(paginatedRandom, currentUserId);
-      return {
-        fallback: true,
-        message: "No match found. Showing random wallpapers.",
-        wallpapers: enrichedRandom,
-      };
-    }
+  if (ids.length === 0) {
+    return { fallback: true, message: "No more wallpapers found for this search.", wallpapers: [], total, next_cursor: null, facets };
   }
 
-  // ---------------------- Pagination and enrichment ----------------------
-  const pageSize = 30;
-  const startIndex = refreshCount * pageSize;
-  const paginated = resultArray
-    .slice(startIndex, startIndex + pageSize)
-    .map((item) => item.wallpaper);
-  if (paginated.length === 0) {
-    return { fallback: true, message: "No more wallpapers found for this search.", wallpapers: [] };
+  // ---------------------- Load and enrich the page, in ranked order ----------------------
+  const { data: rows, error } = await supabaseAdmin
+    .from("wallpapers")
+    .select("*")
+    .in("id", ids)
+    .eq("status", "published");
+  if (error) {
+    throw new Error("Error fetching search results: " + error.message);
   }
-  const enrichedPaginated = await enrichWallpapers(paginated, currentUserId);
-  return { fallback: false, wallpapers: enrichedPaginated };
+  const byId = new Map(rows.map((wp) => [wp.id, wp]));
+  const wallpapers = ids.map((id) => byId.get(id)).filter(Boolean); // Skips ones removed since they were indexed
+  const enriched = await enrichWallpapers(wallpapers, currentUserId);
+  return { fallback: false, wallpapers: enriched, total, next_cursor, facets };
 };
 
 // ----------------------------------------------------------------------------
 // GET /search Endpoint
 // Query parameters:
-//    q       - the search query (required)
-//    refresh - page number (0 for first 30, 1 for next 30, etc.)
+//    q       - the search query (required, at least 2 letters, at most 100 characters and 10 words; the last word also
+//              matches as a prefix)
+//    refresh - page number (0 for the first page, 1 for the next, etc.)
+//    limit   - wallpapers per page (default 30, at most 100)
+//    cursor  - instead of refresh: the next_cursor of the previous page (same sort)
 //    user_id - current user's id (for like/save enrichment)
+//    sort    - relevance (default) | newest | likes | downloads
+// Filters (all optional):
+//    orientation    - portrait | landscape | square
+//    min_resolution - shorter side at least this many pixels: 1080p, 1440p, 4k, ...
+//    color          - main color: red, orange, brown, yellow, green, teal, blue, purple, pink, black, white, gray
+//    category       - category name(s), comma separated (any of them)
+//    style          - style name(s), comma separated (any of them)
+//    date           - published within: 24h | 7d | 30d | 1y
+// Responds with { fallback, message?, wallpapers, total, next_cursor, facets } (next_cursor is null on the last page;
+// facets: { category, style, orientation } as [{ value, count }], each counted with the other filters applied).
+// The first page also lists up to 5 matching public collections in "collections".
 // Usage example: 
 //   http://localhost:3000/api/search?q=car&refresh=0&user_id=YOUR_USER_ID
 router.get("/search", async (req, res) => {
   try {
-    const { q, refresh, user_id } = req.query;
-    if (!q) {
+    const { q, refresh, cursor, user_id } = req.query;
+    if (!q || typeof q !== "string") {
       return res.status(400).json({ error: "Missing required query parameter 'q'" });
     }
+    if (q.length > SEARCH_MAX_LENGTH) {
+      return res.status(400).json({ error: `q must be at most ${SEARCH_MAX_LENGTH} characters.` });
+    }
+    if (q.trim().split(/\s+/).length > SEARCH_MAX_WORDS) {
+      return res.status(400).json({ error: `q must be at most ${SEARCH_MAX_WORDS} words.` });
+    }
+    const { filters, sort, error } = parseSearchOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    let decodedCursor = null;
+    if (cursor) {
+      decodedCursor = decodeSearchCursor(cursor);
+      if (!decodedCursor || decodedCursor.sort !== sort) {
+        return res.status(400).json({ error: "Invalid cursor." });
+      }
+    }
     // We assume user_id is provided to know the current user's context.
-    const refreshCount = refresh ? parseInt(refresh, 10) : 0;
-    const result = await smartSearchWallpapers(q, refreshCount, user_id);
+    const refreshCount = Math.max(parseInt(refresh, 10) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SEARCH_PAGE_SIZE, 1), 100);
+    const result = await smartSearchWallpapers(
+      q,
+      { offset: refreshCount * limit, limit, cursor: decodedCursor, filters, sort },
+      user_id,
+      req.userId
+    );
+    if (refreshCount === 0 && !decodedCursor && q.trim().length >= MIN_QUERY_LENGTH) {
+      const { collections } = await searchCollections(q, user_id, { limit: 5, offset: 0 });
+      result.collections = collections;
+      if (!result.fallback) {
+        recordSearchQuery(q, req.userId, result.total); // For autocomplete; not awaited
+      }
+    }
     return res.status(200).json(result);
   } catch (err) {
     console.error("Error in search endpoint:", err.message);
@@ -307,4 +279,42 @@ router.get("/search", async (req, res) => {
   }
 });
 
+// ----------------------------------------------------------------------------
+// GET /search/suggest Endpoint (autocomplete, meant to be called on every keystroke)
+// Query parameters:
+//    q     - what has been typed so far (at least 1 letter)
+//    limit - suggestions per group (default 5, at most 10)
+//    types - groups to return, comma separated (default all): queries, hashtags, categories, styles, creators
+// Responds with { query, suggestions: { queries: [{ text, count }], hashtags / categories / styles: [{ name, count }],
+//   creators: [{ user_id, username, count }] } }. Counts are searches for queries and published wallpapers otherwise.
+// Usage example:
+//   http://localhost:3000/api/search/suggest?q=ne&limit=5
+router.get("/search/suggest", async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q : "";
+    if (!q.trim()) {
+      return res.status(400).json({ error: "Missing required query parameter 'q'" });
+    }
+    if (q.length > SUGGEST_MAX_LENGTH) {
+      return res.status(400).json({ error: `q must be at most ${SUGGEST_MAX_LENGTH} characters.` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 10);
+    const groups = req.query.types
+      ? String(req.query.types).split(",").map((type) => type.trim().toLowerCase()).filter(Boolean)
+      : Object.keys(SUGGESTION_GROUPS);
+    const unknown = groups.find((group) => !SUGGESTION_GROUPS[group]);
+    if (unknown) {
+      return res.status(400).json({ error: `types must be among: ${Object.keys(SUGGESTION_GROUPS).join(", ")}.` });
+    }
+
+    // Hidden users (blocked / muted, private accounts not followed) are only looked up when creators are suggested.
+    const hiddenUserIds = groups.includes("creators") ? await getHiddenUserIds(req.userId) : new Set();
+    const suggestions = await getSearchSuggestions(q, { limit, groups: [...new Set(groups)], hiddenUserIds });
+    return res.status(200).json({ query: q, suggestions });
+  } catch (err) {
+    console.error("Error in search suggest endpoint:", err.message);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 module.exports = router;
@@ -3,6 +3,149 @@ const router = express.Router();
 
 // Assuming you initialize your Supabase client and export it as "supabaseAdmin"
 const { supabaseAdmin } = require('../supabaseClient'); // Adjust the import as needed
+const enforceOwnership = require('../Middleware/enforceOwnership');
+const { getTwoFactorRecord } = require('../utils/twoFactor');
+const {
+  NOTIFICATION_PREFERENCES,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} = require('../utils/notifications');
+const { clearFollowRequests } = require('../utils/followRequests');
+
+/**
+ * GET /api/settings/notifications
+ * Notification opt-outs of the authenticated user.
+ *
+ * Response format:
+ * {
+ *   preferences: { follow: true, like: false, comment: true, moderation: true }
+ * }
+ *
+ * Declared before /:user_id so "notifications" isn't taken for a user id.
+ */
+router.get('/notifications', async (req, res) => {
+  try {
+    const preferences = await getNotificationPreferences(req.userId);
+    return res.status(200).json({ preferences });
+  } catch (err) {
+    console.error('Error fetching notification preferences:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * PATCH /api/settings/notifications
+ * Turns notification types on or off for the authenticated user.
+ *
+ * Expects JSON body with any of:
+ * {
+ *   "user_id": "<user's UUID>",   // optional, must be the authenticated user
+ *   "follow": true,
+ *   "like": false,
+ *   "comment": true,      // comments and replies
+ *   "moderation": true    // approved / rejected uploads
+ * }
+ */
+router.patch('/notifications', enforceOwnership('body.user_id'), async (req, res) => {
+  const { user_id, ...requested } = req.body;
+  const changes = {};
+  for (const [key, value] of Object.entries(requested)) {
+    if (!NOTIFICATION_PREFERENCES.includes(key)) {
+      return res.status(400).json({ error: `Unknown notification type "${key}". Must be one of: ${NOTIFICATION_PREFERENCES.join(', ')}.` });
+    }
+    if (typeof value !== 'boolean') {
+      return res.status(400).json({ error: `"${key}" must be true or false.` });
+    }
+    changes[key] = value;
+  }
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update.' });
+  }
+
+  try {
+    const preferences = await updateNotificationPreferences(user_id, changes);
+    return res.status(200).json({ message: 'Notification preferences updated.', preferences });
+  } catch (err) {
+    console.error('Error updating notification preferences:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * GET /api/settings/privacy
+ * Whether the authenticated user's account is private.
+ *
+ * Response format:
+ * {
+ *   is_private: false
+ * }
+ *
+ * Declared before /:user_id so "privacy" isn't taken for a user id.
+ */
+router.get('/privacy', async (req, res) => {
+  try {
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .select('is_private')
+      .eq('user_id', req.userId)
+      .maybeSingle();
+    if (error) {
+      return res.status(500).json({ error: 'Error fetching privacy settings: ' + error.message });
+    }
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found.' });
+    }
+    return res.status(200).json({ is_private: profile.is_private });
+  } catch (err) {
+    console.error('Error fetching privacy settings:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * PATCH /api/settings/privacy
+ * Makes the account private (new follows become follow requests; wallpapers, followers and
+ * following are hidden from non-followers) or public again.
+ *
+ * Expects JSON body:
+ * {
+ *   "user_id": "<user's UUID>",   // optional, must be the authenticated user
+ *   "is_private": true
+ * }
+ *
+ * Going public drops pending follow requests; those users can follow directly.
+ */
+router.patch('/privacy', enforceOwnership('body.user_id'), async (req, res) => {
+  const { user_id, is_private } = req.body;
+
+  if (typeof is_private !== 'boolean') {
+    return res.status(400).json({ error: '"is_private" must be true or false.' });
+  }
+
+  try {
+    const { data: profile, error } = await supabaseAdmin
+      .from('profiles')
+      .update({ is_private })
+      .eq('user_id', user_id)
+      .select('is_private')
+      .maybeSingle();
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update privacy settings: ' + error.message });
+    }
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found.' });
+    }
+
+    if (!is_private) {
+      await clearFollowRequests(user_id);
+    }
+
+    return res.status(200).json({ message: 'Privacy settings updated.', is_private: profile.is_private });
+  } catch (err) {
+    console.error('Error updating privacy settings:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
 
 /**
  * GET /api/settings/:user_id
@@ -17,6 +160,7 @@ const { supabaseAdmin } = require('../supabaseClient'); // Adjust the import as
  *     google_connected: ...,
  *     github_connected: ...,
  *     public_connected: ...,
+ *     role: ...,           // "user" | "moderator" | "admin"
  *     created_at: ...,
  *     profile: {
  *       dp: ...,
@@ -26,7 +170,13 @@ const { supabaseAdmin } = require('../supabaseClient'); // Adjust the import as
  *       requested_username: ...,
  *       verified: ...,
  *       verified_at: ...,
+ *       is_private: ...,
  *       created_at: ...,
+ *     },
+ *     two_factor: {        // only included for the authenticated user's own settings
+ *       enabled: ...,
+ *       enabled_at: ...,
+ *       recovery_codes_remaining: ...,
  *     }
  *   }
  * }
@@ -38,7 +188,7 @@ router.get('/:user_id', async (req, res) => {
     // Fetch stable user data from the "users" table
     const { data: userData, error: userError } = await supabaseAdmin
       .from('users')
-      .select('id, username, email, google_connected, github_connected, public_connected, created_at')
+      .select('id, username, email, google_connected, github_connected, public_connected, role, created_at')
       .eq('id', user_id)
       .single();
       
@@ -49,7 +199,7 @@ router.get('/:user_id', async (req, res) => {
     // Fetch additional profile info from the "profiles" table
     const { data: profileData, error: profileError } = await supabaseAdmin
       .from('profiles')
-      .select('dp, name, bio, social_links, requested_username, verified, verified_at, created_at')
+      .select('dp, name, bio, social_links, requested_username, verified, verified_at, is_private, created_at')
       .eq('user_id', user_id)
       .single();
 
@@ -59,6 +209,16 @@ router.get('/:user_id', async (req, res) => {
       profile: profileData || null,
     };
 
+    if (user_id === req.userId) {
+      const twoFactorRecord = await getTwoFactorRecord(user_id);
+      const twoFactorEnabled = Boolean(twoFactorRecord && twoFactorRecord.enabled);
+      settings.two_factor = {
+        enabled: twoFactorEnabled,
+        enabled_at: twoFactorEnabled ? twoFactorRecord.enabled_at : null,
+        recovery_codes_remaining: twoFactorEnabled ? (twoFactorRecord.recovery_codes || []).length : 0,
+      };
+    }
+
     return res.status(200).json({ settings });
   } catch (err) {
     console.error('Error fetching settings:', err.message);
@@ -78,7 +238,7 @@ router.get('/:user_id', async (req, res) => {
  *
  * The route updates the corresponding column (e.g., google_connected) to false.
  */
-router.patch('/disconnect', async (req, res) => {
+router.patch('/disconnect', enforceOwnership('body.user_id'), async (req, res) => {
   const { user_id, provider } = req.body;
 
   if (!user_id || !provider) {
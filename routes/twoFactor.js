@@ -0,0 +1,240 @@
+// twoFactor.js
+
+const express = require('express');
+const { supabaseAdmin } = require('../supabaseClient');
+const {
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require('../utils/totp');
+const {
+  getTwoFactorRecord,
+  verifySecondFactor,
+  claimTwoFactorAttempt,
+  resetTwoFactorFailures,
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+// Helper: Check the current authenticator code sent with a settings change. Wrong codes count towards the
+// same lock as /login/2fa, so a stolen access token can't be used to guess it.
+// Sends the error response and returns false when the code is not accepted.
+const verifySettingsCode = async (res, record, code) => {
+  const attempt = await claimTwoFactorAttempt(record.user_id);
+  if (attempt.result === 'locked') {
+    const minutes = Math.ceil((new Date(attempt.lock_expires_at).getTime() - Date.now()) / 60000);
+    res.status(403).json({ error: `Too many failed attempts. Two-factor authentication is locked. Try again after ${minutes} minutes.` });
+    return false;
+  }
+
+  const { valid } = await verifySecondFactor(record, { code });
+  if (!valid) {
+    res.status(400).json({ error: 'Invalid two-factor code.', attemptsRemaining: Math.max(0, attempt.attempts_remaining) });
+    return false;
+  }
+  await resetTwoFactorFailures(record.user_id);
+  return true;
+};
+
+/**
+ * GET /api/2fa/status
+ * Returns: { enabled, enabled_at, pending_enrollment, recovery_codes_remaining }
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const record = await getTwoFactorRecord(req.userId);
+    return res.status(200).json({
+      enabled: Boolean(record && record.enabled),
+      enabled_at: record && record.enabled ? record.enabled_at : null,
+      pending_enrollment: Boolean(record && !record.enabled),
+      recovery_codes_remaining: record && record.enabled ? (record.recovery_codes || []).length : 0,
+    });
+  } catch (err) {
+    console.error('Error fetching two-factor status:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/2fa/enroll
+ * Starts enrollment: creates a new secret (replacing any unconfirmed one) and returns it
+ * with the otpauth:// URI to show as a QR code. 2FA is not active until /confirm succeeds.
+ */
+router.post('/enroll', async (req, res) => {
+  try {
+    const existing = await getTwoFactorRecord(req.userId);
+    if (existing && existing.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+    }
+
+    const { data: user, error: userError } = await supabaseAdmin
+      .from('users')
+      .select('email, username')
+      .eq('id', req.userId)
+      .single();
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const secret = generateTotpSecret();
+    const { error } = await supabaseAdmin
+      .from('user_two_factor')
+      .upsert({
+        user_id: req.userId,
+        secret_encrypted: encryptTotpSecret(secret),
+        enabled: false,
+        enabled_at: null,
+        last_used_counter: null,
+        recovery_codes: [],
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+    if (error) {
+      console.error('Error storing two-factor secret:', error.message);
+      return res.status(500).json({ error: 'Error starting two-factor enrollment.' });
+    }
+
+    return res.status(200).json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.email || user.username)
+    });
+  } catch (err) {
+    console.error('Error enrolling two-factor authentication:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/2fa/confirm
+ * Body: { code }
+ * Activates 2FA with a code from the authenticator app and returns the one-time recovery codes
+ * (shown only once).
+ */
+router.post('/confirm', async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'code is required.' });
+    }
+
+    const record = await getTwoFactorRecord(req.userId);
+    if (!record) {
+      return res.status(400).json({ error: 'Start enrollment first.' });
+    }
+    if (record.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+    }
+
+    const counter = verifyTotpCode(decryptTotpSecret(record.secret_encrypted), code);
+    if (counter === null) {
+      return res.status(400).json({ error: 'Invalid two-factor code.' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const { error } = await supabaseAdmin
+      .from('user_two_factor')
+      .update({
+        enabled: true,
+        enabled_at: new Date().toISOString(),
+        last_used_counter: counter,
+        recovery_codes: recoveryCodes.map(hashRecoveryCode),
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', req.userId);
+    if (error) {
+      console.error('Error enabling two-factor authentication:', error.message);
+      return res.status(500).json({ error: 'Error enabling two-factor authentication.' });
+    }
+
+    return res.status(200).json({
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (err) {
+    console.error('Error confirming two-factor authentication:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/2fa/disable
+ * Body: { code }  - a current code from the authenticator app
+ */
+router.post('/disable', async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'code is required.' });
+    }
+
+    const record = await getTwoFactorRecord(req.userId);
+    if (!record || !record.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+    }
+
+    if (!(await verifySettingsCode(res, record, code))) {
+      return;
+    }
+
+    const { error } = await supabaseAdmin
+      .from('user_two_factor')
+      .delete()
+      .eq('user_id', req.userId);
+    if (error) {
+      console.error('Error disabling two-factor authentication:', error.message);
+      return res.status(500).json({ error: 'Error disabling two-factor authentication.' });
+    }
+
+    return res.status(200).json({ message: 'Two-factor authentication disabled.' });
+  } catch (err) {
+    console.error('Error disabling two-factor authentication:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+/**
+ * POST /api/2fa/recovery-codes
+ * Body: { code }  - a current code from the authenticator app
+ * Replaces all recovery codes with a new set (old codes stop working).
+ */
+router.post('/recovery-codes', async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'code is required.' });
+    }
+
+    const record = await getTwoFactorRecord(req.userId);
+    if (!record || !record.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+    }
+
+    if (!(await verifySettingsCode(res, record, code))) {
+      return;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const { error } = await supabaseAdmin
+      .from('user_two_factor')
+      .update({
+        recovery_codes: recoveryCodes.map(hashRecoveryCode),
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', req.userId);
+    if (error) {
+      console.error('Error regenerating recovery codes:', error.message);
+      return res.status(500).json({ error: 'Error regenerating recovery codes.' });
+    }
+
+    return res.status(200).json({ message: 'New recovery codes generated.', recoveryCodes });
+  } catch (err) {
+    console.error('Error regenerating recovery codes:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+module.exports = router;
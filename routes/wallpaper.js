@@ -1,13 +1,39 @@
 // wallpaper.js
 
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const multer = require('multer');
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
-const path = require('path');
-const FormData = require('form-data');
 const { createClient } = require('@supabase/supabase-js');
 const { body, validationResult } = require('express-validator');
+const enforceOwnership = require('../Middleware/enforceOwnership');
+const { removeImageVariants, getWallpaperVariantRows } = require('../utils/imageVariants');
+const { titleValidator, descriptionValidator, wallpaperDetailsValidators } = require('../utils/wallpaperPipeline');
+const {
+  parseHashtags,
+  findExistingByNames,
+  getWallpaperTaxonomy,
+  relinkHashtags,
+  relinkCategory,
+  relinkStyles,
+} = require('../utils/wallpaperTaxonomy');
+const { enqueueUploadJob, getUploadJob, formatUploadJob, getUploadBatch } = require('../utils/uploadJobs');
+const { UPLOAD_TEMP_DIR } = require('../utils/resumableUploads');
+const { getUploadQuota, quotaExceededResponse } = require('../utils/uploadQuota');
+const { notify } = require('../utils/notifications');
+const { publishWallpaperCounter } = require('../utils/realtime');
+const {
+  syncWallpaperInSearchIndex,
+  removeWallpaperFromSearchIndex,
+  updateSearchIndexCounts,
+} = require('../utils/searchIndex');
+const {
+  UNPUBLISHED_STATUSES,
+  publishingValidators,
+  resolvePublishing,
+  updateWallpaperPublishing,
+} = require('../utils/wallpaperPublishing');
 
 const router = express.Router();
 
@@ -16,10 +42,6 @@ const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_KEY;
 const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_KEY);
 
-// Read the custom model URLs from the environment variables.
-const CUSTOM_CLASSIFY_MODEL_URL = process.env.CUSTOM_CLASSIFY_MODEL_URL;
-const CUSTOM_MODERATE_MODEL_URL = process.env.CUSTOM_MODERATE_MODEL_URL;
-
 // Setup Multer for memory storage
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -27,115 +49,28 @@ const upload = multer({
   limits: { fileSize: 16 * 1024 * 1024 } // Allow up to 16MB files
 });
 
-// Helper Function: Upload image to Supabase Storage without compressing it.
-const uploadImageToSupabase = async (buffer, newFileName) => {
-  try {
-    const filePath = `wallpapers/${newFileName}`;
-    const { data, error } = await supabaseAdmin.storage
-      .from('images') // Ensure your bucket name is "images"
-      .upload(filePath, buffer, { cacheControl: '3600', upsert: false });
-    if (error) {
-      console.error('Supabase upload error:', error.message);
-      throw new Error('Image upload failed.');
-    }
-    const publicUrl = `${SUPABASE_URL}/storage/v1/object/public/images/${filePath}`;
-    return publicUrl;
-  } catch (err) {
-    console.error('Error during image upload:', err.message);
-    throw err;
-  }
-};
-
-// Helper Function: Moderate image with your custom CLIP model.
-const moderateImageWithCustomModel = async (imageBuffer, newFileName) => {
-  try {
-    if (!CUSTOM_MODERATE_MODEL_URL) {
-      console.warn('CUSTOM_MODERATE_MODEL_URL is not set. Skipping custom moderation.');
-      return { approved: true, reason: "Custom moderation URL not configured." };
-    }
-
-    const form = new FormData();
-    form.append('image', imageBuffer, { filename: newFileName, contentType: 'application/octet-stream' });
-
-    const response = await axios.post(CUSTOM_MODERATE_MODEL_URL, form, {
-      headers: { ...form.getHeaders() }
-    });
-
-    const result = response.data;
-    if (result && result.is_explicit) {
-      const flaggedCategories = result.flagged_categories.map(fc => `${fc.category} (${fc.confidence.toFixed(2)}%)`).join(', ');
-      return { approved: false, reason: `Image flagged by custom moderation: ${flaggedCategories}` };
-    }
-    return { approved: true };
-  } catch (err) {
-    console.error('Error during custom model moderation:', err.message);
-    if (err.response) {
-      console.error('Custom moderation API response error:', err.response.data);
-      return { approved: false, reason: `Custom moderation failed: ${err.response.data.error || err.message}` };
-    }
-    return { approved: false, reason: `Custom moderation failed: ${err.message}` };
-  }
-};
-
-// Helper Function: Classify the image using your custom model.
-const classifyImageWithCustomModel = async (imageBuffer, newFileName) => {
-  try {
-    if (!CUSTOM_CLASSIFY_MODEL_URL) {
-      console.warn('CUSTOM_CLASSIFY_MODEL_URL is not set. Skipping custom classification.');
-      return { category: null, styles: [] };
-    }
-
-    const form = new FormData();
-    form.append('image', imageBuffer, { filename: newFileName, contentType: 'application/octet-stream' });
-
-    const response = await axios.post(CUSTOM_CLASSIFY_MODEL_URL, form, {
-      headers: { ...form.getHeaders() }
-    });
-    const data = response.data;
-
-    let category = data.category || null; // Ensure 'category' is used, fallback to null
-    let rawStyles = data.styles || []; // Get the raw array of style objects
-
-    // --- FIX START: Extract 'label' from each style object ---
-    let styles = [];
-    if (Array.isArray(rawStyles)) {
-        styles = rawStyles
-            .map(item => typeof item.label === 'string' ? item.label : null) // Extract 'label' if it's a string, otherwise null
-            .filter(item => item !== null) // Remove any null entries
-            .slice(0, 5); // Take at most 5 styles
-    }
-    // --- FIX END ---
-
-    return { category: category, styles: styles };
-  } catch (err) {
-    console.error('Error during custom model classification:', err.message);
-    if (err.response) {
-      console.error('Custom classification API response error:', err.response.data);
-    }
-    return { category: null, styles: [] };
-  }
-};
+// Bulk uploads go to disk instead of memory (up to 20 files of 16MB each) and are moved into the upload queue.
+const BULK_UPLOAD_MAX_FILES = 20;
+const BULK_UPLOAD_DIR = path.join(UPLOAD_TEMP_DIR, 'bulk');
+const bulkUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.promises.mkdir(BULK_UPLOAD_DIR, { recursive: true }).then(() => cb(null, BULK_UPLOAD_DIR), cb);
+    },
+    filename: (req, file, cb) => cb(null, `${uuidv4()}${path.extname(file.originalname)}`)
+  }),
+  limits: { fileSize: 16 * 1024 * 1024, files: BULK_UPLOAD_MAX_FILES }
+});
 
 // API Endpoint: Upload Wallpaper
 // Route: /api/wallpaper/add
+// Optional publish: "now" (default), "draft" or "scheduled" (with publish_at, an ISO 8601 date within a year).
 router.post(
   '/add',
   upload.single('image'),
-  [
-    body('user_id').isString().trim().escape().notEmpty().withMessage('UserID is required.'),
-    body('title')
-      .isString()
-      .trim()
-      .escape()
-      .notEmpty().withMessage('Title is required.')
-      .isLength({ max: 100 }).withMessage('Title must not exceed 100 characters.'),
-    body('description')
-      .optional({ checkFalsy: true })
-      .isString()
-      .trim()
-      .escape()
-      .isLength({ max: 500 }).withMessage('Description must not exceed 500 characters.'),
-  ],
+  enforceOwnership('body.user_id'),
+  wallpaperDetailsValidators,
+  publishingValidators,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -153,168 +88,224 @@ router.post(
         return res.status(400).json({ error: 'Image file is required.' });
       }
 
-      const { data: userData, error: userError } = await supabaseAdmin
-        .from('users')
-        .select('id')
-        .eq('id', user_id)
-        .single();
-      if (userError || !userData) {
-        return res.status(404).json({ error: 'User not found.' });
+      const quota = await getUploadQuota(user_id);
+      if (quota.remaining < 1) {
+        return res.status(429).json(quotaExceededResponse(quota));
       }
 
-      const extension = path.extname(req.file.originalname) || '';
-      const newFileName = `${user_id}-${uuidv4()}${extension}`;
-
-      // Step 1: Upload the image without compression.
-      const imageUrl = await uploadImageToSupabase(req.file.buffer, newFileName);
-
-      // --- MODIFICATION START ---
-      // Step 2: Moderate the image with your custom CLIP model.
-      const moderationResult = await moderateImageWithCustomModel(req.file.buffer, newFileName);
-      let status = 'published';
-      if (!moderationResult.approved) {
-        status = 'manual_approval';
-        console.warn(`Image sent for manual approval: ${moderationResult.reason}`);
+      // Moderation, classification and storage run in the background (utils/uploadWorker.js).
+      // Null when parallel uploads used up the quota since the check above.
+      const job = await enqueueUploadJob({
+        user_id,
+        title,
+        description,
+        hashtags: hashtags || null,
+        file_name: req.file.originalname,
+        ...resolvePublishing(req.body),
+        buffer: req.file.buffer
+      });
+      if (!job) {
+        return res.status(429).json(quotaExceededResponse(await getUploadQuota(user_id)));
       }
-      // --- MODIFICATION END ---
 
-      // Step 3: Classify the image using your custom model.
-      const customClassifyResult = await classifyImageWithCustomModel(req.file.buffer, newFileName);
-      const category = customClassifyResult.category;
-      // styles is now already an array of strings thanks to the fix in classifyImageWithCustomModel
-      const styles = customClassifyResult.styles;
+      return res.status(202).json({
+        message: 'Upload accepted and queued for processing.',
+        job: formatUploadJob(job)
+      });
+    } catch (err) {
+      console.error('Error in wallpaper upload:', err.message);
+      return res.status(500).json({ error: 'Internal server error:' + err.message });
+    }
+  }
+);
 
-      if (!category) {
-        console.warn('No category returned from custom model, marking for manual approval.');
-        status = 'manual_approval'; // If classification fails, also send for manual approval
+// API Endpoint: Bulk Upload Wallpapers
+// Route: /api/wallpaper/bulk (POST, multipart/form-data)
+// Expects:
+//   - images: up to 20 image files
+//   - user_id
+//   - title, description, hashtags: defaults shared by all images (optional)
+//   - publish, publish_at: "now" (default), "draft" or "scheduled" for every image (optional, see /add)
+//   - items: JSON array with one entry per image, in the same order: [{ title?, description?, hashtags? }] (optional)
+// Every image is validated and queued on its own: a failing image doesn't affect the others.
+// Poll /api/wallpaper/batches/:batch_id for the per-file outcome.
+router.post(
+  '/bulk',
+  (req, res, next) => {
+    bulkUpload.array('images', BULK_UPLOAD_MAX_FILES)(req, res, (err) => {
+      if (err) {
+        const message = err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `At most ${BULK_UPLOAD_MAX_FILES} images can be uploaded at once.`
+          : err.message;
+        return res.status(400).json({ error: message });
+      }
+      next();
+    });
+  },
+  enforceOwnership('body.user_id'),
+  body('user_id').isString().trim().escape().notEmpty().withMessage('UserID is required.'),
+  publishingValidators,
+  async (req, res) => {
+    const files = req.files || [];
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'At least one image file is required.' });
       }
 
-      // Decide the target table based on status.
-      const targetTable = status === 'manual_approval' ? 'pending_wallpapers' : 'wallpapers';
-
-      // Step 4: Insert the new wallpaper record.
-      const { data: wallpaperData, error: wpError } = await supabaseAdmin
-        .from(targetTable)
-        .insert([{ user_id, title, description, image_url: imageUrl, status }])
-        .select()
-        .single();
-      if (wpError) {
-        return res.status(500).json({ error: 'Error inserting wallpaper: ' + wpError.message });
-      }
-
-      // If the image was auto-approved (stored in "wallpapers"), process categories, styles, and hashtags.
-      if (targetTable === 'wallpapers') {
-        // Process category.
-        if (category) {
-          const standardizedCategory = category.toLowerCase().trim();
-          const { data: catData, error: catError } = await supabaseAdmin
-            .from('categories')
-            .select('id')
-            .eq('name', standardizedCategory)
-            .single();
-          let catId;
-          if (catError || !catData) {
-            const { data: newCat, error: newCatError } = await supabaseAdmin
-              .from('categories')
-              .insert([{ name: standardizedCategory }])
-              .select()
-              .single();
-            if (!newCatError && newCat) {
-              catId = newCat.id;
-            } else if (newCatError) {
-              console.error(`Error inserting new category "${standardizedCategory}":`, newCatError.message);
-            }
-          } else {
-            catId = catData.id;
-          }
-          if (catId) {
-            const { error: insertCatWpError } = await supabaseAdmin.from('wallpaper_categories').insert([{ wallpaper_id: wallpaperData.id, category_id: catId }]);
-            if (insertCatWpError) {
-              console.error(`Error linking category to wallpaper:`, insertCatWpError.message);
-            }
-          }
+      let items = [];
+      if (req.body.items) {
+        try {
+          items = JSON.parse(req.body.items);
+        } catch (parseErr) {
+          items = null;
+        }
+        if (!Array.isArray(items)) {
+          return res.status(400).json({ error: 'items must be a JSON array.' });
         }
+      }
 
-        // Process styles.
-        if (styles && styles.length > 0) {
-          for (const styleName of styles) {
-            // styleName is now guaranteed to be a string here due to the fix in classifyImageWithCustomModel
-            const standardizedStyle = styleName.toLowerCase().trim();
-            const { data: styleData, error: styleError } = await supabaseAdmin
-              .from('styles')
-              .select('id')
-              .eq('name', standardizedStyle)
-              .single();
-            let styleId;
-            if (styleError || !styleData) {
-              const { data: newStyle, error: newStyleError } = await supabaseAdmin
-                .from('styles')
-                .insert([{ name: standardizedStyle }])
-                .select()
-                .single();
-              if (!newStyleError && newStyle) {
-                styleId = newStyle.id;
-              } else if (newStyleError) {
-                console.error(`Error inserting new style "${standardizedStyle}":`, newStyleError.message);
-              }
-            } else {
-              styleId = styleData.id;
-            }
-            if (styleId) {
-              const { error: insertStyleWpError } = await supabaseAdmin.from('wallpaper_styles').insert([{ wallpaper_id: wallpaperData.id, style_id: styleId }]);
-              if (insertStyleWpError) {
-                console.error(`Error linking style to wallpaper:`, insertStyleWpError.message);
-              }
-            }
+      const { user_id } = req.body;
+      const defaultHashtags = req.body.hashtags || req.body['hashtags[]'];
+      const publishing = resolvePublishing(req.body);
+      const quota = await getUploadQuota(user_id);
+      let remaining = quota.remaining;
+      const batchId = uuidv4();
+      const results = [];
+
+      for (const [index, file] of files.entries()) {
+        const item = (items[index] && typeof items[index] === 'object') ? items[index] : {};
+        const result = { index, file_name: file.originalname };
+
+        // Same title / description rules as /add, applied to this image's values.
+        const itemReq = {
+          body: {
+            title: item.title !== undefined ? item.title : req.body.title,
+            description: item.description !== undefined ? item.description : req.body.description
           }
+        };
+        await titleValidator().run(itemReq);
+        await descriptionValidator().run(itemReq);
+        const itemErrors = validationResult(itemReq);
+        if (!itemErrors.isEmpty()) {
+          results.push({ ...result, status: 'failed', error: itemErrors.array()[0].msg });
+          continue;
+        }
+        if (remaining < 1) {
+          results.push({ ...result, status: 'failed', error: 'Upload quota exceeded.', code: 'UPLOAD_QUOTA_EXCEEDED' });
+          continue;
         }
 
-        // Process hashtags.
-        if (hashtags) {
-          let tagList = [];
-          if (typeof hashtags === 'string') {
-            tagList = hashtags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-          } else if (Array.isArray(hashtags)) {
-            tagList = hashtags;
-          }
-          for (const tag of tagList) {
-            const standardizedTag = tag.toLowerCase().trim();
-            const { data: tagData, error: tagError } = await supabaseAdmin
-              .from('hashtags')
-              .select('id')
-              .eq('name', standardizedTag)
-              .single();
-            let hashtagId;
-            if (tagError || !tagData) {
-              const { data: newTag, error: newTagError } = await supabaseAdmin
-                .from('hashtags')
-                .insert([{ name: standardizedTag }])
-                .select()
-                .single();
-              if (newTagError) {
-                console.error(`Error creating hashtag "${tag}":`, newTagError.message);
-                continue;
-              }
-              hashtagId = newTag.id;
-            } else {
-              hashtagId = tagData.id;
-            }
-            const { error: insertTagWpError } = await supabaseAdmin.from('wallpaper_hashtags').insert([{ wallpaper_id: wallpaperData.id, hashtag_id: hashtagId }]);
-            if (insertTagWpError) {
-              console.error(`Error linking hashtag to wallpaper:`, insertTagWpError.message);
-            }
+        try {
+          const job = await enqueueUploadJob({
+            user_id,
+            title: itemReq.body.title,
+            description: itemReq.body.description || null,
+            hashtags: (item.hashtags !== undefined ? item.hashtags : defaultHashtags) || null,
+            file_name: file.originalname,
+            ...publishing,
+            batch_id: batchId,
+            batch_index: index,
+            sourcePath: file.path
+          });
+          if (!job) {
+            // Used up by other uploads since the quota was read
+            remaining = 0;
+            results.push({ ...result, status: 'failed', error: 'Upload quota exceeded.', code: 'UPLOAD_QUOTA_EXCEEDED' });
+            continue;
           }
+          remaining--;
+          results.push({ ...result, status: 'queued', job_id: job.id });
+        } catch (queueErr) {
+          console.error(`Error queuing bulk upload file ${file.originalname}:`, queueErr.message);
+          results.push({ ...result, status: 'failed', error: 'Could not queue this image.' });
         }
       }
 
-      return res.status(201).json({ message: 'Wallpaper uploaded successfully!', wallpaper: wallpaperData });
+      const accepted = results.filter(result => result.status === 'queued').length;
+      let status = 202;
+      if (accepted === 0) {
+        status = results.every(result => result.code === 'UPLOAD_QUOTA_EXCEEDED') ? 429 : 400;
+      }
+      return res.status(status).json({
+        message: `${accepted} of ${results.length} images queued for processing.`,
+        batch_id: accepted > 0 ? batchId : null,
+        accepted,
+        failed: results.length - accepted,
+        quota: { limit: quota.limit, used: quota.limit - remaining, remaining },
+        results
+      });
     } catch (err) {
-      console.error('Error in wallpaper upload:', err.message);
+      console.error('Error in bulk wallpaper upload:', err.message);
       return res.status(500).json({ error: 'Internal server error:' + err.message });
+    } finally {
+      // Files that were not moved into the upload queue.
+      await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
     }
   }
 );
 
+// API Endpoint: Bulk Upload Status
+// Route: /api/wallpaper/batches/:id (GET)
+// Per-file outcome of a bulk upload: published / draft / scheduled, pending (with the moderation reason), rejected / failed (with the error)
+// or still in progress (queued, moderating, classifying).
+router.get('/batches/:id', async (req, res) => {
+  try {
+    const jobs = await getUploadBatch(req.params.id, req.userId);
+    if (jobs.length === 0) {
+      return res.status(404).json({ error: 'Batch not found.' });
+    }
+
+    const summary = {};
+    for (const job of jobs) {
+      summary[job.status] = (summary[job.status] || 0) + 1;
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json({
+      batch_id: req.params.id,
+      summary,
+      done: jobs.every(job => !['queued', 'moderating', 'classifying'].includes(job.status)),
+      results: jobs.map(job => ({
+        index: job.batch_index,
+        file_name: job.file_name,
+        job_id: job.id,
+        status: job.status,
+        wallpaper_id: job.wallpaper_id || null,
+        pending_wallpaper_id: job.pending_wallpaper_id || null,
+        reason: job.status === 'pending' && job.result && job.result.wallpaper
+          ? job.result.wallpaper.moderation_reason || null
+          : null,
+        error: ['rejected', 'failed'].includes(job.status) ? job.last_error : null
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching upload batch:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// API Endpoint: Upload Job Status
+// Route: /api/wallpaper/jobs/:id (GET)
+// Poll after /add or a completed resumable upload.
+// status: queued | moderating | classifying | published | draft | scheduled | pending (manual approval) | rejected | failed
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getUploadJob(req.params.id, req.userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found.' });
+    }
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json(formatUploadJob(job));
+  } catch (err) {
+    console.error('Error fetching upload job:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
 // API Endpoint: Delete Manual Wallpaper
 // Route: /pending/:id (DELETE)
 // Expects: 
@@ -324,7 +315,7 @@ router.post(
 // Expects:
 //   - URL parameter: wallpaper ID
 //   - Request body: { user_id: <requesting user's id> }
-router.delete('/pending/:id', async (req, res) => {
+router.delete('/pending/:id', enforceOwnership('body.user_id'), async (req, res) => {
   try {
     const wallpaperId = req.params.id;
     const { user_id: requestingUserId } = req.body; // Ensure this is sent in the request
@@ -379,6 +370,8 @@ router.delete('/pending/:id', async (req, res) => {
       }
     }
     
+    await removeImageVariants(wallpaperData.variants);
+
     // Delete the pending wallpaper record.
     const { error: deleteError } = await supabaseAdmin
       .from('pending_wallpapers')
@@ -402,7 +395,7 @@ router.delete('/pending/:id', async (req, res) => {
 //   - URL parameter: wallpaper ID
 //   - Request body: { user_id: <requesting user's id> }
 // The endpoint checks that the wallpaper's user_id matches the requesting user_id before deletion.
-router.delete('/delete/:id', async (req, res) => {
+router.delete('/delete/:id', enforceOwnership('body.user_id'), async (req, res) => {
   try {
     const wallpaperId = req.params.id;
     const { user_id: requestingUserId } = req.body;  // Ensure you send this in the request
@@ -444,6 +437,9 @@ router.delete('/delete/:id', async (req, res) => {
       console.error('Error deleting image file:', removeError.message);
       return res.status(500).json({ error: 'Failed to delete image file from storage.' });
     }
+
+    // Remove the rendition files; their wallpaper_variants rows go with the cascade below.
+    await removeImageVariants(await getWallpaperVariantRows(wallpaperId));
     
     // Delete the wallpaper record. Cascade deletion in your DB should take care of associated rows.
     const { error: deleteError } = await supabaseAdmin
@@ -454,6 +450,7 @@ router.delete('/delete/:id', async (req, res) => {
     if (deleteError) {
       return res.status(500).json({ error: 'Failed to delete wallpaper record.' });
     }
+    removeWallpaperFromSearchIndex(wallpaperId);
     
     return res.status(200).json({ message: 'Wallpaper deleted successfully.' });
   } catch (err) {
@@ -462,8 +459,222 @@ router.delete('/delete/:id', async (req, res) => {
   }
 });
 
+// API Endpoint: Drafts and Scheduled Wallpapers
+// Route: /api/wallpaper/drafts (GET)
+// The requesting user's draft and scheduled wallpapers, soonest scheduled first.
+router.get('/drafts', async (req, res) => {
+  try {
+    const { data: wallpapers, error } = await supabaseAdmin
+      .from('wallpapers')
+      .select('*')
+      .eq('user_id', req.userId)
+      .in('status', UNPUBLISHED_STATUSES)
+      .order('publish_at', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: false });
+    if (error) {
+      return res.status(500).json({ error: 'Error fetching drafts: ' + error.message });
+    }
+    return res.status(200).json({ wallpapers });
+  } catch (err) {
+    console.error('Error fetching drafts:', err.message);
+    return res.status(500).json({ error: 'Internal server error.' });
+  }
+});
+
+// API Endpoint: Publish / Schedule Wallpaper
+// Route: /api/wallpaper/:id/publish (POST)
+// Expects:
+//   - URL parameter: wallpaper ID (a draft or scheduled wallpaper)
+//   - Request body: { user_id, publish: "now" | "draft" | "scheduled", publish_at? }
+// "now" publishes right away, "scheduled" (re)schedules it for publish_at and "draft" cancels a schedule.
+router.post(
+  '/:id/publish',
+  enforceOwnership('body.user_id'),
+  [
+    body('user_id').isString().trim().escape().notEmpty().withMessage('UserID is required.'),
+    body('publish').exists({ checkFalsy: true }).withMessage('publish is required.'),
+    publishingValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const wallpaperId = req.params.id;
+      const { data: wallpaperData, error: fetchError } = await supabaseAdmin
+        .from('wallpapers')
+        .select('id, user_id, status')
+        .eq('id', wallpaperId)
+        .single();
+      if (fetchError || !wallpaperData) {
+        return res.status(404).json({ error: 'Wallpaper not found.' });
+      }
+      if (wallpaperData.user_id !== req.body.user_id) {
+        return res.status(403).json({ error: 'You are not authorized to publish this wallpaper.' });
+      }
+
+      const result = await updateWallpaperPublishing(wallpaperId, req.body);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      const messages = {
+        published: 'Wallpaper published.',
+        scheduled: 'Wallpaper scheduled.',
+        draft: 'Wallpaper moved to drafts.'
+      };
+      return res.status(200).json({ message: messages[result.wallpaper.status], wallpaper: result.wallpaper });
+    } catch (err) {
+      console.error('Error publishing wallpaper:', err.message);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
+// API Endpoint: Edit Wallpaper
+// Route: /api/wallpaper/:id (PATCH)
+// Expects:
+//   - URL parameter: wallpaper ID
+//   - Request body: { user_id, title?, description?, hashtags?, category?, styles? }
+//     category / styles must already exist in the taxonomy (they replace the model-assigned ones).
+// Every change is recorded in wallpaper_edits so moderators can see the previous values.
+router.patch(
+  '/:id',
+  enforceOwnership('body.user_id'),
+  [
+    body('user_id').isString().trim().escape().notEmpty().withMessage('UserID is required.'),
+    titleValidator().optional(),
+    descriptionValidator(),
+    body('category').optional().isString().trim().notEmpty().withMessage('Category must be a non-empty string.'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const wallpaperId = req.params.id;
+      const { user_id: requestingUserId, title, description, hashtags, category, styles } = req.body;
+      if ([title, description, hashtags, category, styles].every(value => value === undefined)) {
+        return res.status(400).json({ error: 'Nothing to update.' });
+      }
+
+      const { data: wallpaperData, error: fetchError } = await supabaseAdmin
+        .from('wallpapers')
+        .select('*')
+        .eq('id', wallpaperId)
+        .single();
+      if (fetchError || !wallpaperData) {
+        return res.status(404).json({ error: 'Wallpaper not found.' });
+      }
+      if (wallpaperData.user_id !== requestingUserId) {
+        return res.status(403).json({ error: 'You are not authorized to edit this wallpaper.' });
+      }
+
+      // Resolve the taxonomy overrides before changing anything.
+      let categoryRow = null;
+      if (category !== undefined) {
+        const { found, missing } = await findExistingByNames('categories', [category]);
+        if (missing.length > 0) {
+          return res.status(400).json({ error: `Unknown category "${missing[0]}".` });
+        }
+        categoryRow = found[0];
+      }
+      let styleRows = null;
+      if (styles !== undefined) {
+        const styleNames = parseHashtags(styles); // Same list format as hashtags
+        if (styleNames.length > 5) {
+          return res.status(400).json({ error: 'A wallpaper can have at most 5 styles.' });
+        }
+        const { found, missing } = await findExistingByNames('styles', styleNames);
+        if (missing.length > 0) {
+          return res.status(400).json({ error: `Unknown style "${missing[0]}".` });
+        }
+        styleRows = found;
+      }
+
+      const before = await getWallpaperTaxonomy(wallpaperId);
+      const names = (rows) => rows.map(row => row.name).sort();
+      const changes = {};
+
+      const updates = {};
+      if (title !== undefined && title !== wallpaperData.title) {
+        updates.title = title;
+      }
+      if (description !== undefined && (description || null) !== wallpaperData.description) {
+        updates.description = description || null;
+      }
+      if (Object.keys(updates).length > 0) {
+        const { error: updateError } = await supabaseAdmin
+          .from('wallpapers')
+          .update(updates)
+          .eq('id', wallpaperId);
+        if (updateError) {
+          return res.status(500).json({ error: 'Error updating wallpaper: ' + updateError.message });
+        }
+        for (const field of Object.keys(updates)) {
+          changes[field] = { from: wallpaperData[field], to: updates[field] };
+        }
+      }
+
+      let hashtagsChanged = false;
+      if (hashtags !== undefined) {
+        const { added, removed } = await relinkHashtags(wallpaperId, hashtags);
+        hashtagsChanged = added.length > 0 || removed.length > 0;
+      }
+      if (categoryRow) {
+        const { added, removed } = await relinkCategory(wallpaperId, categoryRow.id);
+        if (added.length > 0 || removed.length > 0) {
+          changes.category = { from: names(before.categories)[0] || null, to: categoryRow.name };
+        }
+      }
+      if (styleRows) {
+        const { added, removed } = await relinkStyles(wallpaperId, styleRows.map(row => row.id));
+        if (added.length > 0 || removed.length > 0) {
+          changes.styles = { from: names(before.styles), to: names(styleRows) };
+        }
+      }
+
+      const taxonomy = await getWallpaperTaxonomy(wallpaperId);
+      if (hashtagsChanged) {
+        changes.hashtags = { from: names(before.hashtags), to: names(taxonomy.hashtags) };
+      }
+      if (Object.keys(changes).length > 0) {
+        await syncWallpaperInSearchIndex(wallpaperId);
+      }
+
+      if (Object.keys(changes).length > 0) {
+        const { error: historyError } = await supabaseAdmin
+          .from('wallpaper_edits')
+          .insert([{ wallpaper_id: wallpaperId, editor_id: req.userId, changes }]);
+        if (historyError) {
+          console.error('Error recording wallpaper edit:', historyError.message);
+        }
+      }
+
+      return res.status(200).json({
+        message: Object.keys(changes).length > 0 ? 'Wallpaper updated successfully.' : 'No changes.',
+        wallpaper: {
+          ...wallpaperData,
+          ...updates,
+          category: names(taxonomy.categories)[0] || null,
+          styles: names(taxonomy.styles),
+          hashtags: names(taxonomy.hashtags)
+        },
+        changes
+      });
+    } catch (err) {
+      console.error('Error editing wallpaper:', err.message);
+      return res.status(500).json({ error: 'Internal server error.' });
+    }
+  }
+);
+
 // API Endpoint: Update Wallpaper Metrics
-router.post("/update-metrics", async (req, res) => {
+router.post("/update-metrics", enforceOwnership('body.user_id'), async (req, res) => {
   try {
     const { wallpaper_id, metric, action, user_id } = req.body;
     if (!wallpaper_id || !metric || !user_id) {
@@ -550,6 +761,8 @@ router.post("/update-metrics", async (req, res) => {
           error: `Error updating ${metric} count: ${updateError.message}`,
         });
       }
+      publishWallpaperCounter(wallpaper_id, { metric: aggregateColumn, delta: 1, value: newCount });
+      updateSearchIndexCounts(wallpaper_id, { [aggregateColumn]: newCount });
       return res.status(200).json({
         message: `${metric} event recorded successfully.`,
         newCount,
@@ -588,7 +801,7 @@ router.post("/update-metrics", async (req, res) => {
         // Increment the like_count.
         const { data: wp, error: fetchError } = await supabaseAdmin
           .from("wallpapers")
-          .select("like_count")
+          .select("like_count, user_id, title")
           .eq("id", wallpaper_id)
           .single();
         const currentCount = wp.like_count || 0;
@@ -602,6 +815,14 @@ router.post("/update-metrics", async (req, res) => {
             error: "Error updating like count: " + updateError.message,
           });
         }
+        publishWallpaperCounter(wallpaper_id, { metric: "like_count", delta: 1, value: newCount });
+        updateSearchIndexCounts(wallpaper_id, { like_count: newCount });
+        await notify({
+          userId: wp.user_id,
+          type: "like",
+          actorId: user_id,
+          data: { wallpaper_id, wallpaper_title: wp.title }
+        });
         return res
           .status(200)
           .json({ message: "Like added successfully.", newCount });
@@ -634,6 +855,8 @@ router.post("/update-metrics", async (req, res) => {
             error: "Error updating like count: " + updateError.message,
           });
         }
+        publishWallpaperCounter(wallpaper_id, { metric: "like_count", delta: newCount - currentCount, value: newCount });
+        updateSearchIndexCounts(wallpaper_id, { like_count: newCount });
         return res
           .status(200)
           .json({ message: "Like removed successfully.", newCount });
@@ -1,6 +1,23 @@
 const express = require("express");
 const router = express.Router();
 const { supabaseAdmin } = require("../supabaseClient"); // Adjust the path as needed
+const { getWallpaperVariants } = require("../utils/imageVariants");
+const { canViewWallpaper } = require("../utils/wallpaperPublishing");
+const { canViewUserContent } = require("../utils/followRequests");
+const { body, validationResult } = require("express-validator");
+const enforceOwnership = require("../Middleware/enforceOwnership");
+const { hasRole } = require("../Middleware/requireRole");
+const { recordAudit } = require("../utils/auditLog");
+const { getHiddenUserIds, filterHiddenWallpapers } = require("../utils/userBlocks");
+const {
+  commentBodyValidator,
+  getComment,
+  createComment,
+  updateComment,
+  deleteComment,
+  listComments,
+  listReplies,
+} = require("../utils/wallpaperComments");
 
 /**
  * Helper: Enriches a wallpaper object with uploader profile (id, username and dp),
@@ -47,9 +64,197 @@ const enrichWallpaperDetails = async (wallpaper, currentUserId) => {
     .eq("wallpaper_id", wallpaper.id);
   wallpaper.styles = styleError ? [] : styleData.map(entry => entry.styles);
 
+  // Renditions (thumbnail, preview, device sizes) so clients can pick the right size.
+  wallpaper.variants = await getWallpaperVariants(wallpaper.id);
+
+  return wallpaper;
+};
+
+// Helper: 1-based page / limit query parameters (default 1 / 20, max 100).
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+// Helper: The wallpaper if the user may see it (drafts / scheduled only for the owner, private accounts' wallpapers
+// only for their followers), otherwise null.
+const getVisibleWallpaper = async (wallpaperId, userId) => {
+  const { data: wallpaper, error } = await supabaseAdmin
+    .from("wallpapers")
+    .select("id, user_id, status")
+    .eq("id", wallpaperId)
+    .maybeSingle();
+  if (error) {
+    throw new Error("Error fetching wallpaper: " + error.message);
+  }
+  if (!wallpaper || !canViewWallpaper(wallpaper, userId) || !(await canViewUserContent(userId, wallpaper.user_id))) {
+    return null;
+  }
   return wallpaper;
 };
 
+// ----------------------------------------------------------------------------
+// Comments. These routes are registered before /wallpapers/:id/:user_id, which would
+// otherwise treat "comments" as a user id.
+
+/**
+ * GET /wallpapers/:id/comments?page=1&limit=20
+ * Top-level comments (newest first), each with reply_count and its first 3 replies.
+ */
+router.get("/wallpapers/:id/comments", async (req, res) => {
+  try {
+    const wallpaper = await getVisibleWallpaper(req.params.id, req.userId);
+    if (!wallpaper) {
+      return res.status(404).json({ error: "Wallpaper not found." });
+    }
+
+    const { page, limit, offset } = getPagination(req.query);
+    const { comments, total } = await listComments(wallpaper.id, { limit, offset });
+    return res.status(200).json({ comments, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error("Error fetching comments:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * GET /comments/:id/replies?page=1&limit=20
+ * All replies to a top-level comment (oldest first).
+ */
+router.get("/comments/:id/replies", async (req, res) => {
+  try {
+    const comment = await getComment(req.params.id);
+    if (!comment || !(await getVisibleWallpaper(comment.wallpaper_id, req.userId))) {
+      return res.status(404).json({ error: "Comment not found." });
+    }
+
+    const { page, limit, offset } = getPagination(req.query);
+    const { replies, total } = await listReplies(comment.id, { limit, offset });
+    return res.status(200).json({ replies, pagination: { page, limit, total } });
+  } catch (err) {
+    console.error("Error fetching replies:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /wallpapers/:id/comments
+ * Body: { user_id, body, parent_id? }
+ * parent_id makes it a reply; replies to a reply are attached to the same top-level comment.
+ */
+router.post(
+  "/wallpapers/:id/comments",
+  enforceOwnership("body.user_id"),
+  [
+    commentBodyValidator(),
+    body("parent_id").optional({ values: "null" }).isUUID().withMessage("parent_id must be a comment id."),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const wallpaper = await getVisibleWallpaper(req.params.id, req.userId);
+      if (!wallpaper) {
+        return res.status(404).json({ error: "Wallpaper not found." });
+      }
+
+      const result = await createComment({
+        wallpaperId: wallpaper.id,
+        userId: req.body.user_id,
+        body: req.body.body,
+        parentId: req.body.parent_id || null
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      return res.status(201).json({ message: "Comment added.", comment: result.comment });
+    } catch (err) {
+      console.error("Error adding comment:", err.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * PATCH /comments/:id
+ * Body: { user_id, body }
+ * Only the author can edit a comment; edited_at is set on every edit.
+ */
+router.patch(
+  "/comments/:id",
+  enforceOwnership("body.user_id"),
+  [commentBodyValidator()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const comment = await getComment(req.params.id);
+      if (!comment) {
+        return res.status(404).json({ error: "Comment not found." });
+      }
+      if (comment.user_id !== req.body.user_id) {
+        return res.status(403).json({ error: "You can only edit your own comments." });
+      }
+
+      const updated = await updateComment(comment.id, req.body.body);
+      return res.status(200).json({ message: "Comment updated.", comment: updated });
+    } catch (err) {
+      console.error("Error updating comment:", err.message);
+      return res.status(500).json({ error: "Internal server error." });
+    }
+  }
+);
+
+/**
+ * DELETE /comments/:id
+ * Body: { user_id }
+ * Allowed for the comment author, the wallpaper owner and moderators. Replies are deleted with the comment.
+ */
+router.delete("/comments/:id", enforceOwnership("body.user_id"), async (req, res) => {
+  try {
+    const comment = await getComment(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ error: "Comment not found." });
+    }
+
+    const { data: wallpaper } = await supabaseAdmin
+      .from("wallpapers")
+      .select("user_id")
+      .eq("id", comment.wallpaper_id)
+      .maybeSingle();
+    const isAuthor = comment.user_id === req.userId;
+    const isWallpaperOwner = !!wallpaper && wallpaper.user_id === req.userId;
+    const isModerator = hasRole(req.userRole, "moderator");
+    if (!isAuthor && !isWallpaperOwner && !isModerator) {
+      return res.status(403).json({ error: "You are not authorized to delete this comment." });
+    }
+
+    await deleteComment(comment);
+
+    // Moderator removals go to the audit log like other moderation actions.
+    if (!isAuthor && !isWallpaperOwner) {
+      await recordAudit(req, {
+        action: "comment.delete",
+        targetType: "comment",
+        targetId: comment.id,
+        details: { wallpaper_id: comment.wallpaper_id, author_id: comment.user_id, body: comment.body }
+      });
+    }
+
+    return res.status(200).json({ message: "Comment deleted." });
+  } catch (err) {
+    console.error("Error deleting comment:", err.message);
+    return res.status(500).json({ error: "Internal server error." });
+  }
+});
+
 /**
  * GET /wallpapers/:id/:user_id
  * Returns detailed info for a single wallpaper plus recommends up to 9 related wallpapers.
@@ -72,7 +277,11 @@ router.get("/wallpapers/:id/:user_id", async (req, res) => {
       console.error("Error fetching wallpaper:", mainErr.message);
       return res.status(500).json({ error: "Error fetching wallpaper data." });
     }
-    if (!wallpaperData) {
+    // Drafts and scheduled wallpapers are only visible to their signed-in owner, private accounts' to their followers.
+    if (
+      !wallpaperData || !canViewWallpaper(wallpaperData, req.userId) ||
+      !(await canViewUserContent(req.userId, wallpaperData.user_id))
+    ) {
       return res.status(404).json({ error: "Wallpaper not found." });
     }
 
@@ -99,6 +308,7 @@ router.get("/wallpapers/:id/:user_id", async (req, res) => {
       .from("wallpapers")
       .select("*")
       .eq("user_id", wallpaperData.user_id)
+      .eq("status", "published")
       .neq("id", wallpaperId);
     if (sameUserErr) {
       console.error("Error fetching same-user wallpapers:", sameUserErr.message);
@@ -119,7 +329,8 @@ router.get("/wallpapers/:id/:user_id", async (req, res) => {
         const { data: wallpapersByHashtag, error: wpByHashErr } = await supabaseAdmin
           .from("wallpapers")
           .select("*")
-          .in("id", uniqueHashtagWpIds);
+          .in("id", uniqueHashtagWpIds)
+          .eq("status", "published");
         if (wpByHashErr) {
           console.error("Error fetching wallpapers by hashtag:", wpByHashErr.message);
         } else {
@@ -143,7 +354,8 @@ router.get("/wallpapers/:id/:user_id", async (req, res) => {
         const { data: wallpapersByCategory, error: wpByCatErr } = await supabaseAdmin
           .from("wallpapers")
           .select("*")
-          .in("id", uniqueCategoryWpIds);
+          .in("id", uniqueCategoryWpIds)
+          .eq("status", "published");
         if (wpByCatErr) {
           console.error("Error fetching wallpapers by category:", wpByCatErr.message);
         } else {
@@ -166,7 +378,8 @@ router.get("/wallpapers/:id/:user_id", async (req, res) => {
     // Ensure the main wallpaper is not included.
     delete candidateMap[wallpaperId];
 
-    let candidates = Object.values(candidateMap);
+    // Leave out uploaders the signed-in user blocked or muted, and private accounts they don't follow.
+    let candidates = filterHiddenWallpapers(Object.values(candidateMap), await getHiddenUserIds(req.userId));
 
     // Utility: Shuffle candidates using Fisher–Yates.
     const shuffleArray = (array) => {
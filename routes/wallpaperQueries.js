@@ -1,17 +1,24 @@
 const express = require("express");
 const router = express.Router();
 const { supabaseAdmin } = require("../supabaseClient"); // Adjust the path as needed
+const { getWallpaperVariants } = require("../utils/imageVariants");
+const { getHiddenUserIds, excludeHiddenUsers } = require("../utils/userBlocks");
 
 /**
  * Fetch trending wallpapers based on view_count (desc).
- * Returns up to 30 wallpapers with the highest view counts.
+ * Returns up to 30 wallpapers with the highest view counts, skipping uploaders in hiddenUserIds
+ * (blocked / muted users of the current user and private accounts they don't follow).
  */
-const fetchTrendingWallpapers = async () => {
+const fetchTrendingWallpapers = async (hiddenUserIds = new Set()) => {
   try {
     console.log("Fetching trending wallpapers (sorted by view_count desc)...");
-    const { data, error } = await supabaseAdmin
-      .from("wallpapers")
-      .select("*")
+    const { data, error } = await excludeHiddenUsers(
+      supabaseAdmin
+        .from("wallpapers")
+        .select("*")
+        .eq("status", "published"),
+      hiddenUserIds
+    )
       .order("view_count", { ascending: false })
       .limit(30);
 
@@ -27,16 +34,21 @@ const fetchTrendingWallpapers = async () => {
 };
 
 /**
- * Fetch latest wallpapers based on created_at (desc).
- * Returns up to 30 wallpapers that were most recently created.
+ * Fetch latest wallpapers based on published_at (desc).
+ * Returns up to 30 wallpapers that went live most recently (scheduled drops count from their publish time),
+ * skipping uploaders in hiddenUserIds.
  */
-const fetchLatestWallpapers = async () => {
+const fetchLatestWallpapers = async (hiddenUserIds = new Set()) => {
   try {
-    console.log("Fetching latest wallpapers (sorted by created_at desc)...");
-    const { data, error } = await supabaseAdmin
-      .from("wallpapers")
-      .select("*")
-      .order("created_at", { ascending: false })
+    console.log("Fetching latest wallpapers (sorted by published_at desc)...");
+    const { data, error } = await excludeHiddenUsers(
+      supabaseAdmin
+        .from("wallpapers")
+        .select("*")
+        .eq("status", "published"),
+      hiddenUserIds
+    )
+      .order("published_at", { ascending: false })
       .limit(30);
 
     if (error) {
@@ -101,6 +113,9 @@ const enrichWallpaperDetails = async (wallpaper, currentUserId) => {
     ? []
     : styleData.map(entry => entry.styles);
 
+  // Renditions (thumbnail, preview, device sizes) so clients can pick the right size.
+  wallpaper.variants = await getWallpaperVariants(wallpaper.id);
+
   return wallpaper;
 };
 
@@ -122,7 +137,8 @@ router.get("/wallpapers/trending/:user_id", async (req, res) => {
   try {
     // Extract the current user's id from the URL route parameter
     const currentUserId = req.params.user_id;
-    const wallpapers = await fetchTrendingWallpapers();
+    // Blocks, mutes and follows of the signed-in user apply; the URL id only drives the like/save flags.
+    const wallpapers = await fetchTrendingWallpapers(await getHiddenUserIds(req.userId));
     const enrichedWallpapers = await enrichWallpapers(wallpapers, currentUserId);
     res.status(200).json({ wallpapers: enrichedWallpapers });
   } catch (err) {
@@ -140,7 +156,8 @@ router.get("/wallpapers/latest/:user_id", async (req, res) => {
   try {
     // Extract the current user's id from the URL route parameter
     const currentUserId = req.params.user_id;
-    const wallpapers = await fetchLatestWallpapers();
+    // Blocks, mutes and follows of the signed-in user apply; the URL id only drives the like/save flags.
+    const wallpapers = await fetchLatestWallpapers(await getHiddenUserIds(req.userId));
     const enrichedWallpapers = await enrichWallpapers(wallpapers, currentUserId);
     res.status(200).json({ wallpapers: enrichedWallpapers });
   } catch (err) {
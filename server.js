@@ -23,8 +23,9 @@ app.use(
       "http://localhost:3001",
       "https://pixalpedia.netlify.app",
     ],
-    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization", "login", "ts", "x-user-id", "authentication", "X-Session-Token"],
+    methods: ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"],
+    allowedHeaders: ["Content-Type", "Authorization", "login", "ts", "x-user-id", "authentication", "X-Session-Token", "Upload-Offset"],
+    exposedHeaders: ["RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After", "Upload-Offset", "Upload-Length", "Location"],
     credentials: true,
   })
 );
@@ -52,13 +53,17 @@ app.use((req, res, next) => {
 // Load additional utilities and configuration.
 require("./utils/passport");
 require("./utils/autoThumbnailUpdater");
+require("./utils/imageMetadataBackfill");
+require("./utils/uploadWorker");
+require("./utils/wallpaperScheduler");
+require("./utils/searchIndexRebuilder");
 
 // Import authentication routes for Google and GitHub.
 const googleAuthRoutes = require("./auth/googleAuth");
 const githubAuthRoutes = require("./auth/githubAuth");
 
 // Import local authentication and public auth controllers.
-const { signup, login } = require('./auth/publicAuth');
+const { signup, login, completeTwoFactorLogin } = require('./auth/publicAuth');
 const {
   requestOTPForPasswordReset,
   resetPasswordWithOTP,
@@ -70,6 +75,7 @@ const {
 // Import your application's routes.
 const profileRouter = require('./routes/profile');
 const wallpaperRoutes = require('./routes/wallpaper');
+const resumableUploadRoutes = require('./routes/resumableUploads');
 const followRoutes = require('./routes/follow');
 const reportRoutes = require('./routes/report');
 const fetchRoutes = require("./routes/fetch");
@@ -82,9 +88,16 @@ const proxyImageRoute = require("./Middleware/proxyImageRoute");
 const settingsRouter = require('./routes/settings');
 const contactRouter = require('./routes/contact');
 const authRouter = require('./routes/auth');
+const adminRouter = require('./routes/admin');
+const twoFactorRouter = require('./routes/twoFactor');
+const notificationsRouter = require('./routes/notifications');
+const realtimeRouter = require('./routes/realtime');
+const collectionsRouter = require('./routes/collections');
+const feedRouter = require('./routes/feed');
 
 // Register API endpoints.
 app.use('/api/profile', profileRouter);
+app.use('/api/wallpaper/uploads', resumableUploadRoutes);
 app.use('/api/wallpaper', wallpaperRoutes);
 app.use('/api', followRoutes);
 app.use('/api', reportRoutes);
@@ -98,10 +111,17 @@ app.use('/proxy-image', proxyImageRoute);
 app.use('/api/settings', settingsRouter);
 app.use('/api/contact', contactRouter);
 app.use('/api/auth', authRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/2fa', twoFactorRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/realtime', realtimeRouter);
+app.use('/api/collections', collectionsRouter);
+app.use('/api/feed', feedRouter);
 
 // Public authentication endpoints.
 app.post('/signup', signup);
 app.post('/login', login);
+app.post('/login/2fa', completeTwoFactorLogin);
 app.post('/request-password-reset-otp', requestOTPForPasswordReset);
 app.post('/reset-password-with-otp', resetPasswordWithOTP);
 app.post('/verify-email-with-otp', verifyEmailWithOTP);
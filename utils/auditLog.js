@@ -0,0 +1,34 @@
+// auditLog.js
+const { supabaseAdmin } = require('../supabaseClient');
+
+/**
+ * Record a privileged action (moderation decisions, role changes, taxonomy edits, ...)
+ * in the admin_audit_log table.
+ *
+ * Auditing never blocks the action itself: failures are only logged.
+ *
+ * @param {object} req - the Express request (provides the acting user, role and IP)
+ * @param {object} entry - { action, targetType, targetId, details }
+ */
+const recordAudit = async (req, { action, targetType, targetId, details = {} }) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('admin_audit_log')
+      .insert([{
+        actor_id: req.userId,
+        actor_role: req.userRole,
+        action,
+        target_type: targetType,
+        target_id: targetId !== undefined && targetId !== null ? String(targetId) : null,
+        details,
+        ip_address: req.ip || (req.connection && req.connection.remoteAddress) || null
+      }]);
+    if (error) {
+      console.error(`Error recording audit entry "${action}":`, error.message);
+    }
+  } catch (err) {
+    console.error(`Error recording audit entry "${action}":`, err.message);
+  }
+};
+
+module.exports = { recordAudit };
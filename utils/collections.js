@@ -0,0 +1,501 @@
+// collections.js
+// User-curated collections (boards) of wallpapers. Every user has one default collection ("Saved") created on
+// first use; it mirrors "saved_wallpapers", so the old /api/fetch/saved endpoints and the isSaved flags keep working.
+// Items are ordered by position (new items go last); collections.item_count and follower_count are recounted
+// after every change.
+const { body } = require('express-validator');
+const { supabaseAdmin } = require('../supabaseClient');
+const { canViewWallpaper } = require('./wallpaperPublishing');
+const { canViewUserContent, getLockedUserIds } = require('./followRequests');
+
+const DEFAULT_COLLECTION_NAME = 'Saved';
+const COLLECTION_NAME_MAX_LENGTH = 80;
+const COLLECTION_DESCRIPTION_MAX_LENGTH = 500;
+const MAX_COLLECTIONS_PER_USER = 200;
+
+const collectionValidators = ({ optional = false } = {}) => {
+  const name = body('name')
+    .isString().withMessage('Collection name is required.')
+    .trim()
+    .notEmpty().withMessage('Collection name is required.')
+    .isLength({ max: COLLECTION_NAME_MAX_LENGTH }).withMessage(`Collection names must not exceed ${COLLECTION_NAME_MAX_LENGTH} characters.`)
+    .escape();
+  return [
+    optional ? name.optional() : name,
+    body('description')
+      .optional({ values: 'null' })
+      .isString().withMessage('description must be text.')
+      .trim()
+      .isLength({ max: COLLECTION_DESCRIPTION_MAX_LENGTH }).withMessage(`Descriptions must not exceed ${COLLECTION_DESCRIPTION_MAX_LENGTH} characters.`)
+      .escape(),
+    body('is_public').optional().isBoolean().withMessage('is_public must be true or false.').toBoolean(),
+  ];
+};
+
+// Public collections are visible to everyone, private ones only to their owner.
+const canViewCollection = (collection, userId) => collection.is_public || collection.user_id === userId;
+
+const getCollection = async (collectionId) => {
+  const { data, error } = await supabaseAdmin
+    .from('collections')
+    .select('*')
+    .eq('id', collectionId)
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error fetching collection: ' + error.message);
+  }
+  return data;
+};
+
+/**
+ * The user's default collection, created (private, named "Saved") when it doesn't exist yet.
+ */
+const getDefaultCollection = async (userId) => {
+  const { data: existing, error } = await supabaseAdmin
+    .from('collections')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('is_default', true)
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error fetching default collection: ' + error.message);
+  }
+  if (existing) return existing;
+
+  // 23505: a concurrent request created it first (one default per user, see the unique index).
+  const { error: insertError } = await supabaseAdmin
+    .from('collections')
+    .insert([{ user_id: userId, name: DEFAULT_COLLECTION_NAME, is_default: true, is_public: false }]);
+  if (insertError && insertError.code !== '23505') {
+    throw new Error('Error creating default collection: ' + insertError.message);
+  }
+  return getDefaultCollection(userId);
+};
+
+// Recount instead of incrementing so concurrent changes can't leave the counters off.
+const refreshItemCount = async (collectionId) => {
+  const { count, error } = await supabaseAdmin
+    .from('collection_items')
+    .select('wallpaper_id', { count: 'exact', head: true })
+    .eq('collection_id', collectionId);
+  if (error) {
+    throw new Error('Error counting collection items: ' + error.message);
+  }
+  const { error: updateError } = await supabaseAdmin
+    .from('collections')
+    .update({ item_count: count || 0, updated_at: new Date().toISOString() })
+    .eq('id', collectionId);
+  if (updateError) {
+    console.error(`Error updating item_count for collection ${collectionId}:`, updateError.message);
+  }
+};
+
+const refreshFollowerCount = async (collectionId) => {
+  const { count, error } = await supabaseAdmin
+    .from('collection_follows')
+    .select('user_id', { count: 'exact', head: true })
+    .eq('collection_id', collectionId);
+  if (error) {
+    throw new Error('Error counting collection followers: ' + error.message);
+  }
+  const { error: updateError } = await supabaseAdmin
+    .from('collections')
+    .update({ follower_count: count || 0 })
+    .eq('id', collectionId);
+  if (updateError) {
+    console.error(`Error updating follower_count for collection ${collectionId}:`, updateError.message);
+  }
+  return count || 0;
+};
+
+/**
+ * Create a collection. Returns { status, error } on failure or { status: 201, collection }.
+ */
+const createCollection = async (userId, { name, description = null, is_public = false }) => {
+  const { count, error: countError } = await supabaseAdmin
+    .from('collections')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+  if (countError) {
+    throw new Error('Error counting collections: ' + countError.message);
+  }
+  if (count >= MAX_COLLECTIONS_PER_USER) {
+    return { status: 400, error: `You can have at most ${MAX_COLLECTIONS_PER_USER} collections.` };
+  }
+
+  const { data: collection, error } = await supabaseAdmin
+    .from('collections')
+    .insert([{ user_id: userId, name, description, is_public }])
+    .select()
+    .single();
+  if (error) {
+    throw new Error('Error creating collection: ' + error.message);
+  }
+  return { status: 201, collection };
+};
+
+/**
+ * Update name, description, is_public and/or cover_wallpaper_id (must be an item of the collection, null resets it).
+ * Returns { status, error } on failure or { status: 200, collection }.
+ */
+const updateCollection = async (collection, changes) => {
+  const updates = {};
+  for (const field of ['name', 'description', 'is_public']) {
+    if (changes[field] !== undefined) updates[field] = changes[field];
+  }
+  if (changes.cover_wallpaper_id !== undefined) {
+    if (changes.cover_wallpaper_id !== null && !(await hasItem(collection.id, changes.cover_wallpaper_id))) {
+      return { status: 400, error: 'The cover must be a wallpaper in this collection.' };
+    }
+    updates.cover_wallpaper_id = changes.cover_wallpaper_id;
+  }
+  if (Object.keys(updates).length === 0) {
+    return { status: 400, error: 'Nothing to update.' };
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('collections')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', collection.id)
+    .select()
+    .single();
+  if (error) {
+    throw new Error('Error updating collection: ' + error.message);
+  }
+  return { status: 200, collection: data };
+};
+
+// Delete a collection with its items and follows (ON DELETE CASCADE). The default collection can't be deleted.
+const deleteCollection = async (collection) => {
+  if (collection.is_default) {
+    return { status: 400, error: 'The default collection cannot be deleted.' };
+  }
+  const { error } = await supabaseAdmin
+    .from('collections')
+    .delete()
+    .eq('id', collection.id);
+  if (error) {
+    throw new Error('Error deleting collection: ' + error.message);
+  }
+  return { status: 200 };
+};
+
+const hasItem = async (collectionId, wallpaperId) => {
+  const { data, error } = await supabaseAdmin
+    .from('collection_items')
+    .select('wallpaper_id')
+    .eq('collection_id', collectionId)
+    .eq('wallpaper_id', wallpaperId)
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error fetching collection item: ' + error.message);
+  }
+  return !!data;
+};
+
+/**
+ * Add a wallpaper at the end of a collection. Adding to the default collection also saves the wallpaper.
+ * Returns { status, error } on failure or { status: 201, item }.
+ */
+const addToCollection = async (collection, wallpaperId) => {
+  const { data: wallpaper, error: wallpaperError } = await supabaseAdmin
+    .from('wallpapers')
+    .select('id, user_id, status')
+    .eq('id', wallpaperId)
+    .maybeSingle();
+  if (wallpaperError) {
+    throw new Error('Error fetching wallpaper: ' + wallpaperError.message);
+  }
+  if (
+    !wallpaper || !canViewWallpaper(wallpaper, collection.user_id) ||
+    !(await canViewUserContent(collection.user_id, wallpaper.user_id))
+  ) {
+    return { status: 404, error: 'Wallpaper not found.' };
+  }
+  if (await hasItem(collection.id, wallpaperId)) {
+    return { status: 400, error: 'Wallpaper is already in this collection.' };
+  }
+
+  const { data: last, error: lastError } = await supabaseAdmin
+    .from('collection_items')
+    .select('position')
+    .eq('collection_id', collection.id)
+    .order('position', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (lastError) {
+    throw new Error('Error fetching collection items: ' + lastError.message);
+  }
+
+  const { data: item, error } = await supabaseAdmin
+    .from('collection_items')
+    .insert([{ collection_id: collection.id, wallpaper_id: wallpaperId, position: last ? last.position + 1 : 1 }])
+    .select()
+    .single();
+  if (error) {
+    throw new Error('Error adding wallpaper to collection: ' + error.message);
+  }
+
+  if (collection.is_default) {
+    const { error: savedError } = await supabaseAdmin
+      .from('saved_wallpapers')
+      .upsert([{ user_id: collection.user_id, wallpaper_id: wallpaperId }], { onConflict: 'user_id,wallpaper_id', ignoreDuplicates: true });
+    if (savedError) {
+      console.error(`Error saving wallpaper ${wallpaperId} for user ${collection.user_id}:`, savedError.message);
+    }
+  }
+
+  await refreshItemCount(collection.id);
+  return { status: 201, item };
+};
+
+/**
+ * Remove a wallpaper from a collection (un-saving it when it is the default collection).
+ * Returns false when it wasn't in the collection.
+ */
+const removeFromCollection = async (collection, wallpaperId) => {
+  const { data: removed, error } = await supabaseAdmin
+    .from('collection_items')
+    .delete()
+    .eq('collection_id', collection.id)
+    .eq('wallpaper_id', wallpaperId)
+    .select('wallpaper_id');
+  if (error) {
+    throw new Error('Error removing wallpaper from collection: ' + error.message);
+  }
+
+  if (collection.is_default) {
+    const { error: savedError } = await supabaseAdmin
+      .from('saved_wallpapers')
+      .delete()
+      .eq('user_id', collection.user_id)
+      .eq('wallpaper_id', wallpaperId);
+    if (savedError) {
+      console.error(`Error un-saving wallpaper ${wallpaperId} for user ${collection.user_id}:`, savedError.message);
+    }
+  }
+  if (!removed || removed.length === 0) return false;
+
+  // A removed cover falls back to the first item.
+  if (collection.cover_wallpaper_id === wallpaperId) {
+    await supabaseAdmin.from('collections').update({ cover_wallpaper_id: null }).eq('id', collection.id);
+  }
+  await refreshItemCount(collection.id);
+  return true;
+};
+
+// Saving / un-saving through /api/fetch/saved goes through the default collection.
+const saveWallpaper = async (userId, wallpaperId) =>
+  addToCollection(await getDefaultCollection(userId), wallpaperId);
+
+const unsaveWallpaper = async (userId, wallpaperId) =>
+  removeFromCollection(await getDefaultCollection(userId), wallpaperId);
+
+/**
+ * Reorder a collection. wallpaperIds must list every item of the collection exactly once.
+ * Returns { status, error } on failure or { status: 200 }.
+ */
+const reorderCollection = async (collection, wallpaperIds) => {
+  const { data: items, error } = await supabaseAdmin
+    .from('collection_items')
+    .select('wallpaper_id')
+    .eq('collection_id', collection.id);
+  if (error) {
+    throw new Error('Error fetching collection items: ' + error.message);
+  }
+  const current = new Set(items.map(item => item.wallpaper_id));
+  const requested = new Set(wallpaperIds);
+  if (requested.size !== wallpaperIds.length || requested.size !== current.size || wallpaperIds.some(id => !current.has(id))) {
+    return { status: 400, error: 'wallpaper_ids must list every wallpaper of the collection exactly once.' };
+  }
+
+  const { error: updateError } = await supabaseAdmin
+    .from('collection_items')
+    .upsert(
+      wallpaperIds.map((wallpaperId, index) => ({ collection_id: collection.id, wallpaper_id: wallpaperId, position: index + 1 })),
+      { onConflict: 'collection_id,wallpaper_id' }
+    );
+  if (updateError) {
+    throw new Error('Error reordering collection: ' + updateError.message);
+  }
+  return { status: 200 };
+};
+
+/**
+ * Items of a collection in order, with the wallpaper rows. Drafts / scheduled wallpapers are only listed
+ * for their uploader, wallpapers of private accounts only for their followers. Returns { items, total }.
+ */
+const listCollectionItems = async (collectionId, userId, { limit, offset }) => {
+  const { data, error, count } = await supabaseAdmin
+    .from('collection_items')
+    .select('position, added_at, wallpapers(*)', { count: 'exact' })
+    .eq('collection_id', collectionId)
+    .order('position', { ascending: true })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error fetching collection items: ' + error.message);
+  }
+  const locked = data.length > 0 ? await getLockedUserIds(userId) : new Set();
+  const items = data
+    .filter(item => item.wallpapers && canViewWallpaper(item.wallpapers, userId) && !locked.has(item.wallpapers.user_id))
+    .map(item => ({ position: item.position, added_at: item.added_at, wallpaper: item.wallpapers }));
+  return { items, total: count || 0 };
+};
+
+/**
+ * Adds cover_url (the cover wallpaper, or the first item), the owner's profile (id, username, dp)
+ * and isFollowed for the current user to each collection.
+ */
+const enrichCollections = async (collections, currentUserId) => {
+  if (collections.length === 0) return collections;
+  const ids = collections.map(collection => collection.id);
+
+  const coverIds = await Promise.all(collections.map(async (collection) => {
+    if (collection.cover_wallpaper_id) return collection.cover_wallpaper_id;
+    const { data: first } = await supabaseAdmin
+      .from('collection_items')
+      .select('wallpaper_id')
+      .eq('collection_id', collection.id)
+      .order('position', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+    return first ? first.wallpaper_id : null;
+  }));
+
+  const [{ data: covers }, { data: profiles }, { data: follows }, locked] = await Promise.all([
+    supabaseAdmin.from('wallpapers').select('id, user_id, image_url').in('id', coverIds.filter(Boolean)),
+    supabaseAdmin.from('profiles').select('id, user_id, username, dp').in('user_id', [...new Set(collections.map(c => c.user_id))]),
+    currentUserId
+      ? supabaseAdmin.from('collection_follows').select('collection_id').eq('user_id', currentUserId).in('collection_id', ids)
+      : Promise.resolve({ data: [] }),
+    getLockedUserIds(currentUserId),
+  ]);
+  // Covers from private accounts the current user doesn't follow are left out
+  const coverById = new Map((covers || [])
+    .filter(cover => !locked.has(cover.user_id))
+    .map(cover => [cover.id, cover.image_url]));
+  const profileByUserId = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+  const followed = new Set((follows || []).map(follow => follow.collection_id));
+
+  return collections.map((collection, index) => {
+    const profile = profileByUserId.get(collection.user_id);
+    return {
+      ...collection,
+      cover_url: coverById.get(coverIds[index]) || null,
+      owner: profile ? { id: profile.id, username: profile.username, dp: profile.dp } : null,
+      isFollowed: followed.has(collection.id)
+    };
+  });
+};
+
+/**
+ * A user's collections, default first then most recently updated. Private ones only when the owner asks.
+ * Returns { collections, total }.
+ */
+const listUserCollections = async (ownerId, currentUserId, { limit, offset }) => {
+  let query = supabaseAdmin
+    .from('collections')
+    .select('*', { count: 'exact' })
+    .eq('user_id', ownerId);
+  if (ownerId !== currentUserId) query = query.eq('is_public', true);
+
+  const { data, error, count } = await query
+    .order('is_default', { ascending: false })
+    .order('updated_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error fetching collections: ' + error.message);
+  }
+  return { collections: await enrichCollections(data, currentUserId), total: count || 0 };
+};
+
+// Collections the user follows, most recently followed first. Returns { collections, total }.
+const listFollowedCollections = async (userId, { limit, offset }) => {
+  const { data, error, count } = await supabaseAdmin
+    .from('collection_follows')
+    .select('created_at, collections(*)', { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error fetching followed collections: ' + error.message);
+  }
+  // A followed collection made private disappears from the list.
+  const collections = data.map(follow => follow.collections).filter(c => c && canViewCollection(c, userId));
+  return { collections: await enrichCollections(collections, userId), total: count || 0 };
+};
+
+/**
+ * Public collections whose name or description matches the query, most followed first.
+ * Returns { collections, total }.
+ */
+const searchCollections = async (query, currentUserId, { limit, offset }) => {
+  const pattern = `%${query.trim().replace(/[%_,()]/g, ' ')}%`;
+  const { data, error, count } = await supabaseAdmin
+    .from('collections')
+    .select('*', { count: 'exact' })
+    .eq('is_public', true)
+    .gt('item_count', 0)
+    .or(`name.ilike.${pattern},description.ilike.${pattern}`)
+    .order('follower_count', { ascending: false })
+    .order('item_count', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error searching collections: ' + error.message);
+  }
+  return { collections: await enrichCollections(data, currentUserId), total: count || 0 };
+};
+
+/**
+ * Follow a public collection of another user. Returns { status, error } on failure or { status, follower_count }.
+ */
+const followCollection = async (collection, userId) => {
+  if (!collection.is_public) {
+    return { status: 404, error: 'Collection not found.' };
+  }
+  if (collection.user_id === userId) {
+    return { status: 400, error: 'You cannot follow your own collection.' };
+  }
+  const { error } = await supabaseAdmin
+    .from('collection_follows')
+    .upsert([{ collection_id: collection.id, user_id: userId }], { onConflict: 'collection_id,user_id', ignoreDuplicates: true });
+  if (error) {
+    throw new Error('Error following collection: ' + error.message);
+  }
+  return { status: 200, follower_count: await refreshFollowerCount(collection.id) };
+};
+
+const unfollowCollection = async (collection, userId) => {
+  const { error } = await supabaseAdmin
+    .from('collection_follows')
+    .delete()
+    .eq('collection_id', collection.id)
+    .eq('user_id', userId);
+  if (error) {
+    throw new Error('Error unfollowing collection: ' + error.message);
+  }
+  return { status: 200, follower_count: await refreshFollowerCount(collection.id) };
+};
+
+module.exports = {
+  DEFAULT_COLLECTION_NAME,
+  collectionValidators,
+  canViewCollection,
+  getCollection,
+  getDefaultCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addToCollection,
+  removeFromCollection,
+  saveWallpaper,
+  unsaveWallpaper,
+  reorderCollection,
+  listCollectionItems,
+  enrichCollections,
+  listUserCollections,
+  listFollowedCollections,
+  searchCollections,
+  followCollection,
+  unfollowCollection,
+};
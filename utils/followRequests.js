@@ -0,0 +1,165 @@
+// followRequests.js
+// Private accounts. Following a private profile (profiles.is_private) creates a row in "follow_requests" that the
+// owner approves (the follow is created then) or denies; the requester can cancel it. Until a request is approved,
+// the profile's wallpapers, followers and following lists are hidden from the requester.
+const { supabaseAdmin } = require('../supabaseClient');
+
+// Relationship of a viewer to a profile, returned as the isFollowed flag of profile fetches.
+const FOLLOW_STATUS = {
+  NONE: 'none',
+  REQUESTED: 'requested',
+  FOLLOWING: 'following',
+};
+
+/**
+ * The viewer's follow status for each of userIds: Map of user id -> FOLLOW_STATUS value.
+ */
+const getFollowStatuses = async (viewerId, userIds) => {
+  const statuses = new Map(userIds.map(id => [id, FOLLOW_STATUS.NONE]));
+  if (!viewerId || userIds.length === 0) return statuses;
+
+  const [{ data: follows, error: followsError }, { data: requests, error: requestsError }] = await Promise.all([
+    supabaseAdmin.from('user_follows').select('following_id').eq('follower_id', viewerId).in('following_id', userIds),
+    supabaseAdmin.from('follow_requests').select('target_id').eq('requester_id', viewerId).in('target_id', userIds),
+  ]);
+  if (followsError || requestsError) {
+    throw new Error('Error fetching follow status: ' + (followsError || requestsError).message);
+  }
+  for (const request of requests) statuses.set(request.target_id, FOLLOW_STATUS.REQUESTED);
+  for (const follow of follows) statuses.set(follow.following_id, FOLLOW_STATUS.FOLLOWING);
+  return statuses;
+};
+
+const getFollowStatus = async (viewerId, userId) =>
+  (await getFollowStatuses(viewerId, [userId])).get(userId);
+
+// Whether a viewer may see a profile's wallpapers and follower / following lists.
+const canViewProfileContent = (profile, viewerId, followStatus) =>
+  !profile.is_private || profile.user_id === viewerId || followStatus === FOLLOW_STATUS.FOLLOWING;
+
+// Whether a viewer may see the wallpapers of a user (looks up the user's profile and the follow).
+const canViewUserContent = async (viewerId, userId) => {
+  if (viewerId && viewerId === userId) return true;
+  const { data: profile, error } = await supabaseAdmin
+    .from('profiles')
+    .select('user_id, is_private')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error fetching profile: ' + error.message);
+  }
+  if (!profile || !profile.is_private) return true;
+  return canViewProfileContent(profile, viewerId, await getFollowStatus(viewerId, userId));
+};
+
+/**
+ * Private accounts whose wallpapers the viewer may not see (not followed by them and not their own), as a Set.
+ * Unlike blocks and mutes, a failed lookup throws: hiding nothing would show private wallpapers.
+ */
+const getLockedUserIds = async (viewerId) => {
+  const [{ data: privateProfiles, error: profilesError }, { data: follows, error: followsError }] = await Promise.all([
+    supabaseAdmin.from('profiles').select('user_id').eq('is_private', true),
+    viewerId
+      ? supabaseAdmin.from('user_follows').select('following_id').eq('follower_id', viewerId)
+      : Promise.resolve({ data: [] }),
+  ]);
+  if (profilesError || followsError) {
+    throw new Error('Error fetching private accounts: ' + (profilesError || followsError).message);
+  }
+  const followed = new Set(follows.map(follow => follow.following_id));
+  return new Set(privateProfiles
+    .map(profile => profile.user_id)
+    .filter(id => id !== viewerId && !followed.has(id)));
+};
+
+const createFollowRequest = async (requesterId, targetId) => {
+  const { error } = await supabaseAdmin
+    .from('follow_requests')
+    .upsert([{ requester_id: requesterId, target_id: targetId }], { onConflict: 'requester_id,target_id', ignoreDuplicates: true });
+  if (error) {
+    throw new Error('Error creating follow request: ' + error.message);
+  }
+};
+
+// Remove a pending request (approved, denied or cancelled). Returns false when there was none.
+const deleteFollowRequest = async (requesterId, targetId) => {
+  const { data, error } = await supabaseAdmin
+    .from('follow_requests')
+    .delete()
+    .eq('requester_id', requesterId)
+    .eq('target_id', targetId)
+    .select('requester_id');
+  if (error) {
+    throw new Error('Error removing follow request: ' + error.message);
+  }
+  return data.length > 0;
+};
+
+// Drop pending requests in both directions (used when one user blocks the other).
+const deleteFollowRequestsBetween = async (userId, otherUserId) => {
+  await deleteFollowRequest(userId, otherUserId);
+  await deleteFollowRequest(otherUserId, userId);
+};
+
+// Drop every pending request to a user (used when the account goes public: they can follow directly now).
+const clearFollowRequests = async (targetId) => {
+  const { error } = await supabaseAdmin
+    .from('follow_requests')
+    .delete()
+    .eq('target_id', targetId);
+  if (error) {
+    throw new Error('Error clearing follow requests: ' + error.message);
+  }
+};
+
+/**
+ * Pending requests to follow the user, newest first, with the requesters' profiles.
+ * Returns { requests, total }.
+ */
+const listIncomingFollowRequests = async (userId, { limit, offset }) => {
+  const { data, error, count } = await supabaseAdmin
+    .from('follow_requests')
+    .select('requester_id, created_at', { count: 'exact' })
+    .eq('target_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error fetching follow requests: ' + error.message);
+  }
+
+  let byUserId = new Map();
+  if (data.length > 0) {
+    const { data: profiles, error: profilesError } = await supabaseAdmin
+      .from('profiles')
+      .select('id, user_id, name, username, dp')
+      .in('user_id', data.map(request => request.requester_id));
+    if (profilesError) {
+      console.error('Error fetching follow request profiles:', profilesError.message);
+    }
+    byUserId = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+  }
+
+  const requests = data.map(request => {
+    const profile = byUserId.get(request.requester_id);
+    return {
+      requester_id: request.requester_id,
+      created_at: request.created_at,
+      profile: profile ? { id: profile.id, name: profile.name, username: profile.username, dp: profile.dp } : null
+    };
+  });
+  return { requests, total: count || 0 };
+};
+
+module.exports = {
+  FOLLOW_STATUS,
+  getFollowStatuses,
+  getFollowStatus,
+  canViewProfileContent,
+  canViewUserContent,
+  getLockedUserIds,
+  createFollowRequest,
+  deleteFollowRequest,
+  deleteFollowRequestsBetween,
+  clearFollowRequests,
+  listIncomingFollowRequests,
+};
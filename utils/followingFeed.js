@@ -0,0 +1,227 @@
+// followingFeed.js
+// Chronological "Following" feed: uploads of followed users, optionally their likes and new public collections.
+// Items are ordered by (time desc, type desc, id desc) and paged with an opaque keyset cursor, so items arriving
+// while a user scrolls never shift or repeat pages; the same key also counts what is new since the first page.
+const { supabaseAdmin } = require('../supabaseClient');
+const { getWallpaperVariants } = require('./imageVariants');
+const { getHiddenUserIds } = require('./userBlocks');
+const { enrichCollections } = require('./collections');
+
+const FEED_ITEM_TYPES = ['upload', 'like', 'collection'];
+const OPTIONAL_FEED_TYPES = ['like', 'collection'];
+
+/**
+ * Feed sources. time: the column an item is ordered by; tie: the key columns breaking ties at the same time
+ * (an item's id is their values joined with ":").
+ */
+const SOURCES = {
+  upload: {
+    table: 'wallpapers',
+    select: '*',
+    time: 'published_at',
+    tie: ['id'],
+    actorColumn: 'user_id',
+    scope: query => query.eq('status', 'published'),
+  },
+  like: {
+    table: 'wallpaper_likes',
+    select: 'wallpaper_id, user_id, created_at',
+    time: 'created_at',
+    tie: ['wallpaper_id', 'user_id'],
+    actorColumn: 'user_id',
+    scope: query => query,
+  },
+  collection: {
+    table: 'collections',
+    select: '*',
+    time: 'created_at',
+    tie: ['id'],
+    actorColumn: 'user_id',
+    scope: query => query.eq('is_public', true).eq('is_default', false),
+  },
+};
+
+// Timestamps as "YYYY-MM-DDTHH:MM:SS.ffffff" in UTC, so timestamp and timestamptz columns sort together as strings
+// without losing the microseconds JavaScript dates drop.
+const normalizeTime = (value) => {
+  const match = /^(\d{4}-\d\d-\d\d)[T ](\d\d:\d\d:\d\d)(?:\.(\d+))?(Z|[+-]00(?::?00)?)?$/.exec(value);
+  if (match) {
+    return `${match[1]}T${match[2]}.${(match[3] || '').padEnd(6, '0').slice(0, 6)}`;
+  }
+  return new Date(value).toISOString().replace('Z', '000');
+};
+
+const encodeCursor = (item) =>
+  Buffer.from(JSON.stringify({ t: item.time, k: item.type, i: item.id })).toString('base64url');
+
+// Returns { time, type, id } or null when the cursor is malformed.
+const decodeCursor = (cursor) => {
+  try {
+    const { t, k, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof t !== 'string' || !FEED_ITEM_TYPES.includes(k) || typeof i !== 'string') return null;
+    if (!/^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{6}$/.test(t)) return null;
+    const ids = i.split(':');
+    if (ids.length !== SOURCES[k].tie.length || ids.some(id => !/^[0-9a-f-]{36}$/i.test(id))) return null;
+    return { time: t, type: k, id: i };
+  } catch (err) {
+    return null;
+  }
+};
+
+// PostgREST condition "tie columns <op> the cursor's", compared column by column.
+const tieCondition = (columns, values, op) => {
+  const [column, ...rest] = columns;
+  const [value, ...restValues] = values;
+  if (rest.length === 0) return `${column}.${op}.${value}`;
+  return `or(${column}.${op}.${value},and(${column}.eq.${value},${tieCondition(rest, restValues, op)}))`;
+};
+
+/**
+ * Keyset filter for a source: rows after the cursor (direction "older") or before it ("newer")
+ * in the feed order (time desc, type desc, id desc).
+ */
+const applyCursor = (query, type, cursor, direction) => {
+  const { time: timeColumn, tie } = SOURCES[type];
+  const time = `${cursor.time}Z`;
+  const [strict, inclusive, tieOp] = direction === 'older' ? ['lt', 'lte', 'lt'] : ['gt', 'gte', 'gt'];
+
+  if (type === cursor.type) {
+    return query.or(`${timeColumn}.${strict}.${time},and(${timeColumn}.eq.${time},${tieCondition(tie, cursor.id.split(':'), tieOp)})`);
+  }
+  // Different types at the same time: a "smaller" type comes after the cursor, a "bigger" one before it.
+  const comesAfter = type < cursor.type;
+  const includeSameTime = direction === 'older' ? comesAfter : !comesAfter;
+  return query[includeSameTime ? inclusive : strict](timeColumn, time);
+};
+
+const fetchSourcePage = async (type, actorIds, cursor, limit) => {
+  const source = SOURCES[type];
+  let query = source.scope(
+    supabaseAdmin.from(source.table).select(source.select).in(source.actorColumn, actorIds)
+  );
+  if (cursor) query = applyCursor(query, type, cursor, 'older');
+  for (const column of [source.time, ...source.tie]) {
+    query = query.order(column, { ascending: false, nullsFirst: false });
+  }
+
+  const { data, error } = await query.limit(limit);
+  if (error) {
+    throw new Error(`Error fetching following feed (${type}): ` + error.message);
+  }
+  return data.map(row => ({
+    type,
+    id: source.tie.map(column => row[column]).join(':'),
+    time: normalizeTime(row[source.time]),
+    actor_id: row[source.actorColumn],
+    row
+  }));
+};
+
+const compareItems = (a, b) => {
+  if (a.time !== b.time) return a.time < b.time ? 1 : -1;
+  if (a.type !== b.type) return a.type < b.type ? 1 : -1;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+};
+
+// Users whose activity is in the feed: everyone the user follows, minus blocked / muted users.
+const getFeedActorIds = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_follows')
+    .select('following_id')
+    .eq('follower_id', userId);
+  if (error) {
+    throw new Error('Error fetching followed users: ' + error.message);
+  }
+  const hidden = await getHiddenUserIds(userId);
+  return data.map(follow => follow.following_id).filter(id => !hidden.has(id));
+};
+
+// Turn raw source rows into response items: actor profile, wallpaper (with variants) or collection.
+const buildFeedItems = async (entries, userId) => {
+  const actorIds = [...new Set(entries.map(entry => entry.actor_id))];
+  const likedIds = [...new Set(entries.filter(entry => entry.type === 'like').map(entry => entry.row.wallpaper_id))];
+
+  const [{ data: profiles }, { data: likedWallpapers }, collections, hidden] = await Promise.all([
+    actorIds.length
+      ? supabaseAdmin.from('profiles').select('id, user_id, username, dp').in('user_id', actorIds)
+      : Promise.resolve({ data: [] }),
+    likedIds.length
+      ? supabaseAdmin.from('wallpapers').select('*').in('id', likedIds).eq('status', 'published')
+      : Promise.resolve({ data: [] }),
+    enrichCollections(entries.filter(entry => entry.type === 'collection').map(entry => entry.row), userId),
+    likedIds.length ? getHiddenUserIds(userId) : Promise.resolve(new Set()),
+  ]);
+  const profileByUserId = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+  const wallpaperById = new Map((likedWallpapers || []).map(wallpaper => [wallpaper.id, wallpaper]));
+  const collectionById = new Map(collections.map(collection => [collection.id, collection]));
+
+  const items = await Promise.all(entries.map(async (entry) => {
+    const profile = profileByUserId.get(entry.actor_id);
+    const item = {
+      type: entry.type,
+      id: entry.id,
+      occurred_at: entry.row[SOURCES[entry.type].time],
+      actor: profile ? { user_id: profile.user_id, profile_id: profile.id, username: profile.username, dp: profile.dp } : null
+    };
+    if (entry.type === 'collection') {
+      return { ...item, collection: collectionById.get(entry.row.id) };
+    }
+    // Likes of wallpapers that were unpublished, deleted or uploaded by hidden users are dropped.
+    const wallpaper = entry.type === 'upload' ? entry.row : wallpaperById.get(entry.row.wallpaper_id);
+    if (!wallpaper || hidden.has(wallpaper.user_id)) return null;
+    return { ...item, wallpaper: { ...wallpaper, variants: await getWallpaperVariants(wallpaper.id) } };
+  }));
+  return items.filter(Boolean);
+};
+
+/**
+ * One page of the Following feed, newest first.
+ * types: feed item types to include ("upload" always; "like" and "collection" on request).
+ * Returns { items, next_cursor (null at the end), newest_cursor (the first item; pass it to countNewFeedItems) }.
+ * A page can hold fewer than `limit` items when liked wallpapers are no longer visible; keep paging until next_cursor is null.
+ */
+const getFollowingFeed = async (userId, { cursor = null, limit, types }) => {
+  const actorIds = await getFeedActorIds(userId);
+  if (actorIds.length === 0) {
+    return { items: [], next_cursor: null, newest_cursor: null };
+  }
+
+  const sourcePages = await Promise.all(types.map(type => fetchSourcePage(type, actorIds, cursor, limit + 1)));
+  const merged = sourcePages.flat().sort(compareItems);
+  const page = merged.slice(0, limit);
+
+  return {
+    items: await buildFeedItems(page, userId),
+    next_cursor: merged.length > limit ? encodeCursor(page[page.length - 1]) : null,
+    newest_cursor: page.length > 0 ? encodeCursor(page[0]) : null
+  };
+};
+
+/**
+ * How many feed items arrived after the cursor (the newest_cursor of the first page), for a refresh badge.
+ */
+const countNewFeedItems = async (userId, cursor, types) => {
+  const actorIds = await getFeedActorIds(userId);
+  if (actorIds.length === 0) return 0;
+
+  const counts = await Promise.all(types.map(async (type) => {
+    const source = SOURCES[type];
+    const query = source.scope(
+      supabaseAdmin.from(source.table).select(source.tie[0], { count: 'exact', head: true }).in(source.actorColumn, actorIds)
+    );
+    const { count, error } = await applyCursor(query, type, cursor, 'newer');
+    if (error) {
+      throw new Error(`Error counting new feed items (${type}): ` + error.message);
+    }
+    return count || 0;
+  }));
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+module.exports = {
+  FEED_ITEM_TYPES,
+  OPTIONAL_FEED_TYPES,
+  decodeCursor,
+  getFollowingFeed,
+  countNewFeedItems,
+};
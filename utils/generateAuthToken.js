@@ -1,20 +1,56 @@
-// tokenUtil.js
+// generateAuthToken.js
 const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
 
-const generatePublicAuthToken = (userId) => {
+// Access tokens are short lived; clients renew them with the refresh token (POST /api/auth/refresh).
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const TOKEN_ISSUER = "pixalpedia";
+
+const getTokenSecret = () => {
   const secret = process.env.USER_TOKEN_SECRET;
   if (!secret) {
     throw new Error("USER_TOKEN_SECRET is not set in environment variables");
   }
-  const splitIndex = Math.floor(secret.length / 2);
-  const secretFirst = secret.slice(0, splitIndex);
-  const secretSecond = secret.slice(splitIndex);
-  const merged = secretFirst + userId + secretSecond;
-  const encodedMerged = Buffer.from(merged).toString("base64");
-  // Create a random prefix (20 hex characters) and suffix (16 hex characters)
-  const prefix = crypto.randomBytes(10).toString("hex");
-  const suffix = crypto.randomBytes(8).toString("hex");
-  return prefix + encodedMerged + suffix;
+  return secret;
+};
+
+/**
+ * Sign an access token (JWT, HS256) for a login session.
+ * Claims: sub = user id, sid = manage_logins.session_id, jti = unique token id.
+ * Returns { token, jti, expiresIn } where expiresIn is the lifetime in seconds.
+ */
+const generateAccessToken = (userId, sessionId) => {
+  const jti = crypto.randomBytes(16).toString("hex");
+  const token = jwt.sign(
+    { sid: sessionId, type: "access" },
+    getTokenSecret(),
+    { subject: String(userId), jwtid: jti, expiresIn: ACCESS_TOKEN_TTL, issuer: TOKEN_ISSUER }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, jti, expiresIn: exp - iat };
 };
 
-module.exports = { generatePublicAuthToken };
+/**
+ * Verify an access token's signature and expiry.
+ * Returns { userId, sessionId, jti }. Throws jsonwebtoken errors
+ * (TokenExpiredError / JsonWebTokenError) when the token is not valid.
+ */
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, getTokenSecret(), { algorithms: ["HS256"], issuer: TOKEN_ISSUER });
+  if (payload.type !== "access" || !payload.sub || !payload.sid) {
+    throw new jwt.JsonWebTokenError("Invalid token payload");
+  }
+  return { userId: payload.sub, sessionId: payload.sid, jti: payload.jti };
+};
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+module.exports = {
+  generateAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashToken,
+};
@@ -0,0 +1,169 @@
+// imageMetadata.js
+// Image facts stored on wallpapers at upload time (and by the backfill job):
+// dimensions, aspect ratio, orientation, file size, format, dominant colors and a tiny LQIP placeholder.
+const sharp = require('sharp');
+const { getDisplaySize, getOrientation } = require('./imageVariants');
+
+// Columns on wallpapers / pending_wallpapers filled from extractImageMetadata().
+const IMAGE_METADATA_FIELDS = [
+  'width',
+  'height',
+  'aspect_ratio',
+  'orientation',
+  'file_size',
+  'format',
+  'dominant_colors',
+  'placeholder',
+];
+
+const PALETTE_SIZE = 5;
+const PALETTE_MIN_DISTANCE = 48; // Skip palette colors too close to one already picked
+const PLACEHOLDER_SIZE = 16;     // LQIP is rendered at most 16px wide / high
+
+const toHex = (r, g, b) =>
+  '#' + [r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+
+// Most common colors of a downscaled copy, bucketed to 4 bits per channel.
+const extractDominantColors = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize(64, 64, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += info.channels) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += r;
+    bucket.g += g;
+    bucket.b += b;
+    buckets.set(key, bucket);
+  }
+
+  const palette = [];
+  const sorted = [...buckets.values()].sort((a, b) => b.count - a.count);
+  for (const bucket of sorted) {
+    const color = [bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count];
+    const tooClose = palette.some(picked =>
+      Math.hypot(picked[0] - color[0], picked[1] - color[1], picked[2] - color[2]) < PALETTE_MIN_DISTANCE
+    );
+    if (tooClose) continue;
+    palette.push(color);
+    if (palette.length === PALETTE_SIZE) break;
+  }
+
+  return palette.map(([r, g, b]) => toHex(r, g, b));
+};
+
+// Low quality image placeholder as a data URI (a few hundred bytes) to show while the image loads.
+const createPlaceholder = async (buffer) => {
+  const placeholder = await sharp(buffer)
+    .rotate()
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+    .webp({ quality: 40 })
+    .toBuffer();
+  return `data:image/webp;base64,${placeholder.toString('base64')}`;
+};
+
+/**
+ * Compute the stored metadata of an image buffer.
+ * Returns an object keyed by IMAGE_METADATA_FIELDS.
+ */
+const extractImageMetadata = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  const { width, height } = getDisplaySize(metadata);
+
+  return {
+    width,
+    height,
+    aspect_ratio: Number((width / height).toFixed(4)),
+    orientation: getOrientation({ width, height }),
+    file_size: buffer.length,
+    format: metadata.format,
+    dominant_colors: await extractDominantColors(buffer),
+    placeholder: await createPlaceholder(buffer),
+  };
+};
+
+/**
+ * Remove EXIF / XMP / IPTC data (camera details, GPS location, ...) from an image before it is stored.
+ * The EXIF orientation is applied to the pixels and the ICC color profile is kept.
+ * Images without such metadata are returned untouched; otherwise they are re-encoded at high quality.
+ */
+const stripImageMetadata = async (buffer) => {
+  const metadata = await sharp(buffer).metadata();
+  if (!metadata.exif && !metadata.xmp && !metadata.iptc) {
+    return buffer;
+  }
+
+  const pipeline = sharp(buffer).rotate().keepIccProfile();
+  switch (metadata.format) {
+    case 'jpeg':
+      return pipeline.jpeg({ quality: 95, chromaSubsampling: '4:4:4' }).toBuffer();
+    case 'png':
+      return pipeline.png().toBuffer();
+    case 'webp':
+      return pipeline.webp({ quality: 95 }).toBuffer();
+    case 'tiff':
+      return pipeline.tiff().toBuffer();
+    case 'heif':
+      return pipeline.heif({ quality: 90, compression: metadata.compression === 'av1' ? 'av1' : 'hevc' }).toBuffer();
+    default:
+      return buffer;
+  }
+};
+
+// Named color families for search filters ("mostly blue"): hue ranges plus the neutrals.
+const COLOR_FAMILIES = ['red', 'orange', 'brown', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'black', 'white', 'gray'];
+
+// Color family of a "#rrggbb" color, or null when it isn't one.
+const getColorFamily = (hex) => {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return null;
+  const [r, g, b] = match.slice(1).map(value => parseInt(value, 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const saturation = max === min ? 0 : (max - min) / (1 - Math.abs(2 * lightness - 1));
+  if (lightness < 0.12) return 'black';
+  if (lightness > 0.92) return 'white';
+  if (saturation < 0.15) return 'gray';
+
+  let hue;
+  if (max === r) hue = ((g - b) / (max - min)) * 60;
+  else if (max === g) hue = ((b - r) / (max - min) + 2) * 60;
+  else hue = ((r - g) / (max - min) + 4) * 60;
+  hue = (hue + 360) % 360;
+  if (hue < 15 || hue >= 345) return 'red';
+  if (hue < 45) return lightness < 0.4 ? 'brown' : 'orange';
+  if (hue < 70) return 'yellow';
+  if (hue < 165) return 'green';
+  if (hue < 195) return 'teal';
+  if (hue < 255) return 'blue';
+  if (hue < 315) return 'purple';
+  return 'pink';
+};
+
+// Pick the metadata columns from a row (e.g. to copy a pending wallpaper into "wallpapers").
+const pickImageMetadata = (row) => {
+  const picked = {};
+  for (const field of IMAGE_METADATA_FIELDS) {
+    if (row[field] !== undefined) picked[field] = row[field];
+  }
+  return picked;
+};
+
+module.exports = {
+  IMAGE_METADATA_FIELDS,
+  COLOR_FAMILIES,
+  getColorFamily,
+  extractImageMetadata,
+  stripImageMetadata,
+  pickImageMetadata,
+};
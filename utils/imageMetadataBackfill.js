@@ -0,0 +1,124 @@
+// imageMetadataBackfill.js
+// Fills width / height / orientation / colors / placeholder and the perceptual hash for wallpapers
+// uploaded before they were stored, and strips EXIF data from their stored files.
+// Runs in the background after startup, or once to completion with: node utils/imageMetadataBackfill.js
+const axios = require('axios');
+const { supabaseAdmin } = require('../supabaseClient'); // adjust the path as needed
+const { STORAGE_BUCKET, getStoragePathFromUrl } = require('./storage');
+const { extractImageMetadata, stripImageMetadata } = require('./imageMetadata');
+const { computePerceptualHash } = require('./perceptualHash');
+
+const BACKFILL_TABLES = ['wallpapers', 'pending_wallpapers'];
+const BACKFILL_BATCH_SIZE = 20;
+
+// Fetch metadata for one row and update it. Returns true when the row was updated.
+const backfillRow = async (table, row) => {
+  const response = await axios.get(row.image_url, { responseType: 'arraybuffer', timeout: 30000 });
+  const original = Buffer.from(response.data);
+
+  const stripped = await stripImageMetadata(original);
+  if (stripped !== original) {
+    // Replace the stored file so the public URL no longer serves EXIF / GPS data.
+    const filePath = getStoragePathFromUrl(row.image_url);
+    if (filePath) {
+      const { error: uploadError } = await supabaseAdmin.storage
+        .from(STORAGE_BUCKET)
+        .upload(filePath, stripped, { cacheControl: '3600', upsert: true });
+      if (uploadError) {
+        console.error(`Error re-uploading stripped image for ${table} ${row.id}:`, uploadError.message);
+      }
+    }
+  }
+
+  const metadata = await extractImageMetadata(stripped);
+  const phash = await computePerceptualHash(stripped);
+  const { error } = await supabaseAdmin
+    .from(table)
+    .update({ ...metadata, phash })
+    .eq('id', row.id);
+  if (error) {
+    console.error(`Error storing image metadata for ${table} ${row.id}:`, error.message);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Process every row of `table` that has no metadata yet, in batches ordered by id.
+ * Rows that fail (missing file, unreadable image) are skipped until the next run.
+ * Returns { processed, failed }.
+ */
+const backfillTable = async (table) => {
+  let lastId = null;
+  let processed = 0;
+  let failed = 0;
+
+  while (true) {
+    let query = supabaseAdmin
+      .from(table)
+      .select('id, image_url')
+      .or('width.is.null,phash.is.null')
+      .order('id', { ascending: true })
+      .limit(BACKFILL_BATCH_SIZE);
+    if (lastId !== null) {
+      query = query.gt('id', lastId);
+    }
+
+    const { data: rows, error } = await query;
+    if (error) {
+      console.error(`Error fetching ${table} without image metadata:`, error.message);
+      break;
+    }
+    if (!rows || rows.length === 0) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      try {
+        if (await backfillRow(table, row)) {
+          processed++;
+        } else {
+          failed++;
+        }
+      } catch (err) {
+        console.error(`Error backfilling image metadata for ${table} ${row.id}:`, err.message);
+        failed++;
+      }
+    }
+  }
+
+  return { processed, failed };
+};
+
+let backfillRunning = false;
+
+// Run the backfill over all wallpaper tables (overlapping runs are skipped).
+const runImageMetadataBackfill = async () => {
+  if (backfillRunning) return;
+  backfillRunning = true;
+  try {
+    for (const table of BACKFILL_TABLES) {
+      const { processed, failed } = await backfillTable(table);
+      if (processed > 0 || failed > 0) {
+        console.log(`ImageMetadataBackfill: ${table}: ${processed} updated, ${failed} failed.`);
+      }
+    }
+  } catch (err) {
+    console.error("Error in runImageMetadataBackfill:", err.message);
+  } finally {
+    backfillRunning = false;
+  }
+};
+
+if (require.main === module) {
+  runImageMetadataBackfill().then(() => {
+    console.log("ImageMetadataBackfill: Done.");
+    process.exit(0);
+  });
+} else {
+  // Start shortly after startup, then retry failed rows every 6 hours.
+  setTimeout(runImageMetadataBackfill, 60 * 1000);
+  setInterval(runImageMetadataBackfill, 6 * 60 * 60 * 1000);
+  console.log("ImageMetadataBackfill: Scheduler set up successfully.");
+}
+
+module.exports = { runImageMetadataBackfill, backfillTable };
@@ -0,0 +1,182 @@
+// imageVariants.js
+// Renditions generated with sharp for every uploaded wallpaper (grid thumbnail, preview and
+// device sized versions), each encoded as JPEG, WebP and AVIF. Rows live in "wallpaper_variants".
+const path = require('path');
+const sharp = require('sharp');
+const { supabaseAdmin } = require('../supabaseClient');
+const { STORAGE_BUCKET, getStoragePathFromUrl } = require('./storage');
+
+// fit "inside" keeps the whole image (size caps), fit "cover" crops to the exact device resolution.
+// Device presets are only generated for images with a matching orientation and enough resolution.
+const VARIANT_PRESETS = [
+  { name: 'thumb', width: 400, height: 400, fit: 'inside' },
+  { name: 'preview', width: 1280, height: 1280, fit: 'inside' },
+  { name: 'phone_hd', width: 1080, height: 1920, fit: 'cover', orientation: 'portrait' },
+  { name: 'phone_qhd', width: 1440, height: 2560, fit: 'cover', orientation: 'portrait' },
+  { name: 'desktop_hd', width: 1920, height: 1080, fit: 'cover', orientation: 'landscape' },
+  { name: 'desktop_qhd', width: 2560, height: 1440, fit: 'cover', orientation: 'landscape' },
+  { name: 'desktop_4k', width: 3840, height: 2160, fit: 'cover', orientation: 'landscape' },
+];
+
+const VARIANT_FORMATS = [
+  { format: 'jpeg', extension: 'jpg', contentType: 'image/jpeg', options: { quality: 82, progressive: true } },
+  { format: 'webp', extension: 'webp', contentType: 'image/webp', options: { quality: 80 } },
+  { format: 'avif', extension: 'avif', contentType: 'image/avif', options: { quality: 50, effort: 2 } },
+];
+
+// Width / height as displayed (EXIF orientations 5-8 are rotated by 90 degrees).
+const getDisplaySize = (metadata) => {
+  const rotated = metadata.orientation >= 5 && metadata.orientation <= 8;
+  return rotated
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+};
+
+const getOrientation = ({ width, height }) => {
+  if (width === height) return 'square';
+  return height > width ? 'portrait' : 'landscape';
+};
+
+const presetAppliesTo = (preset, size) => {
+  if (preset.fit !== 'cover') return true;
+  const orientation = getOrientation(size);
+  if (orientation !== 'square' && orientation !== preset.orientation) return false;
+  return size.width >= preset.width && size.height >= preset.height; // Never upscale device renditions
+};
+
+/**
+ * Render all applicable variants of an image.
+ * Returns [{ variant, format, width, height, size_bytes, content_type, extension, buffer }].
+ */
+const generateImageVariants = async (buffer) => {
+  const size = getDisplaySize(await sharp(buffer).metadata());
+  const rendered = [];
+
+  for (const preset of VARIANT_PRESETS) {
+    if (!presetAppliesTo(preset, size)) continue;
+
+    const resized = sharp(buffer)
+      .rotate()
+      .resize(preset.width, preset.height, {
+        fit: preset.fit,
+        position: sharp.strategy.attention,
+        withoutEnlargement: true,
+      });
+
+    for (const { format, extension, contentType, options } of VARIANT_FORMATS) {
+      const { data, info } = await resized.clone()[format](options).toBuffer({ resolveWithObject: true });
+      rendered.push({
+        variant: preset.name,
+        format,
+        width: info.width,
+        height: info.height,
+        size_bytes: info.size,
+        content_type: contentType,
+        extension,
+        buffer: data,
+      });
+    }
+  }
+
+  return rendered;
+};
+
+/**
+ * Generate the variants of an uploaded wallpaper and upload them next to the original
+ * (wallpapers/variants/<file name>/<variant>.<ext>).
+ * Returns the rows to store: [{ variant, format, width, height, size_bytes, url }].
+ */
+const createImageVariants = async (buffer, fileName) => {
+  const folder = `wallpapers/variants/${path.parse(fileName).name}`;
+  const rendered = await generateImageVariants(buffer);
+  const rows = [];
+
+  for (const item of rendered) {
+    const filePath = `${folder}/${item.variant}.${item.extension}`;
+    const { error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .upload(filePath, item.buffer, { cacheControl: '31536000', contentType: item.content_type, upsert: true });
+    if (error) {
+      console.error(`Error uploading variant ${filePath}:`, error.message);
+      continue;
+    }
+    rows.push({
+      variant: item.variant,
+      format: item.format,
+      width: item.width,
+      height: item.height,
+      size_bytes: item.size_bytes,
+      url: `${process.env.SUPABASE_URL}/storage/v1/object/public/${STORAGE_BUCKET}/${filePath}`,
+    });
+  }
+
+  return rows;
+};
+
+// Store variant rows (from createImageVariants) for a published wallpaper.
+const saveWallpaperVariants = async (wallpaperId, variants) => {
+  if (!Array.isArray(variants) || variants.length === 0) return;
+  const { error } = await supabaseAdmin
+    .from('wallpaper_variants')
+    .insert(variants.map(variant => ({ wallpaper_id: wallpaperId, ...variant })));
+  if (error) {
+    console.error(`Error saving variants for wallpaper ${wallpaperId}:`, error.message);
+  }
+};
+
+// Remove variant files from storage. Errors are logged; the original image removal decides success.
+const removeImageVariants = async (variants) => {
+  const filePaths = (variants || [])
+    .map(variant => getStoragePathFromUrl(variant.url))
+    .filter(Boolean);
+  if (filePaths.length === 0) return;
+  const { error } = await supabaseAdmin.storage
+    .from(STORAGE_BUCKET)
+    .remove(filePaths);
+  if (error) {
+    console.error('Error deleting variant files:', error.message);
+  }
+};
+
+// Fetch the stored variant rows of a wallpaper.
+const getWallpaperVariantRows = async (wallpaperId) => {
+  const { data, error } = await supabaseAdmin
+    .from('wallpaper_variants')
+    .select('variant, format, width, height, size_bytes, url')
+    .eq('wallpaper_id', wallpaperId);
+  if (error) {
+    console.error(`Error fetching variants for wallpaper ${wallpaperId}:`, error.message);
+    return [];
+  }
+  return data;
+};
+
+// Group variant rows into the map returned by feed endpoints:
+// { thumb: { width, height, jpeg: url, webp: url, avif: url }, preview: {...}, ... }
+const buildVariantsMap = (rows) => {
+  const variants = {};
+  for (const row of rows || []) {
+    if (!variants[row.variant]) {
+      variants[row.variant] = { width: row.width, height: row.height };
+    }
+    variants[row.variant][row.format] = row.url;
+  }
+  return variants;
+};
+
+// Variants map for one wallpaper ({} for wallpapers uploaded before variants existed).
+const getWallpaperVariants = async (wallpaperId) =>
+  buildVariantsMap(await getWallpaperVariantRows(wallpaperId));
+
+module.exports = {
+  VARIANT_PRESETS,
+  getDisplaySize,
+  getOrientation,
+  generateImageVariants,
+  createImageVariants,
+  saveWallpaperVariants,
+  removeImageVariants,
+  getWallpaperVariantRows,
+  buildVariantsMap,
+  getWallpaperVariants,
+};
@@ -0,0 +1,253 @@
+// loginSession.js
+// Shared login session handling for public, Google and GitHub logins and the refresh endpoint.
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../supabaseClient');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  hashToken,
+} = require('./generateAuthToken');
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // Each login / refresh keeps the session alive for 24 hours
+const SESSION_MAX_AGE_DAYS = parseInt(process.env.SESSION_MAX_AGE_DAYS, 10) || 30; // Hard limit before a new login is required
+const MAX_ACTIVE_SESSIONS = parseInt(process.env.MAX_ACTIVE_SESSIONS, 10) || 5; // Concurrent logged in devices per user
+const OAUTH_LOGIN_CODE_TTL_MS = 60 * 1000; // Time the frontend has to exchange an OAuth login code
+
+// Keep the number of active sessions under MAX_ACTIVE_SESSIONS before a new login is added,
+// logging out the oldest sessions first.
+const enforceSessionLimit = async (userId) => {
+  const { data: activeLogins, error } = await supabaseAdmin
+    .from('manage_logins')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('is_logged_in', true)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: true });
+  if (error) {
+    console.error('Error fetching active manage_logins records:', error);
+    return;
+  }
+
+  const excess = activeLogins.length - MAX_ACTIVE_SESSIONS + 1;
+  if (excess <= 0) return;
+
+  const idsToLogOut = activeLogins.slice(0, excess).map(login => login.id);
+  const { error: updateError } = await supabaseAdmin
+    .from('manage_logins')
+    .update({ is_logged_in: false })
+    .in('id', idsToLogOut);
+  if (updateError) {
+    console.error('Error logging out oldest manage_logins records:', updateError);
+  }
+};
+
+/**
+ * Create a new login session for a user:
+ *  - logs out the oldest sessions when the user is at MAX_ACTIVE_SESSIONS,
+ *  - inserts the manage_logins record (refresh token stored hashed),
+ *  - inserts the sessions record.
+ *
+ * Returns { authToken, refreshToken, sessionToken, sessionId, expiresIn, expiresAt }.
+ * Throws when the session records could not be stored.
+ */
+const createLoginSession = async (req, userId, method, ipAddress) => {
+  // Other devices stay logged in, up to the session cap.
+  await enforceSessionLimit(userId);
+
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const sessionToken = crypto.randomBytes(32).toString('hex');
+  const { token: authToken, jti, expiresIn } = generateAccessToken(userId, sessionId);
+  const refreshToken = generateRefreshToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  const deviceInfo = { user_agent: req.headers['user-agent'] || '' };
+
+  const { error: manageLoginError } = await supabaseAdmin
+    .from('manage_logins')
+    .insert({
+      user_id: userId,
+      session_id: sessionId,
+      device_info: deviceInfo,
+      method,
+      auth_token: jti,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: expiresAt,
+      ip_address: ipAddress,
+      is_logged_in: true
+    });
+  if (manageLoginError) {
+    console.error('Error inserting manage_logins record:', manageLoginError);
+    throw new Error('Session management error.');
+  }
+
+  const generatedAt = Date.now();
+  const { error: sessionError } = await supabaseAdmin
+    .from('sessions')
+    .insert({
+      session_id: sessionId,
+      session_token: sessionToken,
+      user_agent: req.headers['user-agent'] || '',
+      language: req.headers['accept-language'] || '',
+      platform: '',
+      screen_resolution: '',
+      timezone_offset: null,
+      generated_at: generatedAt,
+      last_access: generatedAt
+    });
+  if (sessionError) {
+    console.error('Error inserting sessions record:', sessionError);
+    throw new Error('Session creation error.');
+  }
+
+  return { authToken, refreshToken, sessionToken, sessionId, expiresIn, expiresAt };
+};
+
+/**
+ * Exchange a refresh token for a new access token + refresh token pair.
+ * The refresh token is rotated on every use and the session's expires_at is pushed
+ * forward by 24 hours. Presenting an already rotated refresh token is treated as token
+ * theft and logs the session out.
+ *
+ * Returns { status: 200, session: { userId, authToken, refreshToken, sessionId, expiresIn, expiresAt } }
+ * or { status, error, code } when the refresh is refused.
+ */
+const refreshLoginSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const { data: loginRecord, error: fetchError } = await supabaseAdmin
+    .from('manage_logins')
+    .select('id, user_id, session_id, is_logged_in, expires_at, created_at')
+    .eq('refresh_token_hash', tokenHash)
+    .maybeSingle();
+  if (fetchError) {
+    console.error('Error fetching login record for refresh:', fetchError);
+    return { status: 500, error: 'Error refreshing session.', code: 'REFRESH_FAILED' };
+  }
+
+  if (!loginRecord) {
+    // An already rotated token being replayed: revoke the session it belonged to.
+    const { data: reusedRecord } = await supabaseAdmin
+      .from('manage_logins')
+      .select('id, user_id')
+      .eq('previous_refresh_token_hash', tokenHash)
+      .maybeSingle();
+    if (reusedRecord) {
+      console.warn(`Refresh token reuse detected for user ${reusedRecord.user_id}, revoking session ${reusedRecord.id}.`);
+      await supabaseAdmin
+        .from('manage_logins')
+        .update({ is_logged_in: false })
+        .eq('id', reusedRecord.id);
+      return { status: 401, error: 'Refresh token has already been used. Please log in again.', code: 'REFRESH_TOKEN_REUSED' };
+    }
+    return { status: 401, error: 'Invalid refresh token.', code: 'LOGIN_REQUIRED' };
+  }
+
+  const now = Date.now();
+  const maxAgeReached = now - new Date(loginRecord.created_at).getTime() > SESSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  if (!loginRecord.is_logged_in || new Date(loginRecord.expires_at).getTime() <= now || maxAgeReached) {
+    return { status: 401, error: 'Session expired. Please log in again.', code: 'LOGIN_REQUIRED' };
+  }
+
+  const { token: authToken, jti, expiresIn } = generateAccessToken(loginRecord.user_id, loginRecord.session_id);
+  const newRefreshToken = generateRefreshToken();
+  const expiresAt = new Date(now + SESSION_TTL_MS);
+
+  // Only rotate if the token was not rotated concurrently by another request.
+  const { data: updated, error: updateError } = await supabaseAdmin
+    .from('manage_logins')
+    .update({
+      auth_token: jti,
+      refresh_token_hash: hashToken(newRefreshToken),
+      previous_refresh_token_hash: tokenHash,
+      expires_at: expiresAt,
+      refreshed_at: new Date(now).toISOString()
+    })
+    .eq('id', loginRecord.id)
+    .eq('refresh_token_hash', tokenHash)
+    .select('id');
+  if (updateError) {
+    console.error('Error rotating refresh token:', updateError);
+    return { status: 500, error: 'Error refreshing session.', code: 'REFRESH_FAILED' };
+  }
+  if (!updated || updated.length === 0) {
+    return { status: 401, error: 'Refresh token has already been used. Please log in again.', code: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  return {
+    status: 200,
+    session: {
+      userId: loginRecord.user_id,
+      authToken,
+      refreshToken: newRefreshToken,
+      sessionId: loginRecord.session_id,
+      expiresIn,
+      expiresAt
+    }
+  };
+};
+
+/**
+ * Google / GitHub logins end in a browser redirect to the frontend. Tokens in that URL would end up in browser
+ * history, logs and Referer headers, so the callback only passes a one-time code, which the frontend exchanges
+ * for the session (POST /api/auth/oauth/exchange). Only the code's hash is stored.
+ * Returns the code. Throws when it could not be stored.
+ */
+const createOAuthLoginCode = async (userId, method) => {
+  const now = new Date();
+  // Codes that were never exchanged
+  const { error: cleanupError } = await supabaseAdmin
+    .from('oauth_login_codes')
+    .delete()
+    .lt('expires_at', now.toISOString());
+  if (cleanupError) {
+    console.error('Error deleting expired OAuth login codes:', cleanupError);
+  }
+
+  const code = crypto.randomBytes(32).toString('hex');
+  const { error } = await supabaseAdmin
+    .from('oauth_login_codes')
+    .insert({
+      code_hash: hashToken(code),
+      user_id: userId,
+      method,
+      expires_at: new Date(now.getTime() + OAUTH_LOGIN_CODE_TTL_MS).toISOString()
+    });
+  if (error) {
+    console.error('Error storing OAuth login code:', error);
+    throw new Error('Login code error.');
+  }
+  return code;
+};
+
+/**
+ * Redeem a one-time OAuth login code and create the login session it stands for. The code is deleted as it is
+ * read, so it works once even when sent twice in parallel.
+ *
+ * Returns { status: 200, userId, session } (session as returned by createLoginSession)
+ * or { status, error, code } when the code is unknown, used or expired.
+ */
+const redeemOAuthLoginCode = async (req, code) => {
+  const { data: loginCode, error } = await supabaseAdmin
+    .from('oauth_login_codes')
+    .delete()
+    .eq('code_hash', hashToken(code))
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id, method')
+    .maybeSingle();
+  if (error) {
+    console.error('Error redeeming OAuth login code:', error);
+    return { status: 500, error: 'Error completing login.', code: 'LOGIN_CODE_FAILED' };
+  }
+  if (!loginCode) {
+    return { status: 400, error: 'Invalid or expired login code. Please log in again.', code: 'INVALID_LOGIN_CODE' };
+  }
+
+  const session = await createLoginSession(req, loginCode.user_id, loginCode.method, req.ip);
+  return { status: 200, userId: loginCode.user_id, session };
+};
+
+module.exports = {
+  createLoginSession,
+  refreshLoginSession,
+  createOAuthLoginCode,
+  redeemOAuthLoginCode,
+};
@@ -0,0 +1,45 @@
+// mailer.js
+const nodemailer = require('nodemailer');
+
+// Configure nodemailer for Gmail SMTP
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: process.env.EMAIL_ADDRESS,  // Gmail address
+    pass: process.env.EMAIL_PASSWORD  // Gmail app password
+  },
+});
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Helper: Escape user-supplied text (titles, reasons, ...) before it goes into an email's HTML.
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// Helper: Send a simple PixalPedia notification email.
+// Failures are logged and reported to the caller as `false` so that
+// a mail outage never breaks the action that triggered the email.
+const sendNotificationEmail = async (to, subject, message) => {
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_ADDRESS,
+      to,
+      subject,
+      html: `
+        <div style="font-family: Arial, sans-serif; color: #333; padding: 30px;">
+          <h1 style="font-size: 22px; margin-bottom: 20px;"><strong>PixalPedia</strong></h1>
+          <p style="font-size: 16px; color: #444;">${message}</p>
+          <div style="font-size: 12px; color: #999; margin-top: 30px; border-top: 1px solid #ddd; padding-top: 10px;">
+            <p style="margin: 0;">PixalPedia | Contact: pediapixal@gmail.com</p>
+          </div>
+        </div>
+      `,
+    });
+    console.log(`Notification email sent to ${to}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending notification email:', error.message);
+    return false;
+  }
+};
+
+module.exports = { transporter, escapeHtml, sendNotificationEmail };
@@ -0,0 +1,229 @@
+// notifications.js
+// In-app notifications. Events (follows, likes, comments, moderation outcomes) call notify(); similar unread
+// notifications are grouped into one row per group_key ("like:<wallpaper id>", "follow", ...) that collects
+// the actors, so a client can show "X and 12 others liked your wallpaper".
+// Users opt out per preference (see NOTIFICATION_PREFERENCES) through /api/settings/notifications.
+const { supabaseAdmin } = require('../supabaseClient');
+const { isUserConnected, publishToUser } = require('./realtime');
+
+// Notification type -> the preference that controls it.
+const NOTIFICATION_TYPES = {
+  follow: 'follow',
+  follow_request: 'follow',   // someone asked to follow your private account
+  follow_accepted: 'follow',  // your follow request was approved
+  like: 'like',
+  comment: 'comment',
+  reply: 'comment',
+  wallpaper_approved: 'moderation',
+  wallpaper_rejected: 'moderation',
+};
+const NOTIFICATION_PREFERENCES = ['follow', 'like', 'comment', 'moderation'];
+
+// Types grouped while unread, and the entity they are grouped by (null: one group per user).
+const GROUPED_TYPES = {
+  follow: null,
+  like: 'wallpaper_id',
+  comment: 'wallpaper_id',
+  reply: 'comment_id',
+};
+
+const MAX_GROUP_ACTORS = 50; // Most recent actors kept on a grouped notification
+
+/**
+ * Preferences of a user: { follow: true, like: true, ... }. Everything is on unless turned off.
+ */
+const getNotificationPreferences = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('notification_preferences')
+    .select('disabled_types')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error fetching notification preferences: ' + error.message);
+  }
+  const disabled = new Set((data && data.disabled_types) || []);
+  return Object.fromEntries(NOTIFICATION_PREFERENCES.map(preference => [preference, !disabled.has(preference)]));
+};
+
+// changes: { follow?: boolean, like?: boolean, ... }. Returns the updated preferences.
+const updateNotificationPreferences = async (userId, changes) => {
+  const preferences = { ...(await getNotificationPreferences(userId)), ...changes };
+  const disabledTypes = NOTIFICATION_PREFERENCES.filter(preference => !preferences[preference]);
+
+  const { error } = await supabaseAdmin
+    .from('notification_preferences')
+    .upsert({ user_id: userId, disabled_types: disabledTypes, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+  if (error) {
+    throw new Error('Error updating notification preferences: ' + error.message);
+  }
+  return preferences;
+};
+
+const getGroupKey = (type, data) => {
+  if (!(type in GROUPED_TYPES)) return null;
+  const field = GROUPED_TYPES[type];
+  return field ? `${type}:${data[field]}` : type;
+};
+
+// Add the actor to an unread notification of the same group. Returns the updated row, or null when there is none.
+// The actor is added and counted in a single UPDATE, so parallel events for the same group can't lose each other.
+const addToGroup = async (userId, groupKey, actorId, data) => {
+  const { data: rows, error } = await supabaseAdmin.rpc('add_notification_actor', {
+    p_user_id: userId,
+    p_group_key: groupKey,
+    p_actor_id: actorId,
+    p_data: data,
+    p_max_actors: MAX_GROUP_ACTORS
+  });
+  if (error) {
+    throw new Error('Error updating notification group: ' + error.message);
+  }
+  return rows[0] || null;
+};
+
+/**
+ * Notify a user of an event. Never throws: a failed notification must not fail the action behind it.
+ * type: one of NOTIFICATION_TYPES; actorId: the user who triggered it (null for moderation outcomes);
+ * data: what the client needs to render and link it, e.g. { wallpaper_id, wallpaper_title }.
+ */
+const notify = async ({ userId, type, actorId = null, data = {} }) => {
+  try {
+    if (!userId || (actorId && actorId === userId)) return; // No notifications for your own actions
+
+    const preferences = await getNotificationPreferences(userId);
+    if (!preferences[NOTIFICATION_TYPES[type]]) return;
+
+    const groupKey = getGroupKey(type, data);
+    let notification = groupKey && actorId ? await addToGroup(userId, groupKey, actorId, data) : null;
+    if (!notification) {
+      const { data: inserted, error } = await supabaseAdmin
+        .from('notifications')
+        .insert([{
+          user_id: userId,
+          type,
+          group_key: groupKey,
+          actor_ids: actorId ? [actorId] : [],
+          actor_count: actorId ? 1 : 0,
+          data
+        }])
+        .select()
+        .single();
+      if (error && error.code === '23505' && groupKey && actorId) {
+        // A parallel event opened the group first (idx_notifications_open_group): join it instead
+        notification = await addToGroup(userId, groupKey, actorId, data);
+        if (!notification) throw new Error(error.message);
+      } else if (error) {
+        throw new Error(error.message);
+      } else {
+        notification = inserted;
+      }
+    }
+
+    // Live update for open /api/realtime streams.
+    if (isUserConnected(userId)) {
+      const [withActors] = await attachActors([notification]);
+      publishToUser(userId, 'notification', { notification: withActors, unread: await getUnreadCount(userId) });
+    }
+  } catch (err) {
+    console.error(`Error creating ${type} notification for user ${userId}:`, err.message);
+  }
+};
+
+// Adds `actors` (the most recent actors' id, username and dp, newest first) to each notification.
+const attachActors = async (notifications, actorsShown = 2) => {
+  const actorIds = [...new Set(notifications.flatMap(n => (n.actor_ids || []).slice(0, actorsShown)))];
+  let byUserId = new Map();
+  if (actorIds.length > 0) {
+    const { data: profiles, error } = await supabaseAdmin
+      .from('profiles')
+      .select('id, user_id, username, dp')
+      .in('user_id', actorIds);
+    if (error) {
+      console.error('Error fetching notification actors:', error.message);
+    }
+    byUserId = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+  }
+
+  return notifications.map(notification => ({
+    ...notification,
+    actors: (notification.actor_ids || [])
+      .slice(0, actorsShown)
+      .map(id => byUserId.get(id))
+      .filter(Boolean)
+      .map(profile => ({ user_id: profile.user_id, profile_id: profile.id, username: profile.username, dp: profile.dp })),
+    others_count: Math.max((notification.actor_count || 0) - actorsShown, 0)
+  }));
+};
+
+/**
+ * A user's notifications, most recently updated first.
+ * Returns { notifications, total }.
+ */
+const listNotifications = async (userId, { limit, offset, unreadOnly = false }) => {
+  let query = supabaseAdmin
+    .from('notifications')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId);
+  if (unreadOnly) query = query.is('read_at', null);
+
+  const { data, error, count } = await query
+    .order('updated_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error fetching notifications: ' + error.message);
+  }
+  return { notifications: await attachActors(data), total: count || 0 };
+};
+
+const getUnreadCount = async (userId) => {
+  const { count, error } = await supabaseAdmin
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null);
+  if (error) {
+    throw new Error('Error counting unread notifications: ' + error.message);
+  }
+  return count || 0;
+};
+
+// Mark one notification as read. Returns the notification, or null when it isn't the user's.
+const markNotificationRead = async (userId, notificationId) => {
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('id', notificationId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error marking notification as read: ' + error.message);
+  }
+  return data;
+};
+
+// Mark every unread notification of the user as read. Returns how many were updated.
+const markAllNotificationsRead = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null)
+    .select('id');
+  if (error) {
+    throw new Error('Error marking notifications as read: ' + error.message);
+  }
+  return (data || []).length;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PREFERENCES,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  notify,
+  listNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
@@ -0,0 +1,102 @@
+// perceptualHash.js
+// Duplicate / near-duplicate detection for uploads. Every wallpaper stores a 64-bit difference hash
+// (dHash) as 16 hex characters in "phash"; similar images have hashes a few bits apart (Hamming distance).
+const sharp = require('sharp');
+const { supabaseAdmin } = require('../supabaseClient');
+
+// What to do with an upload that matches an existing wallpaper:
+// "reject" refuses the upload, "review" sends it to pending_wallpapers for a moderator.
+const DUPLICATE_ACTION = process.env.DUPLICATE_ACTION === 'reject' ? 'reject' : 'review';
+
+// Maximum number of differing bits for two images to count as duplicates.
+// 0 only matches re-encodes of the same pixels; ~6 also catches resizes, light crops and recompression.
+const DUPLICATE_MAX_DISTANCE = Number.isInteger(parseInt(process.env.DUPLICATE_MAX_DISTANCE, 10))
+  ? parseInt(process.env.DUPLICATE_MAX_DISTANCE, 10)
+  : 6;
+
+/**
+ * Compute the dHash of an image: a 9x8 grayscale thumbnail where each bit tells whether
+ * a pixel is brighter than its right neighbour. Returns a 16 character hex string.
+ */
+const computePerceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Find published wallpapers whose hash is within maxDistance of `hash`, closest first.
+ * Returns [{ id, user_id, title, image_url, distance }].
+ */
+const findSimilarWallpapers = async (hash, maxDistance = DUPLICATE_MAX_DISTANCE, limit = 5) => {
+  const { data, error } = await supabaseAdmin.rpc('find_similar_wallpapers', {
+    p_hash: hash,
+    p_max_distance: maxDistance,
+    p_limit: limit
+  });
+  if (error) {
+    throw new Error('Error searching for similar wallpapers: ' + error.message);
+  }
+  return data || [];
+};
+
+/**
+ * Group duplicate pairs ({ wallpaper_a, wallpaper_b, distance }) into clusters of wallpapers
+ * that are connected through at least one pair (union-find).
+ * Returns [{ ids: [...], pairs: [...] }], largest clusters first.
+ */
+const buildDuplicateClusters = (pairs) => {
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (parent.get(id) !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+
+  for (const pair of pairs) {
+    const rootA = find(pair.wallpaper_a);
+    const rootB = find(pair.wallpaper_b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  }
+
+  const clusters = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.wallpaper_a);
+    if (!clusters.has(root)) clusters.set(root, { ids: new Set(), pairs: [] });
+    const cluster = clusters.get(root);
+    cluster.ids.add(pair.wallpaper_a);
+    cluster.ids.add(pair.wallpaper_b);
+    cluster.pairs.push(pair);
+  }
+
+  return [...clusters.values()]
+    .map(cluster => ({ ids: [...cluster.ids], pairs: cluster.pairs }))
+    .sort((a, b) => b.ids.length - a.ids.length);
+};
+
+module.exports = {
+  DUPLICATE_ACTION,
+  DUPLICATE_MAX_DISTANCE,
+  computePerceptualHash,
+  findSimilarWallpapers,
+  buildDuplicateClusters,
+};
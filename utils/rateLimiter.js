@@ -0,0 +1,309 @@
+// rateLimiter.js
+// Rate limiting with per-route policies, escalating IP blocks and a pluggable store:
+//  - "memory":   in-process counters (tests / single instance development)
+//  - "database": counters and blocks in Supabase, shared by every instance
+// Select with RATE_LIMIT_STORE (defaults to "database" in production, "memory" otherwise).
+const { supabaseAdmin } = require('../supabaseClient');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const MAX_BLOCK_MS = 24 * HOUR;         // Escalated blocks never exceed one day
+const OFFENSE_WINDOW_MS = 24 * HOUR;    // Blocks within this window count as repeat offenses
+const BLOCK_CACHE_TTL_MS = 5 * 1000;    // Database store: how long block lookups are cached in-process
+
+// Policies are matched in order; the last one (default) applies to every other request.
+// A block from the default policy applies to all routes, other blocks only to their own policy.
+const RATE_LIMIT_POLICIES = [
+  { name: 'login', paths: ['/login'], limit: 10, windowMs: MINUTE, blockMs: 15 * MINUTE },
+  { name: 'signup', paths: ['/signup'], limit: 5, windowMs: 10 * MINUTE, blockMs: 30 * MINUTE },
+  { name: 'resend-otp', paths: ['/resend-otp', '/request-password-reset-otp'], limit: 3, windowMs: 10 * MINUTE, blockMs: 30 * MINUTE },
+  // Resumable uploads count when started and when completed (chunks are PATCH requests).
+  { name: 'wallpaper-upload', methods: ['POST'], paths: ['/api/wallpaper/add', '/api/wallpaper/uploads', '/api/wallpaper/bulk'], limit: 20, windowMs: HOUR, blockMs: HOUR },
+  // Typeahead calls on every keystroke, so it has its own (higher) budget instead of using up the default one.
+  { name: 'search-suggest', paths: ['/api/search/suggest'], limit: 120, windowMs: 15 * 1000, blockMs: 5 * MINUTE },
+  { name: 'default', paths: ['/'], limit: 50, windowMs: 15 * 1000, blockMs: 5 * MINUTE },
+];
+
+const DEFAULT_POLICY = 'default';
+
+function getPolicyForRequest(req) {
+  const path = (req.originalUrl || req.url).split('?')[0];
+  return RATE_LIMIT_POLICIES.find(policy =>
+    (!policy.methods || policy.methods.includes(req.method)) &&
+    policy.paths.some(route => path.startsWith(route))
+  );
+}
+
+// Block length doubles for every block the IP received for the same policy in the last day.
+function getBlockDuration(policy, offenseCount) {
+  return Math.min(policy.blockMs * Math.pow(2, offenseCount - 1), MAX_BLOCK_MS);
+}
+
+// --- Memory store ---
+function createMemoryStore() {
+  const counters = new Map();
+  const blocks = [];
+  let nextBlockId = 1;
+  let incrementsSinceCleanup = 0;
+
+  const cleanup = (now) => {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      if (now - blocks[i].block_end > OFFENSE_WINDOW_MS) blocks.splice(i, 1);
+    }
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (++incrementsSinceCleanup >= 1000) {
+        incrementsSinceCleanup = 0;
+        cleanup(now);
+      }
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async getActiveBlocks(ip) {
+      const now = Date.now();
+      return blocks
+        .filter(block => block.ip === ip && !block.lifted_at && block.block_end > now)
+        .map(block => ({ route: block.route, blockUntil: block.block_end }));
+    },
+
+    async recordBlock(ip, policy, requestCount) {
+      const now = Date.now();
+      const previousOffenses = blocks.filter(block =>
+        block.ip === ip && block.route === policy.name && now - block.block_start < OFFENSE_WINDOW_MS
+      ).length;
+      const offenseCount = previousOffenses + 1;
+      const blockUntil = now + getBlockDuration(policy, offenseCount);
+      blocks.push({
+        id: nextBlockId++,
+        ip,
+        route: policy.name,
+        request_count: requestCount,
+        offense_count: offenseCount,
+        block_start: now,
+        block_end: blockUntil,
+        lifted_at: null,
+      });
+      return { blockUntil, offenseCount };
+    },
+
+    async listBlocks({ activeOnly = true } = {}) {
+      const now = Date.now();
+      return blocks
+        .filter(block => !activeOnly || (!block.lifted_at && block.block_end > now))
+        .map(block => ({
+          ...block,
+          block_start: new Date(block.block_start).toISOString(),
+          block_end: new Date(block.block_end).toISOString(),
+          lifted_at: block.lifted_at ? new Date(block.lifted_at).toISOString() : null,
+        }))
+        .reverse();
+    },
+
+    async liftBlock(id) {
+      const block = blocks.find(entry => String(entry.id) === String(id) && !entry.lifted_at);
+      if (!block) return null;
+      block.lifted_at = Date.now();
+      counters.delete(`${block.route}:${block.ip}`); // Start the lifted IP with a fresh window
+      return { id: block.id, ip: block.ip, route: block.route };
+    },
+  };
+}
+
+// --- Database store (Supabase) ---
+// Counters use the rate_limit_hit() SQL function so increments are atomic across instances.
+function createDatabaseStore() {
+  const blockCache = new Map();
+
+  return {
+    name: 'database',
+
+    async increment(key, windowMs) {
+      const { data, error } = await supabaseAdmin.rpc('rate_limit_hit', { p_key: key, p_window_ms: windowMs });
+      if (error) throw new Error(`rate_limit_hit failed: ${error.message}`);
+      const row = Array.isArray(data) ? data[0] : data;
+      return { count: row.hits, resetAt: new Date(row.window_reset_at).getTime() };
+    },
+
+    async getActiveBlocks(ip) {
+      const now = Date.now();
+      const cached = blockCache.get(ip);
+      if (cached && cached.expiresAt > now) return cached.blocks;
+
+      const { data, error } = await supabaseAdmin
+        .from('blocked_ips')
+        .select('route, block_end')
+        .eq('ip', ip)
+        .is('lifted_at', null)
+        .gt('block_end', new Date(now).toISOString());
+      if (error) throw new Error(`Fetching blocked_ips failed: ${error.message}`);
+
+      const blocks = data.map(block => ({ route: block.route, blockUntil: new Date(block.block_end).getTime() }));
+      blockCache.set(ip, { blocks, expiresAt: now + BLOCK_CACHE_TTL_MS });
+      return blocks;
+    },
+
+    async recordBlock(ip, policy, requestCount) {
+      const now = Date.now();
+      const { count: previousOffenses, error: countError } = await supabaseAdmin
+        .from('blocked_ips')
+        .select('id', { count: 'exact', head: true })
+        .eq('ip', ip)
+        .eq('route', policy.name)
+        .gt('block_start', new Date(now - OFFENSE_WINDOW_MS).toISOString());
+      if (countError) {
+        console.error('Error counting previous blocks:', countError.message);
+      }
+
+      const offenseCount = (previousOffenses || 0) + 1;
+      const blockUntil = now + getBlockDuration(policy, offenseCount);
+      const { error: insertError } = await supabaseAdmin
+        .from('blocked_ips')
+        .insert([{
+          ip,
+          route: policy.name,
+          request_count: requestCount,
+          offense_count: offenseCount,
+          last_request: new Date(now).toISOString(),
+          block_start: new Date(now).toISOString(),
+          block_end: new Date(blockUntil).toISOString(),
+        }]);
+      if (insertError) {
+        console.error('Error recording blocked IP:', insertError.message);
+      }
+
+      blockCache.delete(ip);
+      return { blockUntil, offenseCount };
+    },
+
+    async listBlocks({ activeOnly = true } = {}) {
+      let query = supabaseAdmin
+        .from('blocked_ips')
+        .select('id, ip, route, request_count, offense_count, block_start, block_end, lifted_at, created_at')
+        .order('block_start', { ascending: false })
+        .limit(500);
+      if (activeOnly) {
+        query = query.is('lifted_at', null).gt('block_end', new Date().toISOString());
+      }
+      const { data, error } = await query;
+      if (error) throw new Error(`Fetching blocked_ips failed: ${error.message}`);
+      return data;
+    },
+
+    async liftBlock(id) {
+      const { data, error } = await supabaseAdmin
+        .from('blocked_ips')
+        .update({ lifted_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('lifted_at', null)
+        .select('id, ip, route');
+      if (error) throw new Error(`Lifting block failed: ${error.message}`);
+      if (!data || data.length === 0) return null;
+      blockCache.delete(data[0].ip);
+      // Start the lifted IP with a fresh window.
+      const { error: counterError } = await supabaseAdmin
+        .from('rate_limit_counters')
+        .delete()
+        .eq('key', `${data[0].route}:${data[0].ip}`);
+      if (counterError) {
+        console.error('Error resetting rate limit counter:', counterError.message);
+      }
+      return data[0];
+    },
+  };
+}
+
+function createStore(type) {
+  return type === 'database' ? createDatabaseStore() : createMemoryStore();
+}
+
+let store = createStore(
+  process.env.RATE_LIMIT_STORE || (process.env.NODE_ENV === 'production' ? 'database' : 'memory')
+);
+
+function getStore() {
+  return store;
+}
+
+// Swap the store (e.g. a fresh memory store in tests).
+function setStore(newStore) {
+  store = newStore;
+}
+
+function sendBlocked(res, blockUntil) {
+  const retryAfter = Math.max(1, Math.ceil((blockUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: "Too many requests. Your IP is temporarily blocked.",
+    retryAfter
+  });
+}
+
+/**
+ * Apply the matching rate-limit policy to a request.
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy headers.
+ * Returns true when the request may continue; otherwise the 429 response has been sent.
+ * Store failures are logged and the request is let through (fail open).
+ */
+async function applyRateLimit(req, res) {
+  const ip = req.ip || req.connection.remoteAddress;
+  const policy = getPolicyForRequest(req);
+
+  try {
+    const activeBlocks = await store.getActiveBlocks(ip);
+    const block = activeBlocks.find(entry => entry.route === policy.name || entry.route === DEFAULT_POLICY);
+    if (block) {
+      sendBlocked(res, block.blockUntil);
+      return false;
+    }
+
+    const { count, resetAt } = await store.increment(`${policy.name}:${ip}`, policy.windowMs);
+    const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set('RateLimit-Limit', String(policy.limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, policy.limit - count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+    res.set('RateLimit-Policy', `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`);
+
+    // Only the request that crosses the limit records a block (one offense per window). Requests already in
+    // flight, or sent to another instance before its block cache expired, count higher and just get the 429.
+    if (count === policy.limit + 1) {
+      const { blockUntil, offenseCount } = await store.recordBlock(ip, policy, count);
+      console.warn(`Blocked IP ${ip} on policy '${policy.name}' (offense ${offenseCount}) for route '${req.originalUrl}'`);
+      sendBlocked(res, blockUntil);
+      return false;
+    }
+    if (count > policy.limit) {
+      const recorded = (await store.getActiveBlocks(ip)).find(entry => entry.route === policy.name);
+      sendBlocked(res, recorded ? recorded.blockUntil : resetAt);
+      return false;
+    }
+
+    return true;
+  } catch (err) {
+    console.error(`Rate limiter error (${store.name} store):`, err.message);
+    return true;
+  }
+}
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  applyRateLimit,
+  createMemoryStore,
+  createDatabaseStore,
+  getStore,
+  setStore,
+};
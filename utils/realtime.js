@@ -0,0 +1,166 @@
+// realtime.js
+// Server-Sent Events hub for /api/realtime/stream. Each open stream is a connection of an authenticated user;
+// events are pushed to all connections of a user (notifications, upload / moderation results) or to the
+// connections subscribed to a wallpaper (live counters).
+// Connections live in this process's memory: with several instances, a client only receives events
+// raised by the instance it is connected to.
+const { v4: uuidv4 } = require('uuid');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;     // Keeps proxies from closing idle streams
+const MAX_CONNECTIONS_PER_USER = 5;          // The oldest stream is closed when a user opens more
+const MAX_SUBSCRIPTIONS_PER_CONNECTION = 100;
+
+const connections = new Map();      // connection id -> { id, userId, res, wallpaperIds }
+const userConnections = new Map();  // user id -> Set of connection ids
+const wallpaperWatchers = new Map(); // wallpaper id -> Set of connection ids
+
+let nextEventId = 1;
+
+const addToIndex = (index, key, connectionId) => {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(connectionId);
+};
+
+const removeFromIndex = (index, key, connectionId) => {
+  const ids = index.get(key);
+  if (!ids) return;
+  ids.delete(connectionId);
+  if (ids.size === 0) index.delete(key);
+};
+
+const writeEvent = (connection, event, data) => {
+  connection.res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Register an open SSE response for a user. Returns the connection ({ id, userId, ... }).
+ */
+const addConnection = (userId, res) => {
+  const connection = { id: uuidv4(), userId, res, wallpaperIds: new Set() };
+  connections.set(connection.id, connection);
+  addToIndex(userConnections, userId, connection.id);
+
+  const userIds = [...userConnections.get(userId)];
+  if (userIds.length > MAX_CONNECTIONS_PER_USER) {
+    closeConnection(userIds[0], 'too_many_connections');
+  }
+  return connection;
+};
+
+const removeConnection = (connectionId) => {
+  const connection = connections.get(connectionId);
+  if (!connection) return;
+  connections.delete(connectionId);
+  removeFromIndex(userConnections, connection.userId, connectionId);
+  for (const wallpaperId of connection.wallpaperIds) {
+    removeFromIndex(wallpaperWatchers, wallpaperId, connectionId);
+  }
+};
+
+// End a stream from the server side, telling the client why (e.g. "token_expired" -> reconnect with a fresh token).
+const closeConnection = (connectionId, reason) => {
+  const connection = connections.get(connectionId);
+  if (!connection) return;
+  try {
+    writeEvent(connection, 'close', { reason });
+    connection.res.end();
+  } catch (err) {
+    console.error(`Error closing realtime connection ${connectionId}:`, err.message);
+  }
+  removeConnection(connectionId);
+};
+
+// The user's connection, or null.
+const getConnection = (connectionId, userId) => {
+  const connection = connections.get(connectionId);
+  return connection && connection.userId === userId ? connection : null;
+};
+
+/**
+ * Subscribe a connection to live counters of the given wallpapers.
+ * Returns { status, error } when the subscription limit is exceeded or { status: 200, wallpaper_ids }.
+ */
+const subscribeToWallpapers = (connection, wallpaperIds) => {
+  const added = wallpaperIds.filter(id => !connection.wallpaperIds.has(id));
+  if (connection.wallpaperIds.size + added.length > MAX_SUBSCRIPTIONS_PER_CONNECTION) {
+    return { status: 400, error: `A connection can follow at most ${MAX_SUBSCRIPTIONS_PER_CONNECTION} wallpapers.` };
+  }
+  for (const wallpaperId of added) {
+    connection.wallpaperIds.add(wallpaperId);
+    addToIndex(wallpaperWatchers, wallpaperId, connection.id);
+  }
+  return { status: 200, wallpaper_ids: [...connection.wallpaperIds] };
+};
+
+// Returns the wallpaper ids the connection is still subscribed to.
+const unsubscribeFromWallpapers = (connection, wallpaperIds) => {
+  for (const wallpaperId of wallpaperIds) {
+    connection.wallpaperIds.delete(wallpaperId);
+    removeFromIndex(wallpaperWatchers, wallpaperId, connection.id);
+  }
+  return [...connection.wallpaperIds];
+};
+
+const sendToConnections = (connectionIds, event, data) => {
+  for (const connectionId of connectionIds || []) {
+    const connection = connections.get(connectionId);
+    if (!connection) continue;
+    try {
+      writeEvent(connection, event, data);
+    } catch (err) {
+      console.error(`Error writing to realtime connection ${connectionId}:`, err.message);
+      removeConnection(connectionId);
+    }
+  }
+};
+
+// Whether the user has an open stream (lets callers skip building payloads nobody receives).
+const isUserConnected = (userId) => userConnections.has(userId);
+
+/**
+ * Push an event to every open stream of a user. Does nothing when the user isn't connected.
+ * Events: "notification", "upload_job", "moderation", "wallpaper_published", "counter".
+ */
+const publishToUser = (userId, event, data) => {
+  sendToConnections(userConnections.get(userId), event, data);
+};
+
+/**
+ * Push a live counter change of a wallpaper to its subscribers.
+ * change: { metric: "like_count" | "view_count" | ..., delta, value } (value: the new total when known).
+ */
+const publishWallpaperCounter = (wallpaperId, { metric, delta = null, value = null }) => {
+  sendToConnections(wallpaperWatchers.get(wallpaperId), 'counter', {
+    wallpaper_id: wallpaperId,
+    metric,
+    delta,
+    value
+  });
+};
+
+const sendHeartbeats = () => {
+  for (const connection of connections.values()) {
+    try {
+      connection.res.write(': ping\n\n');
+    } catch (err) {
+      removeConnection(connection.id);
+    }
+  }
+};
+
+// unref(): the heartbeat timer alone shouldn't keep the process alive.
+setInterval(sendHeartbeats, HEARTBEAT_INTERVAL_MS).unref();
+
+module.exports = {
+  MAX_SUBSCRIPTIONS_PER_CONNECTION,
+  addConnection,
+  removeConnection,
+  closeConnection,
+  getConnection,
+  subscribeToWallpapers,
+  unsubscribeFromWallpapers,
+  writeEvent,
+  isUserConnected,
+  publishToUser,
+  publishWallpaperCounter,
+};
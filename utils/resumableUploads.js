@@ -0,0 +1,236 @@
+// resumableUploads.js
+// Resumable (chunked) wallpaper uploads. Upload sessions live in "upload_sessions"; the received bytes are
+// appended to a file in UPLOAD_TEMP_DIR, which is the source of truth for the current offset.
+// Sessions that are not completed before expires_at are garbage-collected with their file.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { supabaseAdmin } = require('../supabaseClient');
+
+const UPLOAD_TEMP_DIR = process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'pixalpedia-uploads');
+const MAX_RESUMABLE_FILE_SIZE = parseInt(process.env.MAX_RESUMABLE_FILE_SIZE, 10) || 100 * 1024 * 1024; // 100MB
+const RECOMMENDED_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // Extended on every received chunk
+const CLEANUP_INTERVAL_MS = 30 * 60 * 1000;
+
+// Upload ids with a chunk currently being written (one writer per session).
+const activeWrites = new Set();
+
+const getTempFilePath = (uploadId) => path.join(UPLOAD_TEMP_DIR, `${uploadId}.part`);
+
+const getReceivedBytes = async (uploadId) => {
+  try {
+    const stats = await fs.promises.stat(getTempFilePath(uploadId));
+    return stats.size;
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+};
+
+const removeTempFile = async (uploadId) => {
+  try {
+    await fs.promises.unlink(getTempFilePath(uploadId));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Error removing upload file ${uploadId}:`, err.message);
+    }
+  }
+};
+
+const nextExpiry = () => new Date(Date.now() + UPLOAD_SESSION_TTL_MS).toISOString();
+
+/**
+ * Start a resumable upload.
+ * details: { user_id, title, description, hashtags, publish_status, publish_at, file_name, file_size }
+ * Returns the upload_sessions row.
+ */
+const createUploadSession = async (details) => {
+  await fs.promises.mkdir(UPLOAD_TEMP_DIR, { recursive: true });
+
+  const { data, error } = await supabaseAdmin
+    .from('upload_sessions')
+    .insert([{
+      ...details,
+      upload_offset: 0,
+      status: 'uploading',
+      expires_at: nextExpiry()
+    }])
+    .select()
+    .single();
+  if (error) {
+    throw new Error('Error creating upload session: ' + error.message);
+  }
+  return data;
+};
+
+// Fetch an upload session owned by the user (null when missing, expired or owned by someone else).
+const getUploadSession = async (uploadId, userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('upload_sessions')
+    .select('*')
+    .eq('id', uploadId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error fetching upload session: ' + error.message);
+  }
+  if (!data || new Date(data.expires_at) <= new Date()) return null;
+  return data;
+};
+
+/**
+ * Append a chunk at `offset`. The offset must match the number of bytes already received.
+ * Returns { status, error, offset } on failure or { status: 200, offset } with the new offset.
+ */
+const appendChunk = async (session, offset, chunk) => {
+  if (session.status !== 'uploading') {
+    return { status: 409, error: `Upload is ${session.status}.` };
+  }
+  if (activeWrites.has(session.id)) {
+    return { status: 409, error: 'Another chunk is being written for this upload.' };
+  }
+
+  activeWrites.add(session.id);
+  try {
+    const received = await getReceivedBytes(session.id);
+    if (offset !== received) {
+      return { status: 409, error: 'Upload-Offset does not match the received bytes.', offset: received };
+    }
+    if (received + chunk.length > session.file_size) {
+      return { status: 413, error: 'Chunk exceeds the declared file size.', offset: received };
+    }
+
+    await fs.promises.appendFile(getTempFilePath(session.id), chunk);
+    const newOffset = received + chunk.length;
+
+    const { error } = await supabaseAdmin
+      .from('upload_sessions')
+      .update({ upload_offset: newOffset, expires_at: nextExpiry(), updated_at: new Date().toISOString() })
+      .eq('id', session.id);
+    if (error) {
+      // The file on disk stays authoritative; the stored offset is informational.
+      console.error(`Error updating upload offset for ${session.id}:`, error.message);
+    }
+
+    return { status: 200, offset: newOffset };
+  } finally {
+    activeWrites.delete(session.id);
+  }
+};
+
+/**
+ * Mark a fully received upload as processing (only one caller wins) and return the path of the
+ * assembled file. Returns { status, error } on failure or { status: 200, filePath }.
+ */
+const claimCompletedUpload = async (session) => {
+  if (session.status !== 'uploading') {
+    return { status: 409, error: `Upload is ${session.status}.` };
+  }
+  const received = await getReceivedBytes(session.id);
+  if (received !== Number(session.file_size)) {
+    return { status: 409, error: `Upload is incomplete (${received} of ${session.file_size} bytes received).` };
+  }
+
+  const { data: claimed, error } = await supabaseAdmin
+    .from('upload_sessions')
+    .update({ status: 'processing', updated_at: new Date().toISOString() })
+    .eq('id', session.id)
+    .eq('status', 'uploading')
+    .select('id');
+  if (error) {
+    throw new Error('Error updating upload session: ' + error.message);
+  }
+  if (!claimed || claimed.length === 0) {
+    return { status: 409, error: 'Upload is already being completed.' };
+  }
+
+  return { status: 200, filePath: getTempFilePath(session.id) };
+};
+
+// Record the outcome of a claimed upload. Retryable failures return it to "uploading".
+// Returns false when the session could not be updated; its bytes are kept in that case.
+const finishUploadSession = async (uploadId, { status, jobId = null, error = null }) => {
+  const { error: updateError } = await supabaseAdmin
+    .from('upload_sessions')
+    .update({ status, job_id: jobId, error, updated_at: new Date().toISOString() })
+    .eq('id', uploadId);
+  if (updateError) {
+    console.error(`Error updating upload session ${uploadId}:`, updateError.message);
+    return false;
+  }
+  if (status !== 'uploading') {
+    await removeTempFile(uploadId);
+  }
+  return true;
+};
+
+// Abort an upload: remove the received bytes and the session.
+const deleteUploadSession = async (uploadId) => {
+  await removeTempFile(uploadId);
+  const { error } = await supabaseAdmin
+    .from('upload_sessions')
+    .delete()
+    .eq('id', uploadId);
+  if (error) {
+    throw new Error('Error deleting upload session: ' + error.message);
+  }
+};
+
+// Remove expired sessions and any temp files left without a live session.
+const cleanupExpiredUploads = async () => {
+  try {
+    const { data: expired, error } = await supabaseAdmin
+      .from('upload_sessions')
+      .delete()
+      .lt('expires_at', new Date().toISOString())
+      .select('id');
+    if (error) {
+      console.error('Error deleting expired upload sessions:', error.message);
+      return;
+    }
+    for (const session of expired || []) {
+      await removeTempFile(session.id);
+    }
+
+    let files = [];
+    try {
+      files = await fs.promises.readdir(UPLOAD_TEMP_DIR);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    for (const file of files) {
+      const filePath = path.join(UPLOAD_TEMP_DIR, file);
+      const stats = await fs.promises.stat(filePath);
+      if (!stats.isFile()) continue; // e.g. the upload job files directory
+      if (Date.now() - stats.mtimeMs > UPLOAD_SESSION_TTL_MS) {
+        await fs.promises.unlink(filePath);
+      }
+    }
+
+    if (expired && expired.length > 0) {
+      console.log(`ResumableUploads: Removed ${expired.length} expired upload(s).`);
+    }
+  } catch (err) {
+    console.error('Error in cleanupExpiredUploads:', err.message);
+  }
+};
+
+// unref(): the cleanup timer alone shouldn't keep the process alive.
+setInterval(cleanupExpiredUploads, CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+  UPLOAD_TEMP_DIR,
+  MAX_RESUMABLE_FILE_SIZE,
+  RECOMMENDED_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  createUploadSession,
+  getUploadSession,
+  getReceivedBytes,
+  appendChunk,
+  claimCompletedUpload,
+  finishUploadSession,
+  deleteUploadSession,
+  cleanupExpiredUploads,
+};
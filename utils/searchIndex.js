@@ -0,0 +1,661 @@
+// searchIndex.js
+// In-process full-text index of published wallpapers behind /api/search. Each wallpaper is a document with weighted
+// fields (title, description, hashtags, categories, styles and the uploader's username). Queries are ranked with
+// BM25F; the word being typed also matches as a prefix, and words with no match in the index fall back to close
+// spellings. Documents also carry the attributes search filters, sorts and facet counts work on (orientation,
+// resolution, main color, category, style, publish date, likes and downloads), and the index counts the hashtags,
+// categories, styles and creators used by published wallpapers for search suggestions (searchSuggestions.js).
+// The index is loaded from the database on startup and rebuilt periodically (searchIndexRebuilder.js); uploads,
+// edits, publishing, deletes and username changes update it in between.
+const { supabaseAdmin } = require('../supabaseClient');
+const { getWallpaperTaxonomy } = require('./wallpaperTaxonomy');
+const { getColorFamily } = require('./imageMetadata');
+
+// How much a match in each field counts.
+const FIELD_WEIGHTS = {
+  title: 3,
+  categories: 2.5,
+  styles: 2.5,
+  hashtags: 2,
+  username: 1.5,
+  description: 1,
+};
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const PREFIX_MATCH_WEIGHT = 0.7; // "ci" -> "city" scores below an exact "city"
+const TYPO_MATCH_WEIGHTS = [1, 0.6, 0.35]; // By edit distance
+const MAX_TERM_EXPANSIONS = 25; // Prefix / typo candidates per query word (the most common ones win)
+const MIN_QUERY_LENGTH = 2;
+const LOAD_PAGE_SIZE = 1000;
+const STOPWORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'the', 'to', 'with']);
+
+const FACET_LIMIT = 20; // Values returned per facet, most common first
+const COUNT_COLUMNS = ['like_count', 'download_count']; // Kept current for sorting (see updateSearchIndexCounts)
+
+const SUGGESTION_TYPES = ['hashtag', 'category', 'style', 'creator'];
+
+const DOCUMENT_COLUMNS =
+  'id, user_id, title, description, status, published_at, created_at, width, height, orientation, dominant_colors, '
+  + COUNT_COLUMNS.join(', ');
+
+// ----------------------------------------------------------------------------
+// Text
+
+// Titles and descriptions are stored HTML-escaped (express-validator's escape()), so "Tom's" is "Tom&#x27;s".
+// Decoded in one pass before indexing, so the words are the ones the uploader typed.
+const HTML_ENTITIES = {
+  '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': "'", '&#39;': "'",
+  '&#x2F;': '/', '&#x5C;': '\\', '&#96;': '`',
+};
+const unescapeHtml = (text) =>
+  String(text || '').replace(/&(?:amp|lt|gt|quot|#x27|#39|#x2F|#x5C|#96);/g, entity => HTML_ENTITIES[entity]);
+
+// Lowercase with accents folded ("Café" -> "cafe").
+const normalizeText = (text) =>
+  String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const splitWords = (text) => normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Index / query terms of a text: its words without stopwords ("#Neon_City at night" -> ["neon", "city", "night"]).
+const tokenize = (text) => splitWords(text).filter(word => !STOPWORDS.has(word));
+
+// Typos tolerated in a query word: none for short words, one up to 7 letters, two beyond.
+const maxTypos = (word) => (word.length < 4 ? 0 : word.length < 8 ? 1 : 2);
+
+/**
+ * Optimal string alignment distance between two words (insertions, deletions, substitutions and swaps of
+ * adjacent letters), or max + 1 as soon as it's known to exceed max.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+};
+
+// ----------------------------------------------------------------------------
+// Index structure
+
+const createIndex = () => ({
+  documents: new Map(),     // wallpaper id -> document (see toDocument)
+  postings: new Map(),      // term -> Map(wallpaper id -> { field: term frequency })
+  termsByLength: new Map(), // term length -> Set(term), for typo candidates
+  sortedTerms: null,        // Sorted vocabulary for prefix lookups, rebuilt lazily after the vocabulary changes
+  fieldLengths: Object.fromEntries(FIELDS.map(field => [field, 0])), // Total terms per field, for average lengths
+  // Suggestion type -> Map(key -> { label, count }): names (user ids for creators) and their published wallpapers.
+  suggestions: Object.fromEntries(SUGGESTION_TYPES.map(type => [type, new Map()])),
+  suggestionKeys: null,     // Sorted suggestion lookup keys, rebuilt lazily after names change (see buildSuggestionKeys)
+});
+
+const toDocument = (wallpaper, { username, categories, styles, hashtags }) => ({
+  id: wallpaper.id,
+  user_id: wallpaper.user_id,
+  published_time: Date.parse(wallpaper.published_at || wallpaper.created_at) || 0,
+  // Filter / sort attributes (see FILTERS and SORT_KEYS).
+  orientation: wallpaper.orientation || null,
+  short_side: Math.min(wallpaper.width || 0, wallpaper.height || 0),
+  color: getColorFamily((wallpaper.dominant_colors || [])[0]), // The most common color
+  categories: categories.map(name => name.toLowerCase().trim()),
+  styles: styles.map(name => name.toLowerCase().trim()),
+  hashtags: hashtags.map(name => name.toLowerCase().trim()),
+  username: username || null,
+  like_count: wallpaper.like_count || 0,
+  download_count: wallpaper.download_count || 0,
+  fields: {
+    title: tokenize(unescapeHtml(wallpaper.title)),
+    description: tokenize(unescapeHtml(wallpaper.description)),
+    hashtags: tokenize(hashtags.join(' ')),
+    categories: tokenize(categories.join(' ')),
+    styles: tokenize(styles.join(' ')),
+    username: tokenize(username),
+  },
+});
+
+// Add (delta 1) or remove (delta -1) a document's hashtags, categories, styles and creator in the suggestion counts.
+const countSuggestions = (index, doc, delta) => {
+  const sources = [
+    ...[...new Set(doc.hashtags)].map(name => ['hashtag', name, name]),
+    ...[...new Set(doc.categories)].map(name => ['category', name, name]),
+    ...[...new Set(doc.styles)].map(name => ['style', name, name]),
+    ...(doc.username ? [['creator', doc.user_id, doc.username]] : []),
+  ];
+  for (const [type, key, label] of sources) {
+    const entries = index.suggestions[type];
+    const entry = entries.get(key) || { label, count: 0 };
+    if (delta > 0 && entry.label !== label) {
+      entry.label = label; // A creator's new username
+      index.suggestionKeys = null;
+    }
+    entry.count += delta;
+    if (entry.count > 0 && !entries.has(key)) {
+      entries.set(key, entry);
+      index.suggestionKeys = null;
+    } else if (entry.count <= 0 && entries.delete(key)) {
+      index.suggestionKeys = null;
+    }
+  }
+};
+
+const removeDocument = (index, id) => {
+  const doc = index.documents.get(id);
+  if (!doc) return;
+  index.documents.delete(id);
+  countSuggestions(index, doc, -1);
+  for (const field of FIELDS) {
+    index.fieldLengths[field] -= doc.fields[field].length;
+    for (const term of doc.fields[field]) {
+      const posting = index.postings.get(term);
+      if (!posting || !posting.delete(id) || posting.size > 0) continue;
+      index.postings.delete(term);
+      index.termsByLength.get(term.length).delete(term);
+      index.sortedTerms = null;
+    }
+  }
+};
+
+// Add a document, replacing the wallpaper's previous one.
+const addDocument = (index, doc) => {
+  removeDocument(index, doc.id);
+  index.documents.set(doc.id, doc);
+  countSuggestions(index, doc, 1);
+  for (const field of FIELDS) {
+    index.fieldLengths[field] += doc.fields[field].length;
+    for (const term of doc.fields[field]) {
+      let posting = index.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        index.postings.set(term, posting);
+        if (!index.termsByLength.has(term.length)) index.termsByLength.set(term.length, new Set());
+        index.termsByLength.get(term.length).add(term);
+        index.sortedTerms = null;
+      }
+      const frequencies = posting.get(doc.id) || {};
+      frequencies[field] = (frequencies[field] || 0) + 1;
+      posting.set(doc.id, frequencies);
+    }
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Ranking
+
+const documentFrequency = (index, term) => index.postings.get(term).size;
+
+const inverseDocumentFrequency = (index, term) => {
+  const df = documentFrequency(index, term);
+  return Math.log(1 + (index.documents.size - df + 0.5) / (df + 0.5));
+};
+
+// Field-weighted term frequency of a document, each field normalised by its length against the average (BM25F).
+const weightedFrequency = (index, doc, frequencies) => {
+  let total = 0;
+  for (const [field, tf] of Object.entries(frequencies)) {
+    const averageLength = index.fieldLengths[field] / index.documents.size || 1;
+    total += FIELD_WEIGHTS[field] * tf / (1 - BM25_B + BM25_B * doc.fields[field].length / averageLength);
+  }
+  return total;
+};
+
+// The `limit` terms in most documents (ties alphabetically, so expansions are deterministic).
+const mostCommonTerms = (index, terms, limit) =>
+  terms
+    .sort((a, b) => documentFrequency(index, b) - documentFrequency(index, a) || (a < b ? -1 : 1))
+    .slice(0, limit);
+
+// Position of the first sorted entry whose key (keyOf) is not below value.
+const lowerBound = (sorted, value, keyOf = entry => entry) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (keyOf(sorted[middle]) < value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+const termsWithPrefix = (index, prefix) => {
+  if (!index.sortedTerms) index.sortedTerms = [...index.postings.keys()].sort();
+  const terms = index.sortedTerms;
+  const matches = [];
+  for (let i = lowerBound(terms, prefix); i < terms.length && terms[i].startsWith(prefix); i++) matches.push(terms[i]);
+  return matches;
+};
+
+/**
+ * Index terms a query word matches, as [{ term, weight }]: the word itself, longer words starting with it (for the
+ * word being typed) and, when neither is in the index, words within a couple of typos.
+ */
+const expandQueryWord = (index, word, isPrefix) => {
+  const matches = [];
+  if (index.postings.has(word)) {
+    matches.push({ term: word, weight: 1 });
+  }
+  if (isPrefix) {
+    const longer = termsWithPrefix(index, word).filter(term => term !== word);
+    for (const term of mostCommonTerms(index, longer, MAX_TERM_EXPANSIONS)) {
+      matches.push({ term, weight: PREFIX_MATCH_WEIGHT });
+    }
+  }
+  if (matches.length > 0) return matches;
+
+  const maxDistance = maxTypos(word);
+  const byDistance = [[], [], []];
+  for (let length = word.length - maxDistance; length <= word.length + maxDistance; length++) {
+    for (const term of index.termsByLength.get(length) || []) {
+      const distance = editDistance(word, term, maxDistance);
+      if (distance <= maxDistance) byDistance[distance].push(term);
+    }
+  }
+  // Closest spellings first, then the most common ones.
+  const candidates = byDistance.flatMap((terms, distance) =>
+    mostCommonTerms(index, terms, MAX_TERM_EXPANSIONS).map(term => ({ term, weight: TYPO_MATCH_WEIGHTS[distance] }))
+  );
+  return candidates.slice(0, MAX_TERM_EXPANSIONS);
+};
+
+// ----------------------------------------------------------------------------
+// Filters, sorting and facets
+
+// Search filters by name: whether a document passes the filter value (validated by the caller).
+const FILTERS = {
+  orientation: (doc, orientation) => doc.orientation === orientation,
+  min_resolution: (doc, pixels) => doc.short_side >= pixels, // Shorter side, so "1440p" fits portrait and landscape
+  color: (doc, color) => doc.color === color,
+  category: (doc, names) => names.some(name => doc.categories.includes(name)),
+  style: (doc, names) => names.some(name => doc.styles.includes(name)),
+  published_since: (doc, time) => doc.published_time >= time,
+};
+
+// Facets counted for the UI's filter chips, each over the results with every other filter applied.
+const FACETS = {
+  category: doc => doc.categories,
+  style: doc => doc.styles,
+  orientation: doc => (doc.orientation ? [doc.orientation] : []),
+};
+
+// Primary key of each sort option; ties fall back to relevance, then newest, then id.
+const SORT_KEYS = {
+  relevance: result => result.score,
+  newest: result => result.time,
+  likes: result => result.like_count,
+  downloads: result => result.download_count,
+};
+const SEARCH_SORTS = Object.keys(SORT_KEYS);
+
+// Result order (all keys descending), so equal keys never swap between pages.
+const compareResults = (sort) => {
+  const key = SORT_KEYS[sort];
+  return (a, b) => {
+    if (key(a) !== key(b)) return key(b) - key(a);
+    if (a.score !== b.score) return b.score - a.score;
+    if (a.time !== b.time) return b.time - a.time;
+    return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+  };
+};
+
+/**
+ * Apply the filters to the matching documents and count the facets.
+ * Returns { results, facets: { facet: [{ value, count }] } }.
+ */
+const filterResults = (index, matches, filters) => {
+  const active = Object.keys(FILTERS).filter(name => filters[name] !== undefined && filters[name] !== null);
+  const counts = Object.fromEntries(Object.keys(FACETS).map(facet => [facet, new Map()]));
+  const results = [];
+
+  for (const result of matches) {
+    const doc = index.documents.get(result.id);
+    const failed = active.filter(name => !FILTERS[name](doc, filters[name]));
+    if (failed.length === 0) results.push(result);
+    for (const [facet, values] of Object.entries(FACETS)) {
+      // A facet's counts ignore its own filter, so the UI can show the other choices.
+      if (failed.length > (failed.includes(facet) ? 1 : 0)) continue;
+      for (const value of new Set(values(doc))) {
+        counts[facet].set(value, (counts[facet].get(value) || 0) + 1);
+      }
+    }
+  }
+
+  const facets = {};
+  for (const [facet, valueCounts] of Object.entries(counts)) {
+    facets[facet] = [...valueCounts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || (a.value < b.value ? -1 : 1))
+      .slice(0, FACET_LIMIT);
+  }
+  return { results, facets };
+};
+
+// Every document matching the query, as [{ id, score, time, like_count, download_count }] (unordered).
+const rankDocuments = (index, query, excludeUserIds) => {
+  const words = [...new Set(tokenize(query))];
+  // The last word is still being typed unless the query ends with a space or punctuation.
+  const rawWords = splitWords(query);
+  const typingLastWord = /[\p{L}\p{N}]$/u.test(query) && rawWords[rawWords.length - 1] === words[words.length - 1];
+
+  const scores = new Map();
+  words.forEach((word, position) => {
+    const isPrefix = typingLastWord && position === words.length - 1 && word.length >= MIN_QUERY_LENGTH;
+    // A document scores its best matching term per query word (a word and its expansions don't add up).
+    const best = new Map();
+    for (const { term, weight } of expandQueryWord(index, word, isPrefix)) {
+      const idf = inverseDocumentFrequency(index, term);
+      for (const [id, frequencies] of index.postings.get(term)) {
+        const tf = weightedFrequency(index, index.documents.get(id), frequencies);
+        const score = weight * idf * tf * (BM25_K1 + 1) / (BM25_K1 + tf);
+        if (score > (best.get(id) || 0)) best.set(id, score);
+      }
+    }
+    for (const [id, score] of best) {
+      scores.set(id, (scores.get(id) || 0) + score);
+    }
+  });
+
+  const results = [];
+  for (const [id, score] of scores) {
+    const doc = index.documents.get(id);
+    if (excludeUserIds.has(doc.user_id)) continue;
+    results.push({
+      id,
+      score,
+      time: doc.published_time,
+      like_count: doc.like_count,
+      download_count: doc.download_count
+    });
+  }
+  return results;
+};
+
+const encodeCursor = (sort, result) =>
+  Buffer.from(JSON.stringify({
+    o: sort,
+    s: result.score,
+    t: result.time,
+    l: result.like_count,
+    d: result.download_count,
+    i: result.id
+  })).toString('base64url');
+
+// Returns { sort, score, time, like_count, download_count, id } or null when the cursor is malformed.
+const decodeSearchCursor = (cursor) => {
+  try {
+    const { o, s, t, l, d, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!SEARCH_SORTS.includes(o) || ![s, t, l, d].every(Number.isFinite)) return null;
+    if (typeof i !== 'string' || !/^[0-9a-f-]{36}$/i.test(i)) return null;
+    return { sort: o, score: s, time: t, like_count: l, download_count: d, id: i };
+  } catch (err) {
+    return null;
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Loading and keeping the index current
+
+let currentIndex = null;
+let rebuildPromise = null;
+let pendingChanges = null; // Changes made while a rebuild loads; replayed on the new index (its rows may predate them)
+
+const applyChange = (change) => {
+  if (currentIndex) change(currentIndex);
+  if (pendingChanges) pendingChanges.push(change);
+};
+
+// All rows of a table, LOAD_PAGE_SIZE at a time in a stable order.
+const fetchAllRows = async (table, columns, orderColumns, scope = query => query) => {
+  const rows = [];
+  for (let from = 0; ; from += LOAD_PAGE_SIZE) {
+    let query = scope(supabaseAdmin.from(table).select(columns));
+    for (const column of orderColumns) query = query.order(column, { ascending: true });
+    const { data, error } = await query.range(from, from + LOAD_PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(`Error loading ${table} for the search index: ` + error.message);
+    }
+    rows.push(...data);
+    if (data.length < LOAD_PAGE_SIZE) return rows;
+  }
+};
+
+// Map of wallpaper id -> linked names, from junction rows with the name embedded under `table`.
+const groupNames = (rows, table) => {
+  const names = new Map();
+  for (const row of rows) {
+    if (!row[table] || !row[table].name) continue;
+    if (!names.has(row.wallpaper_id)) names.set(row.wallpaper_id, []);
+    names.get(row.wallpaper_id).push(row[table].name);
+  }
+  return names;
+};
+
+const loadIndex = async () => {
+  const [wallpapers, categoryLinks, styleLinks, hashtagLinks, profiles] = await Promise.all([
+    fetchAllRows('wallpapers', DOCUMENT_COLUMNS, ['id'], query => query.eq('status', 'published')),
+    fetchAllRows('wallpaper_categories', 'wallpaper_id, category_id, categories(name)', ['wallpaper_id', 'category_id']),
+    fetchAllRows('wallpaper_styles', 'wallpaper_id, style_id, styles(name)', ['wallpaper_id', 'style_id']),
+    fetchAllRows('wallpaper_hashtags', 'wallpaper_id, hashtag_id, hashtags(name)', ['wallpaper_id', 'hashtag_id']),
+    fetchAllRows('profiles', 'user_id, username', ['user_id']),
+  ]);
+  const categories = groupNames(categoryLinks, 'categories');
+  const styles = groupNames(styleLinks, 'styles');
+  const hashtags = groupNames(hashtagLinks, 'hashtags');
+  const usernames = new Map(profiles.map(profile => [profile.user_id, profile.username]));
+
+  const index = createIndex();
+  for (const wallpaper of wallpapers) {
+    addDocument(index, toDocument(wallpaper, {
+      username: usernames.get(wallpaper.user_id),
+      categories: categories.get(wallpaper.id) || [],
+      styles: styles.get(wallpaper.id) || [],
+      hashtags: hashtags.get(wallpaper.id) || [],
+    }));
+  }
+  return index;
+};
+
+/**
+ * Load a fresh index from the database and swap it in. Concurrent calls share one load.
+ * Resolves with the new index; on failure the previous index stays in use.
+ */
+const rebuildSearchIndex = () => {
+  if (!rebuildPromise) {
+    pendingChanges = [];
+    rebuildPromise = loadIndex()
+      .then((index) => {
+        for (const change of pendingChanges) change(index);
+        currentIndex = index;
+        return index;
+      })
+      .finally(() => {
+        pendingChanges = null;
+        rebuildPromise = null;
+      });
+  }
+  return rebuildPromise;
+};
+
+// The index, waiting for the first load if it hasn't finished yet.
+const getSearchIndex = () => (currentIndex ? Promise.resolve(currentIndex) : rebuildSearchIndex());
+
+/**
+ * Bring a wallpaper's document up to date after it was uploaded, edited, published or deleted: indexed while it's
+ * published, dropped otherwise. Never throws; on failure the next rebuild catches up.
+ */
+const syncWallpaperInSearchIndex = async (wallpaperId) => {
+  try {
+    const { data: wallpaper, error } = await supabaseAdmin
+      .from('wallpapers')
+      .select(DOCUMENT_COLUMNS)
+      .eq('id', wallpaperId)
+      .maybeSingle();
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!wallpaper || wallpaper.status !== 'published') {
+      applyChange(index => removeDocument(index, wallpaperId));
+      return;
+    }
+
+    const [taxonomy, { data: profile }] = await Promise.all([
+      getWallpaperTaxonomy(wallpaperId),
+      supabaseAdmin.from('profiles').select('username').eq('user_id', wallpaper.user_id).maybeSingle(),
+    ]);
+    const names = rows => rows.map(row => row.name).filter(Boolean);
+    const doc = toDocument(wallpaper, {
+      username: profile ? profile.username : null,
+      categories: names(taxonomy.categories),
+      styles: names(taxonomy.styles),
+      hashtags: names(taxonomy.hashtags),
+    });
+    applyChange(index => addDocument(index, doc));
+  } catch (err) {
+    console.error(`Error updating search index for wallpaper ${wallpaperId}:`, err.message);
+  }
+};
+
+const removeWallpaperFromSearchIndex = (wallpaperId) => {
+  applyChange(index => removeDocument(index, wallpaperId));
+};
+
+// Keep the like / download counts used for sorting current (counts: any of COUNT_COLUMNS).
+const updateSearchIndexCounts = (wallpaperId, counts) => {
+  applyChange((index) => {
+    const doc = index.documents.get(wallpaperId);
+    if (!doc) return;
+    for (const column of COUNT_COLUMNS) {
+      if (counts[column] !== undefined) doc[column] = counts[column];
+    }
+  });
+};
+
+// Re-index a user's wallpapers under their new username.
+const renameUserInSearchIndex = (userId, username) => {
+  applyChange((index) => {
+    for (const doc of [...index.documents.values()]) {
+      if (doc.user_id !== userId) continue;
+      addDocument(index, { ...doc, username, fields: { ...doc.fields, username: tokenize(username) } });
+    }
+  });
+};
+
+/**
+ * One page of wallpaper ids matching the query, in `sort` order (one of SEARCH_SORTS).
+ * Pages by offset, or by the cursor (decodeSearchCursor of a previous next_cursor, same sort) when given.
+ * filters: values by FILTERS name (missing ones don't filter). excludeUserIds: uploaders left out (blocked / muted users).
+ * Returns { ids, total, next_cursor (null on the last page), facets }.
+ */
+const searchWallpaperIds = async (query, {
+  offset = 0,
+  limit,
+  cursor = null,
+  filters = {},
+  sort = 'relevance',
+  excludeUserIds = new Set()
+}) => {
+  const index = await getSearchIndex();
+  const { results, facets } = filterResults(index, rankDocuments(index, query, excludeUserIds), filters);
+  const compare = compareResults(sort);
+  results.sort(compare);
+
+  let start = offset;
+  if (cursor) {
+    start = results.findIndex(result => compare(result, cursor) > 0);
+    if (start === -1) start = results.length;
+  }
+  const page = results.slice(start, start + limit);
+  return {
+    ids: page.map(result => result.id),
+    total: results.length,
+    next_cursor: start + limit < results.length ? encodeCursor(sort, page[page.length - 1]) : null,
+    facets
+  };
+};
+
+// ----------------------------------------------------------------------------
+// Suggestions
+
+/**
+ * Sorted lookup keys [key, type, id, isStart] for every suggestion: its normalised name from each word on, so "pixel art"
+ * is found by "pi" and by "ar" (isStart: the key is the whole name).
+ */
+const buildSuggestionKeys = (index) => {
+  const keys = [];
+  for (const type of SUGGESTION_TYPES) {
+    for (const [id, entry] of index.suggestions[type]) {
+      const name = normalizeText(entry.label);
+      const words = /[\p{L}\p{N}]+/gu;
+      let match;
+      let isStart = true;
+      while ((match = words.exec(name))) {
+        keys.push([name.slice(match.index), type, id, isStart]);
+        isStart = false;
+      }
+    }
+  }
+  return keys.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+};
+
+/**
+ * Hashtags, categories, styles and creators matching what was typed so far, for each of `types`, at most `limit`
+ * per type: names starting with the text first, then names with a later word starting with it, the most used first.
+ * excludeUserIds: creators left out. Returns { type: [{ name, count }] } ({ user_id, username, count } for creators).
+ */
+const suggestFromIndex = async (text, types, limit, excludeUserIds = new Set()) => {
+  const index = await getSearchIndex();
+  const prefix = normalizeText(text).replace(/\s+/g, ' ').replace(/^[^\p{L}\p{N}]+/u, '').trimEnd();
+  const matches = Object.fromEntries(types.map(type => [type, new Map()])); // id -> isStart
+
+  if (prefix) {
+    if (!index.suggestionKeys) index.suggestionKeys = buildSuggestionKeys(index);
+    const keys = index.suggestionKeys;
+    for (let i = lowerBound(keys, prefix, key => key[0]); i < keys.length && keys[i][0].startsWith(prefix); i++) {
+      const [, type, id, isStart] = keys[i];
+      if (!matches[type] || (type === 'creator' && excludeUserIds.has(id))) continue;
+      if (isStart || !matches[type].has(id)) matches[type].set(id, isStart);
+    }
+  }
+
+  const suggestions = {};
+  for (const type of types) {
+    suggestions[type] = [...matches[type]]
+      .map(([id, isStart]) => ({ id, isStart, ...index.suggestions[type].get(id) }))
+      .sort((a, b) => (b.isStart - a.isStart) || (b.count - a.count) || (a.label < b.label ? -1 : 1))
+      .slice(0, limit)
+      .map(entry => (type === 'creator'
+        ? { user_id: entry.id, username: entry.label, count: entry.count }
+        : { name: entry.label, count: entry.count }));
+  }
+  return suggestions;
+};
+
+module.exports = {
+  MIN_QUERY_LENGTH,
+  SEARCH_SORTS,
+  SUGGESTION_TYPES,
+  normalizeText,
+  tokenize,
+  decodeSearchCursor,
+  rebuildSearchIndex,
+  syncWallpaperInSearchIndex,
+  removeWallpaperFromSearchIndex,
+  updateSearchIndexCounts,
+  renameUserInSearchIndex,
+  searchWallpaperIds,
+  suggestFromIndex,
+};
@@ -0,0 +1,23 @@
+// searchIndexRebuilder.js
+// Builds the search index (see searchIndex.js) on startup and rebuilds it from the database periodically, which
+// picks up changes made outside this process (other instances, edits made directly in the database).
+const { rebuildSearchIndex } = require('./searchIndex');
+
+const REBUILD_INTERVAL_MS = 15 * 60 * 1000;
+
+const runSearchIndexRebuild = async () => {
+  try {
+    const index = await rebuildSearchIndex();
+    console.log(`SearchIndexRebuilder: Indexed ${index.documents.size} published wallpaper(s).`);
+  } catch (err) {
+    console.error("Error in runSearchIndexRebuild:", err.message);
+  }
+};
+
+console.log("SearchIndexRebuilder: Building the search index on startup.");
+runSearchIndexRebuild();
+setInterval(runSearchIndexRebuild, REBUILD_INTERVAL_MS);
+
+console.log("SearchIndexRebuilder: Rebuilds set up successfully.");
+
+module.exports = { runSearchIndexRebuild };
@@ -0,0 +1,130 @@
+// searchSuggestions.js
+// Typeahead for the search box (/api/search/suggest): hashtags, categories, styles and creators from the search
+// index (searchIndex.js) plus popular past queries. Everything is answered from memory so it can run on every
+// keystroke; searches are counted in "search_queries" and the popular ones cached here for a few minutes.
+// A query is only suggested once enough different users searched for it, so nobody can plant text in everyone's
+// suggestions by repeating a search.
+const { supabaseAdmin } = require('../supabaseClient');
+const { normalizeText, suggestFromIndex } = require('./searchIndex');
+
+// Response groups -> suggestion type.
+const SUGGESTION_GROUPS = {
+  queries: 'query',
+  hashtags: 'hashtag',
+  categories: 'category',
+  styles: 'style',
+  creators: 'creator',
+};
+
+const POPULAR_QUERIES_LIMIT = 5000;
+const POPULAR_QUERIES_TTL_MS = 10 * 60 * 1000;
+const POPULAR_QUERY_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000; // Queries nobody searched for in 90 days drop out
+const MIN_QUERY_USERS = 3; // Suggested once this many users searched for it (keeps typos and personal text out)
+const MAX_QUERY_LENGTH = 100;
+
+// Lowercase, accents folded, single spaces: the form queries are counted and matched in.
+const normalizeQuery = (query) => normalizeText(query).replace(/\s+/g, ' ').trim();
+
+let popularQueries = new Map(); // query -> search count, only queries searched by MIN_QUERY_USERS users
+let popularQueriesReady = false; // Loaded at least once
+let popularQueriesLoadedAt = 0;
+let popularQueriesLoading = null;
+
+const loadPopularQueries = async () => {
+  const { data, error } = await supabaseAdmin
+    .from('search_queries')
+    .select('query, search_count')
+    .gt('result_count', 0)
+    .gte('user_count', MIN_QUERY_USERS)
+    .gte('last_searched_at', new Date(Date.now() - POPULAR_QUERY_MAX_AGE_MS).toISOString())
+    .order('search_count', { ascending: false })
+    .limit(POPULAR_QUERIES_LIMIT);
+  if (error) {
+    throw new Error('Error loading popular search queries: ' + error.message);
+  }
+  popularQueries = new Map(data.map(row => [row.query, row.search_count]));
+  popularQueriesReady = true;
+};
+
+// The cached popular queries. A stale cache is refreshed in the background; only the first load is waited for.
+const getPopularQueries = async () => {
+  if (Date.now() - popularQueriesLoadedAt > POPULAR_QUERIES_TTL_MS && !popularQueriesLoading) {
+    popularQueriesLoadedAt = Date.now(); // A failed load is retried after the TTL as well
+    popularQueriesLoading = loadPopularQueries()
+      .catch(err => console.error(err.message))
+      .finally(() => {
+        popularQueriesLoading = null;
+      });
+  }
+  if (!popularQueriesReady && popularQueriesLoading) {
+    await popularQueriesLoading;
+  }
+  return popularQueries;
+};
+
+/**
+ * Count a search by a user (called for the first page of searches that found something). Never throws.
+ */
+const recordSearchQuery = async (query, userId, resultCount) => {
+  const normalized = normalizeQuery(query);
+  if (!userId || normalized.length < 2 || normalized.length > MAX_QUERY_LENGTH) return;
+  try {
+    const { error } = await supabaseAdmin.rpc('record_search_query', {
+      p_query: normalized,
+      p_user_id: userId,
+      p_result_count: resultCount
+    });
+    if (error) {
+      throw new Error(error.message);
+    }
+    // New queries only show up once the next load sees enough users behind them.
+    if (popularQueries.has(normalized)) {
+      popularQueries.set(normalized, popularQueries.get(normalized) + 1);
+    }
+  } catch (err) {
+    console.error('Error recording search query:', err.message);
+  }
+};
+
+// Popular queries starting with the text (or with a later word starting with it), most searched first.
+const suggestQueries = async (text, limit) => {
+  const prefix = normalizeQuery(text).replace(/^[^\p{L}\p{N}]+/u, ''); // "#neo" -> "neo"
+  if (!prefix) return [];
+  const matches = [];
+  for (const [query, count] of await getPopularQueries()) {
+    const isStart = query.startsWith(prefix);
+    if (isStart || query.includes(' ' + prefix)) {
+      matches.push({ text: query, count, isStart });
+    }
+  }
+  return matches
+    .sort((a, b) => (b.isStart - a.isStart) || (b.count - a.count) || (a.text < b.text ? -1 : 1))
+    .slice(0, limit)
+    .map(({ text: query, count }) => ({ text: query, count }));
+};
+
+/**
+ * Suggestions for what has been typed so far, for each of `groups` (keys of SUGGESTION_GROUPS), at most `limit` each.
+ * hiddenUserIds: creators left out (blocked / muted users).
+ * Returns { queries: [{ text, count }], hashtags / categories / styles: [{ name, count }],
+ *   creators: [{ user_id, username, count }] } - counts are searches for queries, published wallpapers otherwise.
+ */
+const getSearchSuggestions = async (text, { limit, groups, hiddenUserIds }) => {
+  const indexGroups = groups.filter(group => group !== 'queries');
+  const [fromIndex, queries] = await Promise.all([
+    suggestFromIndex(text, indexGroups.map(group => SUGGESTION_GROUPS[group]), limit, hiddenUserIds),
+    groups.includes('queries') ? suggestQueries(text, limit) : Promise.resolve(null),
+  ]);
+
+  const suggestions = {};
+  for (const group of groups) {
+    suggestions[group] = group === 'queries' ? queries : fromIndex[SUGGESTION_GROUPS[group]];
+  }
+  return suggestions;
+};
+
+module.exports = {
+  SUGGESTION_GROUPS,
+  recordSearchQuery,
+  getSearchSuggestions,
+};
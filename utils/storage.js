@@ -0,0 +1,43 @@
+// storage.js
+const { supabaseAdmin } = require('../supabaseClient');
+
+const STORAGE_BUCKET = 'images';
+const PUBLIC_PATH_MARKER = `/storage/v1/object/public/${STORAGE_BUCKET}/`;
+
+// Helper: Derive the storage file path from a public image URL.
+// e.g. "https://<project-ref>.supabase.co/storage/v1/object/public/images/wallpapers/filename.jpg"
+// becomes "wallpapers/filename.jpg". Returns null when the URL has an unexpected format.
+const getStoragePathFromUrl = (imageUrl) => {
+  if (!imageUrl) return null;
+  const parts = imageUrl.split(PUBLIC_PATH_MARKER);
+  if (parts.length < 2 || !parts[1]) return null;
+  let filePath = parts[1];
+  // Remove a leading slash if present.
+  if (filePath.startsWith('/')) {
+    filePath = filePath.substring(1);
+  }
+  return filePath;
+};
+
+// Helper: Remove the file behind a public image URL from Supabase Storage.
+// A missing file (404) is treated as already removed.
+const removeImageFromStorage = async (imageUrl) => {
+  const filePath = getStoragePathFromUrl(imageUrl);
+  if (!filePath) {
+    throw new Error('Unable to derive file path from image URL.');
+  }
+
+  const { error } = await supabaseAdmin.storage
+    .from(STORAGE_BUCKET)
+    .remove([filePath]);
+
+  if (error) {
+    if (error.status === 404) {
+      console.warn(`Image file not found in storage (404): ${filePath}`);
+      return;
+    }
+    throw new Error('Failed to delete image file from storage: ' + error.message);
+  }
+};
+
+module.exports = { STORAGE_BUCKET, getStoragePathFromUrl, removeImageFromStorage };
@@ -0,0 +1,140 @@
+// totp.js
+// Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30 second steps) and recovery codes
+// for two-factor authentication. Compatible with Google Authenticator, Authy, 1Password, ...
+const crypto = require('crypto');
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_ALLOWED_DRIFT = 1; // Accept codes from one step before / after the current one
+const TOTP_ISSUER = 'PixalPedia';
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a new random 160-bit secret (base32 encoded, as expected by authenticator apps).
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Compute the TOTP code for a given time step counter.
+const generateTotpCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % Math.pow(10, TOTP_DIGITS);
+  return String(binary).padStart(TOTP_DIGITS, '0');
+};
+
+const getCurrentCounter = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Verify a TOTP code against the secret.
+ * Returns the matching time step counter (store it to reject replays of the same code),
+ * or null if the code is not valid. Codes for a counter <= lastUsedCounter are rejected.
+ */
+const verifyTotpCode = (secret, code, lastUsedCounter = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentCounter = getCurrentCounter();
+  for (let drift = -TOTP_ALLOWED_DRIFT; drift <= TOTP_ALLOWED_DRIFT; drift++) {
+    const counter = currentCounter + drift;
+    if (lastUsedCounter !== null && counter <= Number(lastUsedCounter)) continue;
+    const expected = generateTotpCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI for QR codes / manual entry in authenticator apps.
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+// --- Secret encryption at rest (AES-256-GCM) ---
+const getEncryptionKey = () => {
+  const keyMaterial = process.env.TOTP_ENCRYPTION_KEY || process.env.USER_TOKEN_SECRET;
+  if (!keyMaterial) {
+    throw new Error('TOTP_ENCRYPTION_KEY (or USER_TOKEN_SECRET) is not set in environment variables');
+  }
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+const encryptTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptTotpSecret = (payload) => {
+  const [iv, authTag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// --- Recovery codes ---
+// Codes look like "a1b2c-3d4e5"; only SHA-256 hashes are stored.
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateTotpCode,
+  verifyTotpCode,
+  buildOtpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
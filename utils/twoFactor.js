@@ -0,0 +1,113 @@
+// twoFactor.js
+// Database helpers for TOTP two-factor authentication (user_two_factor table).
+const { supabaseAdmin } = require('../supabaseClient');
+const {
+  verifyTotpCode,
+  decryptTotpSecret,
+  hashRecoveryCode,
+} = require('./totp');
+
+// Fetch the user's 2FA record (enabled or pending enrollment), or null.
+const getTwoFactorRecord = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_two_factor')
+    .select('user_id, secret_encrypted, enabled, enabled_at, last_used_counter, recovery_codes')
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) {
+    console.error('Error fetching two-factor record:', error.message);
+    throw new Error('Error fetching two-factor settings.');
+  }
+  return data;
+};
+
+const TWO_FACTOR_MAX_FAILURES = 5;   // Wrong codes in a row (logins and 2FA settings together) before the lock
+const TWO_FACTOR_LOCK_MINUTES = 30;
+
+/**
+ * Count an attempt against the user's second-factor failures (and the login challenge, when given) *before*
+ * the code is checked, atomically, so parallel guesses can't slip past the caps. A successful attempt clears
+ * the count again (resetTwoFactorFailures).
+ * Returns { result: 'ok' | 'invalid' | 'locked', attempts_remaining, lock_expires_at };
+ * 'invalid' means the challenge is used up.
+ */
+const claimTwoFactorAttempt = async (userId, { challengeId = null, maxChallengeAttempts = null } = {}) => {
+  const { data, error } = await supabaseAdmin.rpc('claim_two_factor_attempt', {
+    p_user_id: userId,
+    p_challenge_id: challengeId,
+    p_max_attempts: maxChallengeAttempts,
+    p_max_failures: TWO_FACTOR_MAX_FAILURES,
+    p_lock_minutes: TWO_FACTOR_LOCK_MINUTES
+  });
+  if (error) {
+    console.error('Error counting two-factor attempt:', error.message);
+    throw new Error('Error counting two-factor attempt.');
+  }
+  return data[0];
+};
+
+// Clear the user's second-factor failures after a correct code.
+const resetTwoFactorFailures = async (userId) => {
+  const { error } = await supabaseAdmin
+    .from('user_two_factor')
+    .update({ failed_attempts: 0, locked_until: null })
+    .eq('user_id', userId);
+  if (error) {
+    console.error('Error resetting two-factor failures:', error.message);
+  }
+};
+
+const isTwoFactorEnabled = async (userId) => {
+  const record = await getTwoFactorRecord(userId);
+  return Boolean(record && record.enabled);
+};
+
+/**
+ * Check a second factor for a user: either a TOTP `code` or a one-time `recoveryCode`.
+ * A used TOTP step is remembered (no replay) and a used recovery code is removed.
+ * Returns { valid: boolean, method: 'totp' | 'recovery_code' | null }.
+ */
+const verifySecondFactor = async (record, { code, recoveryCode }) => {
+  if (code) {
+    const counter = verifyTotpCode(decryptTotpSecret(record.secret_encrypted), code, record.last_used_counter);
+    if (counter === null) return { valid: false, method: null };
+
+    // Only moves the counter forward, so the same step can't be accepted twice by parallel requests
+    const { data, error } = await supabaseAdmin
+      .from('user_two_factor')
+      .update({ last_used_counter: counter, updated_at: new Date().toISOString() })
+      .eq('user_id', record.user_id)
+      .or(`last_used_counter.is.null,last_used_counter.lt.${counter}`)
+      .select('user_id');
+    if (error) {
+      console.error('Error storing used TOTP step:', error.message);
+      return { valid: false, method: null };
+    }
+    if (!data || data.length === 0) return { valid: false, method: null };
+    return { valid: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    // Removed in one statement only if still present, so a code can't be used twice by parallel requests
+    const { data, error } = await supabaseAdmin.rpc('use_recovery_code', {
+      p_user_id: record.user_id,
+      p_code_hash: hashRecoveryCode(recoveryCode)
+    });
+    if (error) {
+      console.error('Error consuming recovery code:', error.message);
+      return { valid: false, method: null };
+    }
+    if (data !== true) return { valid: false, method: null };
+    return { valid: true, method: 'recovery_code' };
+  }
+
+  return { valid: false, method: null };
+};
+
+module.exports = {
+  getTwoFactorRecord,
+  isTwoFactorEnabled,
+  claimTwoFactorAttempt,
+  resetTwoFactorFailures,
+  verifySecondFactor,
+};
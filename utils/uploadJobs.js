@@ -0,0 +1,393 @@
+// uploadJobs.js
+// Background processing of wallpaper uploads. Uploads are accepted right away as an "upload_jobs" row plus
+// the image bytes in the private UPLOAD_JOBS_BUCKET storage bucket, so the worker (uploadWorker.js) of any
+// instance can run them through the wallpaper pipeline. Failed attempts are retried with exponential backoff;
+// jobs that keep failing end up as "failed" (the dead-letter list) until an admin retries them, and their
+// bytes are deleted after DEAD_LETTER_RETENTION_MS.
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { supabaseAdmin } = require('../supabaseClient');
+const { processWallpaperUpload } = require('./wallpaperPipeline');
+const { publishToUser } = require('./realtime');
+const { UPLOAD_DAILY_QUOTA, QUOTA_WINDOW_MS } = require('./uploadQuota');
+
+const UPLOAD_JOBS_BUCKET = process.env.UPLOAD_JOBS_BUCKET || 'upload-jobs';
+const DEAD_LETTER_RETENTION_MS = 14 * 24 * 60 * 60 * 1000; // Failed jobs can be retried for two weeks
+const UPLOAD_JOB_MAX_ATTEMPTS = parseInt(process.env.UPLOAD_JOB_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;       // 30s, 1m, 2m, 4m, ...
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+const STALE_JOB_MS = 15 * 60 * 1000;         // Jobs "in progress" this long were interrupted (e.g. a restart)
+
+const IN_PROGRESS_STATUSES = ['moderating', 'classifying'];
+
+// Emits "queued" when a job becomes ready so the worker can pick it up without waiting for its next poll.
+const uploadJobEvents = new EventEmitter();
+
+const getJobFilePath = (jobId) => `${jobId}.bin`;
+
+const removeJobFile = async (jobId) => {
+  const { error } = await supabaseAdmin.storage
+    .from(UPLOAD_JOBS_BUCKET)
+    .remove([getJobFilePath(jobId)]);
+  if (error) {
+    console.error(`Error removing upload job file ${jobId}:`, error.message);
+    return false;
+  }
+  return true;
+};
+
+// The job's image bytes. Throws when they can't be read; err.missing is set when they no longer exist.
+const readJobFile = async (jobId) => {
+  const { data, error } = await supabaseAdmin.storage
+    .from(UPLOAD_JOBS_BUCKET)
+    .download(getJobFilePath(jobId));
+  if (error) {
+    const err = new Error('Error reading upload data: ' + error.message);
+    // Storage answers "Object not found" (status 400 or 404 depending on the version)
+    err.missing = /not found/i.test(error.message) || error.status === 404
+      || Boolean(error.originalError && error.originalError.status === 404);
+    throw err;
+  }
+  return Buffer.from(await data.arrayBuffer());
+};
+
+const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+// Job payload returned to clients.
+const formatUploadJob = (job) => ({
+  job_id: job.id,
+  status: job.status,
+  attempts: job.attempts,
+  max_attempts: job.max_attempts,
+  next_attempt_at: job.status === 'queued' && job.attempts > 0 ? job.next_attempt_at : null,
+  error: job.last_error || null,
+  wallpaper_id: job.wallpaper_id || null,
+  pending_wallpaper_id: job.pending_wallpaper_id || null,
+  result: job.result || null,
+  created_at: job.created_at,
+  updated_at: job.updated_at,
+  completed_at: job.completed_at || null
+});
+
+/**
+ * Queue an upload for processing.
+ * details: { user_id, title, description, hashtags, file_name, publish_status, publish_at, batch_id?, batch_index? }
+ * plus either `buffer` (the image bytes) or `sourcePath` (a local file copied into the job storage and removed
+ * once the job is queued, e.g. an assembled resumable upload; it is left in place when queuing fails).
+ * The job counts towards the user's upload quota: it is only inserted if the quota has room, checked under a
+ * per-user lock so parallel uploads can't both take the last slot.
+ * Returns the upload_jobs row, or null when the quota is used up.
+ */
+const enqueueUploadJob = async ({ buffer, sourcePath, ...details }) => {
+  const jobId = uuidv4();
+  const { error: storeError } = await supabaseAdmin.storage
+    .from(UPLOAD_JOBS_BUCKET)
+    .upload(getJobFilePath(jobId), sourcePath ? await fs.promises.readFile(sourcePath) : buffer, {
+      contentType: 'application/octet-stream'
+    });
+  if (storeError) {
+    throw new Error('Error storing upload: ' + storeError.message);
+  }
+
+  const { data: rows, error } = await supabaseAdmin.rpc('enqueue_upload_job', {
+    p_job: {
+      id: jobId,
+      ...details,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: UPLOAD_JOB_MAX_ATTEMPTS,
+      next_attempt_at: new Date().toISOString()
+    },
+    p_quota: UPLOAD_DAILY_QUOTA,
+    p_window_seconds: QUOTA_WINDOW_MS / 1000
+  });
+  if (error || rows.length === 0) {
+    await removeJobFile(jobId); // Nothing is left orphaned
+    if (error) throw new Error('Error queuing upload: ' + error.message);
+    return null;
+  }
+  const data = rows[0];
+  if (sourcePath) {
+    await fs.promises.unlink(sourcePath).catch(err => console.error(`Error removing ${sourcePath}:`, err.message));
+  }
+
+  uploadJobEvents.emit('queued', data.id);
+  return data;
+};
+
+// Fetch an upload job owned by the user, or null.
+const getUploadJob = async (jobId, userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('upload_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error fetching upload job: ' + error.message);
+  }
+  return data;
+};
+
+// Jobs of a bulk upload owned by the user, in upload order.
+const getUploadBatch = async (batchId, userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('upload_jobs')
+    .select('*')
+    .eq('batch_id', batchId)
+    .eq('user_id', userId)
+    .order('batch_index', { ascending: true });
+  if (error) {
+    throw new Error('Error fetching upload batch: ' + error.message);
+  }
+  return data;
+};
+
+// Returns false when the row could not be updated.
+const updateUploadJob = async (jobId, changes) => {
+  const { data: job, error } = await supabaseAdmin
+    .from('upload_jobs')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .maybeSingle();
+  if (error) {
+    console.error(`Error updating upload job ${jobId}:`, error.message);
+    return false;
+  }
+  // Status changes reach the uploader's open /api/realtime streams.
+  if (job && changes.status) {
+    publishToUser(job.user_id, 'upload_job', formatUploadJob(job));
+  }
+  return true;
+};
+
+/**
+ * Claim the next due job (only one worker wins a job). Returns the claimed row or null.
+ */
+const claimNextUploadJob = async () => {
+  const { data: candidates, error } = await supabaseAdmin
+    .from('upload_jobs')
+    .select('*')
+    .eq('status', 'queued')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(5);
+  if (error) {
+    console.error('Error fetching queued upload jobs:', error.message);
+    return null;
+  }
+
+  for (const job of candidates || []) {
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimError } = await supabaseAdmin
+      .from('upload_jobs')
+      .update({ status: 'moderating', attempts: job.attempts + 1, locked_at: now, updated_at: now })
+      .eq('id', job.id)
+      .eq('status', 'queued')
+      .select()
+      .maybeSingle();
+    if (claimError) {
+      console.error(`Error claiming upload job ${job.id}:`, claimError.message);
+      continue;
+    }
+    if (claimed) return claimed;
+  }
+  return null;
+};
+
+// Record a failed attempt: retry later with backoff, or move the job to the dead-letter list.
+const failUploadJobAttempt = async (job, message) => {
+  if (job.attempts >= job.max_attempts) {
+    console.error(`Upload job ${job.id} failed permanently after ${job.attempts} attempts: ${message}`);
+    await updateUploadJob(job.id, { status: 'failed', last_error: message, locked_at: null });
+    return;
+  }
+
+  const delay = getRetryDelay(job.attempts);
+  console.warn(`Upload job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delay / 1000}s: ${message}`);
+  await updateUploadJob(job.id, {
+    status: 'queued',
+    last_error: message,
+    locked_at: null,
+    next_attempt_at: new Date(Date.now() + delay).toISOString()
+  });
+};
+
+/**
+ * Run a claimed job through the wallpaper pipeline and record the outcome:
+ * "published" / "draft" / "scheduled", "pending" (manual approval), "rejected" (e.g. duplicate image) or a failed attempt.
+ */
+const processUploadJob = async (job) => {
+  let buffer;
+  try {
+    buffer = await readJobFile(job.id);
+  } catch (err) {
+    if (!err.missing) {
+      await failUploadJobAttempt(job, err.message);
+      return;
+    }
+    // Without the bytes there is nothing to retry.
+    await updateUploadJob(job.id, {
+      status: 'failed',
+      last_error: 'Upload data is no longer available.',
+      locked_at: null,
+      file_removed_at: new Date().toISOString()
+    });
+    return;
+  }
+
+  let outcome;
+  try {
+    outcome = await processWallpaperUpload({
+      user_id: job.user_id,
+      title: job.title,
+      description: job.description,
+      hashtags: job.hashtags,
+      buffer,
+      originalName: job.file_name,
+      fileName: `${job.user_id}-${job.id}${path.extname(job.file_name) || ''}`,
+      onStage: (stage) => updateUploadJob(job.id, { status: stage }),
+      publish_status: job.publish_status,
+      publish_at: job.publish_at
+    });
+  } catch (err) {
+    await failUploadJobAttempt(job, err.message);
+    return;
+  }
+
+  const { status, ...result } = outcome;
+  if (status >= 500) {
+    await failUploadJobAttempt(job, result.error);
+    return;
+  }
+
+  const completedAt = new Date().toISOString();
+  let recorded;
+  if (result.error) {
+    recorded = await updateUploadJob(job.id, { status: 'rejected', last_error: result.error, result, locked_at: null, completed_at: completedAt });
+  } else {
+    const isPending = result.wallpaper.status === 'manual_approval';
+    recorded = await updateUploadJob(job.id, {
+      // published, draft or scheduled
+      status: isPending ? 'pending' : result.wallpaper.status,
+      // pending_wallpapers ids are integers, wallpapers ids UUIDs
+      wallpaper_id: isPending ? null : result.wallpaper.id,
+      pending_wallpaper_id: isPending ? result.wallpaper.id : null,
+      result,
+      last_error: null,
+      locked_at: null,
+      completed_at: completedAt
+    });
+  }
+  // Keep the bytes while the outcome is unrecorded: the job is still "in progress" and gets requeued as stale,
+  // and the rerun picks up the row stored by this attempt (see processWallpaperUpload).
+  if (recorded) {
+    await removeJobFile(job.id);
+  }
+};
+
+// Jobs left "in progress" by an interrupted worker count as a failed attempt.
+const requeueStaleUploadJobs = async () => {
+  const { data: stale, error } = await supabaseAdmin
+    .from('upload_jobs')
+    .select('*')
+    .in('status', IN_PROGRESS_STATUSES)
+    .lt('locked_at', new Date(Date.now() - STALE_JOB_MS).toISOString());
+  if (error) {
+    console.error('Error fetching stale upload jobs:', error.message);
+    return;
+  }
+  for (const job of stale || []) {
+    await failUploadJobAttempt(job, 'Processing was interrupted.');
+  }
+};
+
+// Dead-letter list: jobs that failed permanently, newest first.
+const listFailedUploadJobs = async ({ limit, offset }) => {
+  const { data, error, count } = await supabaseAdmin
+    .from('upload_jobs')
+    .select('*', { count: 'exact' })
+    .eq('status', 'failed')
+    .order('updated_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error fetching failed upload jobs: ' + error.message);
+  }
+  return { jobs: data, total: count };
+};
+
+/**
+ * Put a failed job back in the queue with a fresh set of attempts.
+ * Returns { status, error } on failure or { status: 200, job }.
+ */
+const retryFailedUploadJob = async (jobId) => {
+  const now = new Date().toISOString();
+  const { data: job, error } = await supabaseAdmin
+    .from('upload_jobs')
+    .update({ status: 'queued', attempts: 0, next_attempt_at: now, locked_at: null, updated_at: now })
+    .eq('id', jobId)
+    .eq('status', 'failed')
+    .is('file_removed_at', null)
+    .select()
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error retrying upload job: ' + error.message);
+  }
+  if (!job) {
+    const { data: failed } = await supabaseAdmin
+      .from('upload_jobs')
+      .select('id')
+      .eq('id', jobId)
+      .eq('status', 'failed')
+      .maybeSingle();
+    return failed
+      ? { status: 410, error: 'Upload data is no longer available; the user needs to upload again.' }
+      : { status: 404, error: 'Failed upload job not found.' };
+  }
+
+  uploadJobEvents.emit('queued', job.id);
+  return { status: 200, job };
+};
+
+// Delete the bytes of jobs that have been in the dead-letter list for longer than DEAD_LETTER_RETENTION_MS.
+const cleanupDeadLetterFiles = async () => {
+  const { data: expired, error } = await supabaseAdmin
+    .from('upload_jobs')
+    .select('id')
+    .eq('status', 'failed')
+    .is('file_removed_at', null)
+    .lt('updated_at', new Date(Date.now() - DEAD_LETTER_RETENTION_MS).toISOString())
+    .limit(100);
+  if (error) {
+    console.error('Error fetching expired failed upload jobs:', error.message);
+    return;
+  }
+  for (const job of expired || []) {
+    if (await removeJobFile(job.id)) {
+      await supabaseAdmin
+        .from('upload_jobs')
+        .update({ file_removed_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('status', 'failed');
+    }
+  }
+};
+
+module.exports = {
+  UPLOAD_JOB_MAX_ATTEMPTS,
+  uploadJobEvents,
+  formatUploadJob,
+  enqueueUploadJob,
+  getUploadJob,
+  getUploadBatch,
+  claimNextUploadJob,
+  processUploadJob,
+  requeueStaleUploadJobs,
+  listFailedUploadJobs,
+  retryFailedUploadJob,
+  cleanupDeadLetterFiles,
+};
@@ -0,0 +1,39 @@
+// uploadQuota.js
+// Per-user upload quota: at most UPLOAD_DAILY_QUOTA uploads (upload jobs) in any rolling 24 hours.
+// Applies to single, resumable and bulk uploads alike. getUploadQuota is only a quick early check: the quota
+// is enforced when the job is queued (enqueueUploadJob), where counting and inserting happen in one statement.
+const { supabaseAdmin } = require('../supabaseClient');
+
+const UPLOAD_DAILY_QUOTA = parseInt(process.env.UPLOAD_DAILY_QUOTA, 10) || 50;
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current quota usage of a user.
+ * Returns { limit, used, remaining }.
+ */
+const getUploadQuota = async (userId) => {
+  const { count, error } = await supabaseAdmin
+    .from('upload_jobs')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .gte('created_at', new Date(Date.now() - QUOTA_WINDOW_MS).toISOString());
+  if (error) {
+    throw new Error('Error checking upload quota: ' + error.message);
+  }
+  const used = count || 0;
+  return { limit: UPLOAD_DAILY_QUOTA, used, remaining: Math.max(UPLOAD_DAILY_QUOTA - used, 0) };
+};
+
+// Response body for uploads refused by the quota (HTTP 429).
+const quotaExceededResponse = (quota) => ({
+  error: `Upload quota exceeded: at most ${quota.limit} uploads per 24 hours.`,
+  code: 'UPLOAD_QUOTA_EXCEEDED',
+  quota
+});
+
+module.exports = {
+  UPLOAD_DAILY_QUOTA,
+  QUOTA_WINDOW_MS,
+  getUploadQuota,
+  quotaExceededResponse,
+};
@@ -0,0 +1,50 @@
+// uploadWorker.js
+// Background worker for queued wallpaper uploads (see uploadJobs.js). Jobs run one at a time:
+// image processing is CPU heavy and the model endpoints are the bottleneck anyway.
+const {
+  uploadJobEvents,
+  claimNextUploadJob,
+  processUploadJob,
+  requeueStaleUploadJobs,
+  cleanupDeadLetterFiles,
+} = require('./uploadJobs');
+
+const POLL_INTERVAL_MS = 30 * 1000; // Picks up retries that became due; new jobs wake the worker directly
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let workerRunning = false;
+let runAgain = false;
+
+// Process due jobs until the queue is empty (overlapping runs are folded into one more pass).
+const runUploadWorker = async () => {
+  if (workerRunning) {
+    runAgain = true;
+    return;
+  }
+  workerRunning = true;
+  try {
+    do {
+      runAgain = false;
+      await requeueStaleUploadJobs();
+      let job;
+      while ((job = await claimNextUploadJob())) {
+        await processUploadJob(job);
+      }
+    } while (runAgain);
+  } catch (err) {
+    console.error("Error in runUploadWorker:", err.message);
+  } finally {
+    workerRunning = false;
+  }
+};
+
+uploadJobEvents.on('queued', runUploadWorker);
+
+console.log("UploadWorker: Processing queued uploads on startup.");
+runUploadWorker();
+setInterval(runUploadWorker, POLL_INTERVAL_MS);
+setInterval(cleanupDeadLetterFiles, CLEANUP_INTERVAL_MS);
+
+console.log("UploadWorker: Worker set up successfully.");
+
+module.exports = { runUploadWorker };
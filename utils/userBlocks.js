@@ -0,0 +1,180 @@
+// userBlocks.js
+// Blocks and mutes between users. A block works both ways: neither user can follow the other and each one's
+// wallpapers are hidden from the other's feeds and search. A mute is one-way and only hides the muted user's
+// wallpapers from the muter's feeds and search (follows are untouched). Private accounts the user doesn't follow
+// are hidden the same way (followRequests.js).
+const { supabaseAdmin } = require('../supabaseClient');
+const { getLockedUserIds } = require('./followRequests');
+
+const getIds = async (table, column, valueColumn, userId) => {
+  const { data, error } = await supabaseAdmin
+    .from(table)
+    .select(valueColumn)
+    .eq(column, userId);
+  if (error) {
+    throw new Error(`Error fetching ${table}: ` + error.message);
+  }
+  return data.map(row => row[valueColumn]);
+};
+
+/**
+ * Users on either side of a block with userId (those they blocked and those who blocked them).
+ */
+const getBlockedUserIds = async (userId) => {
+  if (!userId) return new Set();
+  const [blocked, blockedBy] = await Promise.all([
+    getIds('user_blocks', 'blocker_id', 'blocked_id', userId),
+    getIds('user_blocks', 'blocked_id', 'blocker_id', userId),
+  ]);
+  return new Set([...blocked, ...blockedBy]);
+};
+
+// Both sides of a block plus the users userId muted.
+const getBlockedOrMutedUserIds = async (userId) => {
+  if (!userId) return new Set();
+  try {
+    const [blocked, muted] = await Promise.all([
+      getBlockedUserIds(userId),
+      getIds('user_mutes', 'muter_id', 'muted_id', userId),
+    ]);
+    return new Set([...blocked, ...muted]);
+  } catch (err) {
+    console.error(`Error fetching hidden users for ${userId}:`, err.message);
+    return new Set();
+  }
+};
+
+/**
+ * Users whose wallpapers are hidden from userId: both sides of a block, the users they muted and private
+ * accounts they don't follow. Block / mute lookup failures are logged and hide nothing, so feeds keep working;
+ * a failed private-account lookup throws (see getLockedUserIds).
+ */
+const getHiddenUserIds = async (userId) => {
+  const [related, locked] = await Promise.all([
+    getBlockedOrMutedUserIds(userId),
+    getLockedUserIds(userId),
+  ]);
+  return new Set([...related, ...locked]);
+};
+
+// Drop wallpapers uploaded by hidden users.
+const filterHiddenWallpapers = (wallpapers, hiddenUserIds) =>
+  hiddenUserIds.size === 0 ? wallpapers : wallpapers.filter(wp => !hiddenUserIds.has(wp.user_id));
+
+// Add "user_id not in (...)" to a wallpapers query, so limits still return full pages.
+const excludeHiddenUsers = (query, hiddenUserIds) =>
+  hiddenUserIds.size === 0 ? query : query.not('user_id', 'in', `(${[...hiddenUserIds].join(',')})`);
+
+const hasBlocked = async (blockerId, blockedId) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_blocks')
+    .select('blocker_id')
+    .eq('blocker_id', blockerId)
+    .eq('blocked_id', blockedId)
+    .limit(1);
+  if (error) {
+    throw new Error('Error checking blocks: ' + error.message);
+  }
+  return data.length > 0;
+};
+
+// Whether either user blocked the other. The ids come from requests, so they are only ever passed as values.
+const isBlockedBetween = async (userId, otherUserId) => {
+  const [blocked, blockedBy] = await Promise.all([
+    hasBlocked(userId, otherUserId),
+    hasBlocked(otherUserId, userId),
+  ]);
+  return blocked || blockedBy;
+};
+
+// Record a block / mute. Doing it twice is a no-op.
+const addRelation = async (table, row, onConflict) => {
+  const { error } = await supabaseAdmin
+    .from(table)
+    .upsert([row], { onConflict, ignoreDuplicates: true });
+  if (error) {
+    throw new Error(`Error updating ${table}: ` + error.message);
+  }
+};
+
+// Returns false when there was nothing to remove.
+const removeRelation = async (table, filters) => {
+  let query = supabaseAdmin.from(table).delete();
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+  const { data, error } = await query.select();
+  if (error) {
+    throw new Error(`Error updating ${table}: ` + error.message);
+  }
+  return data.length > 0;
+};
+
+const blockUser = (blockerId, blockedId) =>
+  addRelation('user_blocks', { blocker_id: blockerId, blocked_id: blockedId }, 'blocker_id,blocked_id');
+
+const unblockUser = (blockerId, blockedId) =>
+  removeRelation('user_blocks', { blocker_id: blockerId, blocked_id: blockedId });
+
+const muteUser = (muterId, mutedId) =>
+  addRelation('user_mutes', { muter_id: muterId, muted_id: mutedId }, 'muter_id,muted_id');
+
+const unmuteUser = (muterId, mutedId) =>
+  removeRelation('user_mutes', { muter_id: muterId, muted_id: mutedId });
+
+/**
+ * The users someone blocked or muted (kind: "blocks" | "mutes"), most recent first, with their profiles.
+ * Returns { users, total }.
+ */
+const listRelations = async (kind, userId, { limit, offset }) => {
+  const [table, ownerColumn, otherColumn] = kind === 'blocks'
+    ? ['user_blocks', 'blocker_id', 'blocked_id']
+    : ['user_mutes', 'muter_id', 'muted_id'];
+  const { data, error, count } = await supabaseAdmin
+    .from(table)
+    .select('*', { count: 'exact' })
+    .eq(ownerColumn, userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error(`Error fetching ${table}: ` + error.message);
+  }
+
+  const userIds = data.map(row => row[otherColumn]);
+  let byUserId = new Map();
+  if (userIds.length > 0) {
+    const { data: profiles, error: profilesError } = await supabaseAdmin
+      .from('profiles')
+      .select('id, user_id, username, dp')
+      .in('user_id', userIds);
+    if (profilesError) {
+      console.error(`Error fetching profiles for ${table}:`, profilesError.message);
+    }
+    byUserId = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+  }
+
+  const users = data.map(row => {
+    const profile = byUserId.get(row[otherColumn]);
+    return {
+      user_id: row[otherColumn],
+      profile_id: profile ? profile.id : null,
+      username: profile ? profile.username : null,
+      dp: profile ? profile.dp : null,
+      created_at: row.created_at
+    };
+  });
+  return { users, total: count || 0 };
+};
+
+module.exports = {
+  getBlockedUserIds,
+  getHiddenUserIds,
+  filterHiddenWallpapers,
+  excludeHiddenUsers,
+  isBlockedBetween,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  listRelations,
+};
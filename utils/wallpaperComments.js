@@ -0,0 +1,235 @@
+// wallpaperComments.js
+// Wallpaper comments with one level of replies. Comments live in "wallpaper_comments"; a reply has parent_id
+// set to a top-level comment (replying to a reply attaches to the same top-level comment).
+// wallpapers.comment_count and wallpaper_comments.reply_count are recounted after every change.
+const { body } = require('express-validator');
+const { supabaseAdmin } = require('../supabaseClient');
+const { notify } = require('./notifications');
+const { publishWallpaperCounter } = require('./realtime');
+
+const COMMENT_MAX_LENGTH = 1000;
+const REPLY_PREVIEW_COUNT = 3; // Replies shown under each comment in the listing
+
+const commentBodyValidator = () => body('body')
+  .isString().withMessage('Comment text is required.')
+  .trim()
+  .notEmpty().withMessage('Comment text is required.')
+  .isLength({ max: COMMENT_MAX_LENGTH }).withMessage(`Comments must not exceed ${COMMENT_MAX_LENGTH} characters.`)
+  .escape();
+
+const countRows = async (column, value) => {
+  const { count, error } = await supabaseAdmin
+    .from('wallpaper_comments')
+    .select('id', { count: 'exact', head: true })
+    .eq(column, value);
+  if (error) {
+    throw new Error('Error counting comments: ' + error.message);
+  }
+  return count || 0;
+};
+
+// Recount instead of incrementing so concurrent comments can't leave the counters off.
+const refreshCommentCount = async (wallpaperId) => {
+  const commentCount = await countRows('wallpaper_id', wallpaperId);
+  const { error } = await supabaseAdmin
+    .from('wallpapers')
+    .update({ comment_count: commentCount })
+    .eq('id', wallpaperId);
+  if (error) {
+    console.error(`Error updating comment_count for wallpaper ${wallpaperId}:`, error.message);
+    return;
+  }
+  publishWallpaperCounter(wallpaperId, { metric: 'comment_count', value: commentCount });
+};
+
+const refreshReplyCount = async (commentId) => {
+  const replyCount = await countRows('parent_id', commentId);
+  const { error } = await supabaseAdmin
+    .from('wallpaper_comments')
+    .update({ reply_count: replyCount })
+    .eq('id', commentId);
+  if (error) {
+    console.error(`Error updating reply_count for comment ${commentId}:`, error.message);
+  }
+};
+
+// Adds the author's profile (id, username, dp) to each comment.
+const attachAuthors = async (comments) => {
+  const userIds = [...new Set(comments.map(comment => comment.user_id))];
+  if (userIds.length === 0) return comments;
+
+  const { data: profiles, error } = await supabaseAdmin
+    .from('profiles')
+    .select('id, user_id, username, dp')
+    .in('user_id', userIds);
+  if (error) {
+    console.error('Error fetching comment authors:', error.message);
+  }
+  const byUserId = new Map((profiles || []).map(profile => [profile.user_id, profile]));
+  return comments.map(comment => {
+    const profile = byUserId.get(comment.user_id);
+    return {
+      ...comment,
+      author: profile ? { id: profile.id, username: profile.username, dp: profile.dp } : null
+    };
+  });
+};
+
+const getComment = async (commentId) => {
+  const { data, error } = await supabaseAdmin
+    .from('wallpaper_comments')
+    .select('*')
+    .eq('id', commentId)
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error fetching comment: ' + error.message);
+  }
+  return data;
+};
+
+/**
+ * Add a comment (or a reply when parentId is given) to a wallpaper.
+ * Returns { status, error } on failure or { status: 201, comment }.
+ */
+const createComment = async ({ wallpaperId, userId, body: text, parentId = null }) => {
+  let topLevelId = null;
+  let parent = null;
+  if (parentId) {
+    parent = await getComment(parentId);
+    if (!parent || parent.wallpaper_id !== wallpaperId) {
+      return { status: 404, error: 'Parent comment not found.' };
+    }
+    topLevelId = parent.parent_id || parent.id;
+  }
+
+  const { data: comment, error } = await supabaseAdmin
+    .from('wallpaper_comments')
+    .insert([{ wallpaper_id: wallpaperId, user_id: userId, parent_id: topLevelId, body: text }])
+    .select()
+    .single();
+  if (error) {
+    throw new Error('Error creating comment: ' + error.message);
+  }
+
+  await refreshCommentCount(wallpaperId);
+  if (topLevelId) {
+    await refreshReplyCount(topLevelId);
+  }
+
+  // The wallpaper owner hears about comments, the replied-to author about replies (once, if both).
+  const { data: wallpaper } = await supabaseAdmin
+    .from('wallpapers')
+    .select('user_id, title')
+    .eq('id', wallpaperId)
+    .maybeSingle();
+  const data = { wallpaper_id: wallpaperId, wallpaper_title: wallpaper ? wallpaper.title : null, comment_id: topLevelId || comment.id };
+  if (parent) {
+    await notify({ userId: parent.user_id, type: 'reply', actorId: userId, data });
+  }
+  if (wallpaper && (!parent || parent.user_id !== wallpaper.user_id)) {
+    await notify({ userId: wallpaper.user_id, type: 'comment', actorId: userId, data });
+  }
+
+  const [withAuthor] = await attachAuthors([comment]);
+  return { status: 201, comment: withAuthor };
+};
+
+// Change the text of a comment. Returns the updated comment.
+const updateComment = async (commentId, text) => {
+  const { data: comment, error } = await supabaseAdmin
+    .from('wallpaper_comments')
+    .update({ body: text, edited_at: new Date().toISOString() })
+    .eq('id', commentId)
+    .select()
+    .single();
+  if (error) {
+    throw new Error('Error updating comment: ' + error.message);
+  }
+  const [withAuthor] = await attachAuthors([comment]);
+  return withAuthor;
+};
+
+// Delete a comment; its replies go with it (ON DELETE CASCADE).
+const deleteComment = async (comment) => {
+  const { error } = await supabaseAdmin
+    .from('wallpaper_comments')
+    .delete()
+    .eq('id', comment.id);
+  if (error) {
+    throw new Error('Error deleting comment: ' + error.message);
+  }
+
+  await refreshCommentCount(comment.wallpaper_id);
+  if (comment.parent_id) {
+    await refreshReplyCount(comment.parent_id);
+  }
+};
+
+/**
+ * Top-level comments of a wallpaper, newest first, each with its first replies (oldest first).
+ * Returns { comments, total }.
+ */
+const listComments = async (wallpaperId, { limit, offset }) => {
+  const { data: comments, error, count } = await supabaseAdmin
+    .from('wallpaper_comments')
+    .select('*', { count: 'exact' })
+    .eq('wallpaper_id', wallpaperId)
+    .is('parent_id', null)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error fetching comments: ' + error.message);
+  }
+
+  const withReplies = await Promise.all(comments.map(async (comment) => {
+    const { data: replies, error: repliesError } = await supabaseAdmin
+      .from('wallpaper_comments')
+      .select('*')
+      .eq('parent_id', comment.id)
+      .order('created_at', { ascending: true })
+      .limit(REPLY_PREVIEW_COUNT);
+    if (repliesError) {
+      console.error(`Error fetching replies for comment ${comment.id}:`, repliesError.message);
+    }
+    return { ...comment, replies: replies || [] };
+  }));
+
+  // One profile lookup for the comments and their replies.
+  const authored = await attachAuthors([...withReplies, ...withReplies.flatMap(comment => comment.replies)]);
+  const byId = new Map(authored.map(comment => [comment.id, comment]));
+  return {
+    comments: withReplies.map(comment => ({
+      ...byId.get(comment.id),
+      replies: comment.replies.map(reply => byId.get(reply.id))
+    })),
+    total: count || 0
+  };
+};
+
+/**
+ * Replies to a top-level comment, oldest first.
+ * Returns { replies, total }.
+ */
+const listReplies = async (commentId, { limit, offset }) => {
+  const { data: replies, error, count } = await supabaseAdmin
+    .from('wallpaper_comments')
+    .select('*', { count: 'exact' })
+    .eq('parent_id', commentId)
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+  if (error) {
+    throw new Error('Error fetching replies: ' + error.message);
+  }
+  return { replies: await attachAuthors(replies), total: count || 0 };
+};
+
+module.exports = {
+  COMMENT_MAX_LENGTH,
+  commentBodyValidator,
+  getComment,
+  createComment,
+  updateComment,
+  deleteComment,
+  listComments,
+  listReplies,
+};
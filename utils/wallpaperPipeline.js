@@ -0,0 +1,346 @@
+// wallpaperPipeline.js
+// Processing shared by every way of uploading a wallpaper (single request upload and resumable uploads):
+// EXIF stripping, duplicate check, storage upload, renditions, moderation, classification and insert.
+const axios = require('axios');
+const path = require('path');
+const FormData = require('form-data');
+const { v4: uuidv4 } = require('uuid');
+const { body } = require('express-validator');
+const { supabaseAdmin } = require('../supabaseClient');
+const { parseHashtags, linkWallpaperTaxonomy } = require('./wallpaperTaxonomy');
+const { createImageVariants, saveWallpaperVariants, buildVariantsMap, getWallpaperVariantRows } = require('./imageVariants');
+const { extractImageMetadata, stripImageMetadata } = require('./imageMetadata');
+const { DUPLICATE_ACTION, computePerceptualHash, findSimilarWallpapers } = require('./perceptualHash');
+const { publicationFields } = require('./wallpaperPublishing');
+const { syncWallpaperInSearchIndex } = require('./searchIndex');
+
+// Read the custom model URLs from the environment variables.
+const CUSTOM_CLASSIFY_MODEL_URL = process.env.CUSTOM_CLASSIFY_MODEL_URL;
+const CUSTOM_MODERATE_MODEL_URL = process.env.CUSTOM_MODERATE_MODEL_URL;
+
+const MODEL_CALL_ATTEMPTS = 3;
+const MODEL_CALL_TIMEOUT_MS = 60 * 1000;
+
+// Title / description rules, shared by uploads and edits (PATCH /api/wallpaper/:id).
+const titleValidator = () => body('title')
+  .isString().withMessage('Title is required.')
+  .trim()
+  .escape()
+  .notEmpty().withMessage('Title is required.')
+  .isLength({ max: 100 }).withMessage('Title must not exceed 100 characters.');
+
+const descriptionValidator = () => body('description')
+  .optional({ checkFalsy: true })
+  .isString()
+  .trim()
+  .escape()
+  .isLength({ max: 500 }).withMessage('Description must not exceed 500 characters.');
+
+// Validation of the wallpaper details sent with an upload.
+const wallpaperDetailsValidators = [
+  body('user_id').isString().trim().escape().notEmpty().withMessage('UserID is required.'),
+  titleValidator(),
+  descriptionValidator(),
+];
+
+// Public URL of an uploaded image (stored as image_url).
+const getUploadedImageUrl = (newFileName) =>
+  `${process.env.SUPABASE_URL}/storage/v1/object/public/images/wallpapers/${newFileName}`;
+
+// Helper Function: Upload image to Supabase Storage without compressing it.
+const uploadImageToSupabase = async (buffer, newFileName) => {
+  try {
+    const filePath = `wallpapers/${newFileName}`;
+    const { data, error } = await supabaseAdmin.storage
+      .from('images') // Ensure your bucket name is "images"
+      .upload(filePath, buffer, { cacheControl: '3600', upsert: true }); // upsert: a retried upload job reuses its file name
+    if (error) {
+      console.error('Supabase upload error:', error.message);
+      throw new Error('Image upload failed.');
+    }
+    return getUploadedImageUrl(newFileName);
+  } catch (err) {
+    console.error('Error during image upload:', err.message);
+    throw err;
+  }
+};
+
+// Network errors, timeouts, 429 and 5xx responses are worth retrying; other 4xx responses are final.
+// Helper: The wallpaper or pending wallpaper already stored under this image URL, as { table, row }, or null.
+const findStoredUpload = async (imageUrl) => {
+  for (const table of ['wallpapers', 'pending_wallpapers']) {
+    const { data, error } = await supabaseAdmin
+      .from(table)
+      .select('*')
+      .eq('image_url', imageUrl)
+      .limit(1)
+      .maybeSingle();
+    if (error) {
+      throw new Error(`Error checking ${table} for a stored upload: ${error.message}`);
+    }
+    if (data) return { table, row: data };
+  }
+  return null;
+};
+
+const isRetryableModelError = (err) =>
+  !err.response || err.response.status === 429 || err.response.status >= 500;
+
+// Helper Function: POST an image to a model endpoint, retrying transient failures with exponential backoff (1s, 2s, ...).
+const postImageToModel = async (url, imageBuffer, newFileName) => {
+  for (let attempt = 1; ; attempt++) {
+    const form = new FormData();
+    form.append('image', imageBuffer, { filename: newFileName, contentType: 'application/octet-stream' });
+    try {
+      const response = await axios.post(url, form, {
+        headers: { ...form.getHeaders() },
+        timeout: MODEL_CALL_TIMEOUT_MS
+      });
+      return response.data;
+    } catch (err) {
+      if (attempt >= MODEL_CALL_ATTEMPTS || !isRetryableModelError(err)) throw err;
+      console.warn(`Model call to ${url} failed (attempt ${attempt}/${MODEL_CALL_ATTEMPTS}): ${err.message}`);
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+};
+
+// Helper Function: Moderate image with your custom CLIP model.
+// Throws when the model stays unavailable so the upload job is retried later.
+const moderateImageWithCustomModel = async (imageBuffer, newFileName) => {
+  try {
+    if (!CUSTOM_MODERATE_MODEL_URL) {
+      console.warn('CUSTOM_MODERATE_MODEL_URL is not set. Skipping custom moderation.');
+      return { approved: true, reason: "Custom moderation URL not configured." };
+    }
+
+    const result = await postImageToModel(CUSTOM_MODERATE_MODEL_URL, imageBuffer, newFileName);
+    if (result && result.is_explicit) {
+      const flaggedCategories = result.flagged_categories.map(fc => `${fc.category} (${fc.confidence.toFixed(2)}%)`).join(', ');
+      return { approved: false, reason: `Image flagged by custom moderation: ${flaggedCategories}` };
+    }
+    return { approved: true };
+  } catch (err) {
+    console.error('Error during custom model moderation:', err.message);
+    if (isRetryableModelError(err)) {
+      throw new Error(`Custom moderation unavailable: ${err.message}`);
+    }
+    if (err.response) {
+      console.error('Custom moderation API response error:', err.response.data);
+      return { approved: false, reason: `Custom moderation failed: ${err.response.data.error || err.message}` };
+    }
+    return { approved: false, reason: `Custom moderation failed: ${err.message}` };
+  }
+};
+
+// Helper Function: Classify the image using your custom model.
+// Throws when the model stays unavailable so the upload job is retried later.
+const classifyImageWithCustomModel = async (imageBuffer, newFileName) => {
+  try {
+    if (!CUSTOM_CLASSIFY_MODEL_URL) {
+      console.warn('CUSTOM_CLASSIFY_MODEL_URL is not set. Skipping custom classification.');
+      return { category: null, styles: [] };
+    }
+
+    const data = await postImageToModel(CUSTOM_CLASSIFY_MODEL_URL, imageBuffer, newFileName);
+
+    let category = data.category || null; // Ensure 'category' is used, fallback to null
+    let rawStyles = data.styles || []; // Get the raw array of style objects
+
+    // --- FIX START: Extract 'label' from each style object ---
+    let styles = [];
+    if (Array.isArray(rawStyles)) {
+        styles = rawStyles
+            .map(item => typeof item.label === 'string' ? item.label : null) // Extract 'label' if it's a string, otherwise null
+            .filter(item => item !== null) // Remove any null entries
+            .slice(0, 5); // Take at most 5 styles
+    }
+    // --- FIX END ---
+
+    return { category: category, styles: styles };
+  } catch (err) {
+    console.error('Error during custom model classification:', err.message);
+    if (isRetryableModelError(err)) {
+      throw new Error(`Custom classification unavailable: ${err.message}`);
+    }
+    if (err.response) {
+      console.error('Custom classification API response error:', err.response.data);
+    }
+    return { category: null, styles: [] };
+  }
+};
+
+/**
+ * Run an uploaded image through the wallpaper pipeline and store it in "wallpapers"
+ * (auto-approved) or "pending_wallpapers" (manual approval).
+ * `fileName` fixes the storage file name (upload jobs reuse it on retries); `onStage` is called
+ * with 'moderating' and 'classifying' as the pipeline progresses.
+ * `publish_status` / `publish_at` (see wallpaperPublishing.js) make an approved upload a draft or scheduled wallpaper.
+ * Returns { status, error } on failure or { status: 201, message, wallpaper } on success.
+ * Throws when a model stays unavailable or storage fails.
+ */
+const processWallpaperUpload = async ({
+  user_id,
+  title,
+  description,
+  hashtags,
+  buffer,
+  originalName,
+  fileName = null,
+  onStage = () => {},
+  publish_status = 'published',
+  publish_at = null
+}) => {
+  const { data: userData, error: userError } = await supabaseAdmin
+    .from('users')
+    .select('id')
+    .eq('id', user_id)
+    .single();
+  if (userError || !userData) {
+    return { status: 404, error: 'User not found.' };
+  }
+
+  const extension = path.extname(originalName) || '';
+  const newFileName = fileName || `${user_id}-${uuidv4()}${extension}`;
+
+  // A retried upload job whose earlier attempt already inserted its row (and then crashed or could not record
+  // the outcome) gets that row back instead of a second copy, which the duplicate check would also reject.
+  if (fileName) {
+    const stored = await findStoredUpload(getUploadedImageUrl(newFileName));
+    if (stored) {
+      console.warn(`Upload ${newFileName} is already stored in ${stored.table} (${stored.row.id}), not storing it again.`);
+      let variants = stored.row.variants;
+      if (stored.table === 'wallpapers') {
+        variants = await getWallpaperVariantRows(stored.row.id);
+        await syncWallpaperInSearchIndex(stored.row.id);
+      }
+      return {
+        status: 201,
+        message: 'Wallpaper uploaded successfully!',
+        wallpaper: { ...stored.row, variants: buildVariantsMap(variants) }
+      };
+    }
+  }
+
+  // Step 0: Strip EXIF / GPS data and read the image metadata stored on the record.
+  let imageBuffer = buffer;
+  let imageMetadata = {};
+  try {
+    imageBuffer = await stripImageMetadata(buffer);
+    imageMetadata = await extractImageMetadata(imageBuffer);
+  } catch (metadataErr) {
+    console.error('Error reading image metadata:', metadataErr.message);
+  }
+
+  // Step 0b: Look for an existing wallpaper with the same (or a nearly identical) image.
+  let phash = null;
+  let duplicateOf = null;
+  try {
+    phash = await computePerceptualHash(imageBuffer);
+    [duplicateOf = null] = await findSimilarWallpapers(phash);
+  } catch (hashErr) {
+    console.error('Error checking for duplicate wallpapers:', hashErr.message);
+  }
+  if (duplicateOf && DUPLICATE_ACTION === 'reject') {
+    return {
+      status: 409,
+      error: 'This image has already been uploaded.',
+      code: 'DUPLICATE_IMAGE',
+      duplicate_of: duplicateOf.id
+    };
+  }
+
+  // --- MODIFICATION START ---
+  // Step 1: Moderate the image with your custom CLIP model.
+  // The model calls run before anything is stored, so a failed upload job can simply be retried.
+  await onStage('moderating');
+  const moderationResult = await moderateImageWithCustomModel(imageBuffer, newFileName);
+  let status = 'published';
+  if (!moderationResult.approved) {
+    status = 'manual_approval';
+    console.warn(`Image sent for manual approval: ${moderationResult.reason}`);
+  }
+  // --- MODIFICATION END ---
+
+  // Step 2: Classify the image using your custom model.
+  await onStage('classifying');
+  const customClassifyResult = await classifyImageWithCustomModel(imageBuffer, newFileName);
+  const category = customClassifyResult.category;
+  // styles is now already an array of strings thanks to the fix in classifyImageWithCustomModel
+  const styles = customClassifyResult.styles;
+
+  if (!category) {
+    console.warn('No category returned from custom model, marking for manual approval.');
+    status = 'manual_approval'; // If classification fails, also send for manual approval
+  }
+
+  if (duplicateOf) {
+    console.warn(`Possible duplicate of wallpaper ${duplicateOf.id}, marking for manual approval.`);
+    status = 'manual_approval';
+  }
+
+  // Step 3: Upload the image without compression.
+  const imageUrl = await uploadImageToSupabase(imageBuffer, newFileName);
+
+  // Step 3b: Generate the thumbnail / preview / device renditions.
+  // A failure here doesn't block the upload; clients fall back to image_url.
+  let variants = [];
+  try {
+    variants = await createImageVariants(imageBuffer, newFileName);
+  } catch (variantErr) {
+    console.error('Error generating image variants:', variantErr.message);
+  }
+
+  // Decide the target table based on status.
+  const targetTable = status === 'manual_approval' ? 'pending_wallpapers' : 'wallpapers';
+
+  // Step 4: Insert the new wallpaper record.
+  // Pending wallpapers keep the classification and hashtags so a moderator can approve them later.
+  const record = { user_id, title, description, image_url: imageUrl, status, phash, ...imageMetadata };
+  if (targetTable === 'wallpapers') {
+    Object.assign(record, publicationFields({ publish_status, publish_at }));
+  } else {
+    record.category = category;
+    record.styles = styles;
+    record.hashtags = parseHashtags(hashtags);
+    if (!moderationResult.approved) {
+      record.moderation_reason = moderationResult.reason;
+    } else if (duplicateOf) {
+      record.moderation_reason = `Possible duplicate of ${duplicateOf.id} (distance ${duplicateOf.distance}).`;
+    } else {
+      record.moderation_reason = 'No category returned from custom model.';
+    }
+    record.duplicate_of = duplicateOf ? duplicateOf.id : null;
+    record.variants = variants; // Moved to wallpaper_variants when a moderator approves it
+    record.publish_status = publish_status; // Applied on approval
+    record.publish_at = publish_at;
+  }
+  const { data: wallpaperData, error: wpError } = await supabaseAdmin
+    .from(targetTable)
+    .insert([record])
+    .select()
+    .single();
+  if (wpError) {
+    return { status: 500, error: 'Error inserting wallpaper: ' + wpError.message };
+  }
+
+  // If the image was auto-approved (stored in "wallpapers"), process categories, styles, and hashtags.
+  if (targetTable === 'wallpapers') {
+    await linkWallpaperTaxonomy(wallpaperData.id, { category, styles, hashtags });
+    await saveWallpaperVariants(wallpaperData.id, variants);
+    await syncWallpaperInSearchIndex(wallpaperData.id); // Drafts and scheduled ones are indexed once they go live
+  }
+
+  return {
+    status: 201,
+    message: 'Wallpaper uploaded successfully!',
+    wallpaper: { ...wallpaperData, variants: buildVariantsMap(variants) }
+  };
+};
+
+module.exports = {
+  titleValidator,
+  descriptionValidator,
+  wallpaperDetailsValidators,
+  processWallpaperUpload,
+};
@@ -0,0 +1,118 @@
+// wallpaperPublishing.js
+// Drafts and scheduled publishing. A wallpaper's status in "wallpapers" is one of:
+//   published - live: shown in trending, latest, search, recommendations and on profiles
+//   draft     - only visible to its owner until they publish or schedule it
+//   scheduled - goes live at publish_at (wallpaperScheduler.js publishes due wallpapers)
+// Uploads pick the mode with `publish` ("now" by default) and `publish_at`; wallpapers that need manual
+// approval keep the requested mode on the pending row and get it when a moderator approves them.
+const { body } = require('express-validator');
+const { supabaseAdmin } = require('../supabaseClient');
+const { syncWallpaperInSearchIndex } = require('./searchIndex');
+
+const PUBLISH_MODES = ['now', 'draft', 'scheduled'];
+const UNPUBLISHED_STATUSES = ['draft', 'scheduled'];
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Returns an error message, or null when publish_at is a valid future date (at most a year ahead).
+const checkPublishAt = (value) => {
+  const publishAt = new Date(value);
+  if (!value || Number.isNaN(publishAt.getTime())) {
+    return 'publish_at must be a valid ISO 8601 date.';
+  }
+  if (publishAt <= new Date()) {
+    return 'publish_at must be in the future.';
+  }
+  if (publishAt - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    return 'publish_at must be within a year.';
+  }
+  return null;
+};
+
+// Validators for the `publish` / `publish_at` upload fields.
+const publishingValidators = [
+  body('publish')
+    .optional({ checkFalsy: true })
+    .isIn(PUBLISH_MODES)
+    .withMessage(`publish must be one of: ${PUBLISH_MODES.join(', ')}.`),
+  body('publish_at')
+    .if(body('publish').equals('scheduled'))
+    .custom((value) => {
+      const message = checkPublishAt(value);
+      if (message) throw new Error(message);
+      return true;
+    }),
+];
+
+// The requested mode as stored on upload jobs / sessions / pending wallpapers.
+const resolvePublishing = ({ publish, publish_at }) => {
+  if (publish === 'draft') return { publish_status: 'draft', publish_at: null };
+  if (publish === 'scheduled') return { publish_status: 'scheduled', publish_at: new Date(publish_at).toISOString() };
+  return { publish_status: 'published', publish_at: null };
+};
+
+/**
+ * Status columns for a wallpaper going into "wallpapers" with the requested mode.
+ * A schedule that has already passed (e.g. a long manual approval) publishes right away.
+ */
+const publicationFields = ({ publish_status = 'published', publish_at = null } = {}) => {
+  if (publish_status === 'draft') {
+    return { status: 'draft', publish_at: null, published_at: null };
+  }
+  if (publish_status === 'scheduled' && publish_at && new Date(publish_at) > new Date()) {
+    return { status: 'scheduled', publish_at, published_at: null };
+  }
+  return { status: 'published', publish_at: null, published_at: new Date().toISOString() };
+};
+
+// Whether the user may see the wallpaper (unpublished wallpapers are only visible to their owner).
+const canViewWallpaper = (wallpaper, userId) =>
+  wallpaper.status === 'published' || (!!userId && wallpaper.user_id === userId);
+
+/**
+ * Publish, schedule or move back to draft one of the owner's unpublished wallpapers.
+ * Returns { status, error } on failure or { status: 200, wallpaper }.
+ */
+const updateWallpaperPublishing = async (wallpaperId, { publish, publish_at }) => {
+  const { data: wallpaper, error } = await supabaseAdmin
+    .from('wallpapers')
+    .update(publicationFields(resolvePublishing({ publish, publish_at })))
+    .eq('id', wallpaperId)
+    .in('status', UNPUBLISHED_STATUSES)
+    .select()
+    .maybeSingle();
+  if (error) {
+    throw new Error('Error updating wallpaper publishing: ' + error.message);
+  }
+  if (!wallpaper) {
+    return { status: 409, error: 'Only draft or scheduled wallpapers can be published or rescheduled.' };
+  }
+  await syncWallpaperInSearchIndex(wallpaperId);
+  return { status: 200, wallpaper };
+};
+
+// Publish every scheduled wallpaper whose publish_at has passed. Returns the published rows.
+const publishDueWallpapers = async () => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('wallpapers')
+    .update({ status: 'published', published_at: now })
+    .eq('status', 'scheduled')
+    .lte('publish_at', now)
+    .select('id, user_id, title, publish_at');
+  if (error) {
+    throw new Error('Error publishing scheduled wallpapers: ' + error.message);
+  }
+  return data || [];
+};
+
+module.exports = {
+  PUBLISH_MODES,
+  UNPUBLISHED_STATUSES,
+  checkPublishAt,
+  publishingValidators,
+  resolvePublishing,
+  publicationFields,
+  canViewWallpaper,
+  updateWallpaperPublishing,
+  publishDueWallpapers,
+};
@@ -0,0 +1,36 @@
+// wallpaperScheduler.js
+// Publishes scheduled wallpapers once their publish_at has passed (see wallpaperPublishing.js).
+const { publishDueWallpapers } = require('./wallpaperPublishing');
+const { publishToUser } = require('./realtime');
+const { syncWallpaperInSearchIndex } = require('./searchIndex');
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000; // Scheduled drops go live within a minute of publish_at
+
+let schedulerRunning = false;
+
+const runWallpaperScheduler = async () => {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  try {
+    const published = await publishDueWallpapers();
+    if (published.length > 0) {
+      console.log(`WallpaperScheduler: Published ${published.length} scheduled wallpaper(s).`);
+    }
+    for (const wallpaper of published) {
+      await syncWallpaperInSearchIndex(wallpaper.id);
+      publishToUser(wallpaper.user_id, 'wallpaper_published', { wallpaper_id: wallpaper.id, title: wallpaper.title });
+    }
+  } catch (err) {
+    console.error("Error in runWallpaperScheduler:", err.message);
+  } finally {
+    schedulerRunning = false;
+  }
+};
+
+console.log("WallpaperScheduler: Publishing due wallpapers on startup.");
+runWallpaperScheduler();
+setInterval(runWallpaperScheduler, SCHEDULER_INTERVAL_MS);
+
+console.log("WallpaperScheduler: Scheduler set up successfully.");
+
+module.exports = { runWallpaperScheduler };
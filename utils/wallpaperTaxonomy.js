@@ -0,0 +1,202 @@
+// wallpaperTaxonomy.js
+// Shared category / style / hashtag linking used when a wallpaper lands in the "wallpapers" table
+// (auto-approved uploads and manually approved pending wallpapers) and when its owner edits it.
+const { supabaseAdmin } = require('../supabaseClient');
+
+// Helper: Normalise the hashtags field sent by clients (comma separated string or array).
+const parseHashtags = (hashtags) => {
+  if (!hashtags) return [];
+  let tagList = [];
+  if (typeof hashtags === 'string') {
+    tagList = hashtags.split(',');
+  } else if (Array.isArray(hashtags)) {
+    tagList = hashtags;
+  }
+  return tagList
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim())
+    .filter(tag => tag.length > 0);
+};
+
+// Helper: Find a row by name in a lookup table (categories, styles, hashtags), creating it if missing.
+// Returns the row id or null if it could not be created.
+const findOrCreateByName = async (table, name) => {
+  const { data: existing, error: fetchError } = await supabaseAdmin
+    .from(table)
+    .select('id')
+    .eq('name', name)
+    .single();
+  if (!fetchError && existing) {
+    return existing.id;
+  }
+
+  const { data: created, error: insertError } = await supabaseAdmin
+    .from(table)
+    .insert([{ name }])
+    .select()
+    .single();
+  if (insertError || !created) {
+    console.error(`Error inserting into ${table} "${name}":`, insertError ? insertError.message : 'no row returned');
+    return null;
+  }
+  return created.id;
+};
+
+// Link the model-assigned (or moderator-assigned) category to a wallpaper.
+const linkCategory = async (wallpaperId, category) => {
+  if (!category) return;
+  const standardizedCategory = category.toLowerCase().trim();
+  const catId = await findOrCreateByName('categories', standardizedCategory);
+  if (!catId) return;
+  const { error } = await supabaseAdmin
+    .from('wallpaper_categories')
+    .insert([{ wallpaper_id: wallpaperId, category_id: catId }]);
+  if (error) {
+    console.error('Error linking category to wallpaper:', error.message);
+  }
+};
+
+// Link up to five styles to a wallpaper.
+const linkStyles = async (wallpaperId, styles) => {
+  if (!Array.isArray(styles) || styles.length === 0) return;
+  for (const styleName of styles) {
+    if (typeof styleName !== 'string' || !styleName.trim()) continue;
+    const standardizedStyle = styleName.toLowerCase().trim();
+    const styleId = await findOrCreateByName('styles', standardizedStyle);
+    if (!styleId) continue;
+    const { error } = await supabaseAdmin
+      .from('wallpaper_styles')
+      .insert([{ wallpaper_id: wallpaperId, style_id: styleId }]);
+    if (error) {
+      console.error('Error linking style to wallpaper:', error.message);
+    }
+  }
+};
+
+// Link the uploader supplied hashtags to a wallpaper.
+const linkHashtags = async (wallpaperId, hashtags) => {
+  const tagList = parseHashtags(hashtags);
+  for (const tag of tagList) {
+    const standardizedTag = tag.toLowerCase().trim();
+    const hashtagId = await findOrCreateByName('hashtags', standardizedTag);
+    if (!hashtagId) continue;
+    const { error } = await supabaseAdmin
+      .from('wallpaper_hashtags')
+      .insert([{ wallpaper_id: wallpaperId, hashtag_id: hashtagId }]);
+    if (error) {
+      console.error('Error linking hashtag to wallpaper:', error.message);
+    }
+  }
+};
+
+// Run the full category, style and hashtag linking for a published wallpaper.
+const linkWallpaperTaxonomy = async (wallpaperId, { category, styles, hashtags }) => {
+  await linkCategory(wallpaperId, category);
+  await linkStyles(wallpaperId, styles);
+  await linkHashtags(wallpaperId, hashtags);
+};
+
+// Helper: Look up rows by name in a lookup table without creating missing ones (names are lowercased).
+// Returns { found: [{ id, name }], missing: [name] }.
+const findExistingByNames = async (table, names) => {
+  const standardized = [...new Set(names.map(name => name.toLowerCase().trim()))];
+  if (standardized.length === 0) return { found: [], missing: [] };
+  const { data, error } = await supabaseAdmin
+    .from(table)
+    .select('id, name')
+    .in('name', standardized);
+  if (error) {
+    throw new Error(`Error fetching ${table}: ${error.message}`);
+  }
+  const foundNames = new Set(data.map(row => row.name));
+  return { found: data, missing: standardized.filter(name => !foundNames.has(name)) };
+};
+
+// Current category, style and hashtag links of a wallpaper: { categories, styles, hashtags } as [{ id, name }].
+const getWallpaperTaxonomy = async (wallpaperId) => {
+  const fetchLinks = async (linkTable, column, table) => {
+    const { data, error } = await supabaseAdmin
+      .from(linkTable)
+      .select(`${column}, ${table}(name)`)
+      .eq('wallpaper_id', wallpaperId);
+    if (error) {
+      throw new Error(`Error fetching ${linkTable}: ${error.message}`);
+    }
+    return data.map(row => ({ id: row[column], name: row[table] ? row[table].name : null }));
+  };
+
+  const [categories, styles, hashtags] = await Promise.all([
+    fetchLinks('wallpaper_categories', 'category_id', 'categories'),
+    fetchLinks('wallpaper_styles', 'style_id', 'styles'),
+    fetchLinks('wallpaper_hashtags', 'hashtag_id', 'hashtags'),
+  ]);
+  return { categories, styles, hashtags };
+};
+
+// Helper: Make the links of a wallpaper in a junction table match `ids`, only touching the differences.
+// Returns { added: [id], removed: [id] }.
+const syncLinks = async (wallpaperId, linkTable, column, ids) => {
+  const { data: current, error } = await supabaseAdmin
+    .from(linkTable)
+    .select(column)
+    .eq('wallpaper_id', wallpaperId);
+  if (error) {
+    throw new Error(`Error fetching ${linkTable}: ${error.message}`);
+  }
+
+  const currentIds = new Set(current.map(row => row[column]));
+  const targetIds = new Set(ids);
+  const added = [...targetIds].filter(id => !currentIds.has(id));
+  const removed = [...currentIds].filter(id => !targetIds.has(id));
+
+  if (removed.length > 0) {
+    const { error: deleteError } = await supabaseAdmin
+      .from(linkTable)
+      .delete()
+      .eq('wallpaper_id', wallpaperId)
+      .in(column, removed);
+    if (deleteError) {
+      throw new Error(`Error unlinking ${linkTable}: ${deleteError.message}`);
+    }
+  }
+  if (added.length > 0) {
+    const { error: insertError } = await supabaseAdmin
+      .from(linkTable)
+      .insert(added.map(id => ({ wallpaper_id: wallpaperId, [column]: id })));
+    if (insertError) {
+      throw new Error(`Error linking ${linkTable}: ${insertError.message}`);
+    }
+  }
+  return { added, removed };
+};
+
+// Replace the hashtags of a wallpaper (new hashtags are created, dropped ones unlinked).
+const relinkHashtags = async (wallpaperId, hashtags) => {
+  const hashtagIds = [];
+  for (const tag of parseHashtags(hashtags)) {
+    const hashtagId = await findOrCreateByName('hashtags', tag.toLowerCase().trim());
+    if (hashtagId) hashtagIds.push(hashtagId);
+  }
+  return syncLinks(wallpaperId, 'wallpaper_hashtags', 'hashtag_id', hashtagIds);
+};
+
+// Replace the category / styles of a wallpaper with existing taxonomy rows (ids from findExistingByNames).
+const relinkCategory = (wallpaperId, categoryId) =>
+  syncLinks(wallpaperId, 'wallpaper_categories', 'category_id', [categoryId]);
+
+const relinkStyles = (wallpaperId, styleIds) =>
+  syncLinks(wallpaperId, 'wallpaper_styles', 'style_id', styleIds);
+
+module.exports = {
+  parseHashtags,
+  findOrCreateByName,
+  linkCategory,
+  linkStyles,
+  linkHashtags,
+  linkWallpaperTaxonomy,
+  findExistingByNames,
+  getWallpaperTaxonomy,
+  relinkHashtags,
+  relinkCategory,
+  relinkStyles,
+};